@@ -0,0 +1,199 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { createUserStore, publicUser } = require('./user-store');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { signToken, verifyToken } = require('./tokens');
+const { logger } = require('../observability');
+
+const SESSION_COOKIE = 'session';
+const MIN_PASSWORD_LENGTH = 8;
+
+function authError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function readCookie(req, name) {
+  const cookies = String(req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Users sign in with a password and get a signed session token, sent back as an
+// HttpOnly cookie for the web UI or as "Authorization: Bearer" by other clients.
+// Machine clients use an API key in "X-API-Key" instead. Roles and their
+// permissions come from rolesFile.
+function createAuth(env, { dataDir, rolesFile }) {
+  const rules = JSON.parse(fs.readFileSync(rolesFile, 'utf8'));
+  const users = createUserStore(dataDir);
+  const sessionHours = parseFloat(env.SESSION_TTL_HOURS) || 12;
+  const secureCookie = env.COOKIE_SECURE === 'true';
+  const allowedOrigins = String(env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(origin => origin);
+
+  let secret = env.AUTH_SECRET;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('AUTH_SECRET not set; sessions will not survive a restart');
+  }
+
+  function checkRole(role) {
+    if (!rules.roles[role]) {
+      throw authError(`Unknown role "${role}". Expected one of: ${Object.keys(rules.roles).join(', ')}`, 400);
+    }
+  }
+
+  function checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw authError(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+  }
+
+  function can(user, permission) {
+    const role = user && rules.roles[user.role];
+    return !!role && (role.permissions.includes('*') || role.permissions.includes(permission));
+  }
+
+  // Everyone sees their own claims; adjusters every claim, shops the claims sent to them
+  function canSeeClaim(user, claim) {
+    if (!user || !claim || !can(user, 'claims:read')) return false;
+    if (can(user, 'claims:any') || claim.ownerId === user.id) return true;
+    if (can(user, 'claims:assigned') && user.shop && claim.repairShop) {
+      return user.shop.placeId
+        ? claim.repairShop.placeId === user.shop.placeId
+        : String(claim.repairShop.name || '').toLowerCase() === String(user.shop.name || '').toLowerCase();
+    }
+    return false;
+  }
+
+  function canUpdateClaim(user, claim) {
+    return canSeeClaim(user, claim) && can(user, 'claims:update');
+  }
+
+  // Resolves with the request's user, or null when it carries no credentials.
+  // Credentials that are sent but wrong are rejected rather than ignored; a
+  // stale session cookie just counts as signed out.
+  async function authenticate(req) {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      const user = users.findApiKeyUser(apiKey);
+      if (!user || user.disabled) throw authError('Invalid API key', 401);
+      return { ...publicUser(user), authMethod: 'api_key', apiKeyId: String(apiKey).split('_')[1] };
+    }
+
+    const bearer = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const token = bearer ? bearer[1] : readCookie(req, SESSION_COOKIE);
+    if (!token) return null;
+
+    const payload = verifyToken(token, secret);
+    const user = payload && users.getUser(payload.sub);
+    if (!user || user.disabled || user.sessionVersion !== payload.ver) {
+      if (bearer) throw authError('Invalid or expired session token', 401);
+      return null;
+    }
+    return { ...publicUser(user), authMethod: 'session' };
+  }
+
+  async function login(username, password) {
+    const user = users.findByUsername(username || '');
+    // Hash anyway for unknown users so response times do not reveal which usernames exist
+    const valid = await verifyPassword(password, user ? user.passwordHash : 'scrypt$00$00');
+    if (!user || !valid || user.disabled) throw authError('Invalid username or password', 401);
+
+    const expiresAt = Date.now() + sessionHours * 60 * 60 * 1000;
+    const token = signToken({ sub: user.id, ver: user.sessionVersion, exp: Math.floor(expiresAt / 1000) }, secret);
+    return { token: token, expiresAt: new Date(expiresAt).toISOString(), user: publicUser(user) };
+  }
+
+  // Tokens are stateless, so signing out moves the user's session version on,
+  // which ends every session that user has open
+  async function logout(user) {
+    const stored = users.getUser(user.id);
+    if (stored) await users.updateUser(stored.id, { sessionVersion: stored.sessionVersion + 1 });
+  }
+
+  function sessionCookie(token) {
+    return `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.round(sessionHours * 3600)}${secureCookie ? '; Secure' : ''}`;
+  }
+
+  function clearedSessionCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0${secureCookie ? '; Secure' : ''}`;
+  }
+
+  function isAllowedOrigin(origin) {
+    return allowedOrigins.includes(String(origin).replace(/\/+$/, ''));
+  }
+
+  async function createUser({ username, password, role = rules.defaultRole, shop = null }) {
+    if (typeof username !== 'string' || !/^[a-z0-9._@-]{3,64}$/i.test(username)) {
+      throw authError('Usernames are 3-64 letters, digits or . _ @ -', 400);
+    }
+    if (users.findByUsername(username)) throw authError(`User "${username}" already exists`, 409);
+    checkRole(role);
+    checkPassword(password);
+    const user = await users.createUser({ username: username, passwordHash: await hashPassword(password), role: role, shop: shop });
+    return publicUser(user);
+  }
+
+  async function updateUser(id, { role, password, disabled, shop }) {
+    const user = users.getUser(id);
+    if (!user) return null;
+
+    const changes = {};
+    if (role !== undefined) {
+      checkRole(role);
+      changes.role = role;
+    }
+    if (shop !== undefined) changes.shop = shop;
+    if (disabled !== undefined) changes.disabled = !!disabled;
+    if (password !== undefined) {
+      checkPassword(password);
+      changes.passwordHash = await hashPassword(password);
+    }
+    // A new password or a disabled account ends the sessions already open
+    if (changes.passwordHash || changes.disabled) changes.sessionVersion = user.sessionVersion + 1;
+    return publicUser(await users.updateUser(id, changes));
+  }
+
+  // Creates the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when that user does not exist yet
+  async function ensureAdmin() {
+    const username = env.ADMIN_USERNAME || 'admin';
+    if (users.findByUsername(username)) return;
+    if (!env.ADMIN_PASSWORD) {
+      if (users.listUsers().length === 0) logger.warn('No users yet; set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) to create the first admin');
+      return;
+    }
+    await createUser({ username: username, password: env.ADMIN_PASSWORD, role: 'admin' });
+    logger.info('Created admin user', { username: username });
+  }
+
+  return {
+    authenticate,
+    login,
+    logout,
+    can,
+    canSeeClaim,
+    canUpdateClaim,
+    sessionCookie,
+    clearedSessionCookie,
+    isAllowedOrigin,
+    ensureAdmin,
+    roles: rules.roles,
+    users: {
+      list: () => users.listUsers().map(publicUser),
+      get: (id) => {
+        const user = users.getUser(id);
+        return user ? publicUser(user) : null;
+      },
+      create: createUser,
+      update: updateUser,
+      addApiKey: (id, label) => users.addApiKey(id, label),
+      revokeApiKey: (id, keyId) => users.revokeApiKey(id, keyId)
+    }
+  };
+}
+
+module.exports = { createAuth };
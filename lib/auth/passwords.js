@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change later
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, 'hex');
+  return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+module.exports = { hashPassword, verifyPassword };
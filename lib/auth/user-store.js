@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../observability');
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// What the API shows of a user: no password hash and no API key hashes
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    shop: user.shop || null,
+    disabled: !!user.disabled,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+    apiKeys: (user.apiKeys || []).map(key => ({ id: key.id, label: key.label, createdAt: key.createdAt, lastUsedAt: key.lastUsedAt || null }))
+  };
+}
+
+// Users live in one JSON file under the data directory. The file is small, so
+// it is kept in memory and rewritten whole on every change.
+function createUserStore(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const usersFile = path.join(dataDir, 'users.json');
+
+  let users = [];
+  try {
+    users = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Writes are chained so two changes never interleave. A failed write rejects
+  // for its own caller but does not stop the writes after it.
+  let writing = Promise.resolve();
+  function save() {
+    const snapshot = JSON.stringify(users, null, 2);
+    const write = writing.then(async () => {
+      const tempFile = `${usersFile}.tmp`;
+      await fs.promises.writeFile(tempFile, snapshot, { mode: 0o600 });
+      await fs.promises.rename(tempFile, usersFile);
+    });
+    writing = write.catch(error => logger.error('Could not save users', { error: error.message }));
+    return write;
+  }
+
+  const getUser = (id) => users.find(user => user.id === id) || null;
+  const findByUsername = (username) => users.find(user => user.username === String(username).toLowerCase()) || null;
+
+  async function createUser({ username, passwordHash, role, shop = null }) {
+    const now = new Date().toISOString();
+    const user = {
+      id: `USR-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      username: String(username).toLowerCase(),
+      role: role,
+      passwordHash: passwordHash,
+      shop: shop,
+      disabled: false,
+      sessionVersion: 1,
+      apiKeys: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    users.push(user);
+    await save();
+    return user;
+  }
+
+  async function updateUser(id, changes) {
+    const user = getUser(id);
+    if (!user) return null;
+    Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+    await save();
+    return user;
+  }
+
+  // The full key is returned once; only its hash is kept
+  async function addApiKey(id, label) {
+    const user = getUser(id);
+    if (!user) return null;
+    const keyId = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+    const apiKey = { id: keyId, label: label || null, hash: sha256(secret), createdAt: new Date().toISOString() };
+    user.apiKeys.push(apiKey);
+    await save();
+    return { key: `cia_${keyId}_${secret}`, apiKey: apiKey };
+  }
+
+  async function revokeApiKey(id, keyId) {
+    const user = getUser(id);
+    if (!user) return false;
+    const before = user.apiKeys.length;
+    user.apiKeys = user.apiKeys.filter(key => key.id !== keyId);
+    if (user.apiKeys.length === before) return false;
+    await save();
+    return true;
+  }
+
+  // Resolves "cia_<id>_<secret>" to its user, or null
+  function findApiKeyUser(key) {
+    const match = String(key || '').match(/^cia_([0-9a-f]{8})_([0-9a-f]{48})$/);
+    if (!match) return null;
+    for (const user of users) {
+      const apiKey = user.apiKeys.find(candidate => candidate.id === match[1]);
+      if (!apiKey) continue;
+      const expected = Buffer.from(apiKey.hash, 'hex');
+      const actual = Buffer.from(sha256(match[2]), 'hex');
+      if (!crypto.timingSafeEqual(expected, actual)) return null;
+      // Kept in memory and written with the next change, not on every request
+      apiKey.lastUsedAt = new Date().toISOString();
+      return user;
+    }
+    return null;
+  }
+
+  return {
+    listUsers: () => users.slice(),
+    getUser,
+    findByUsername,
+    createUser,
+    updateUser,
+    addApiKey,
+    revokeApiKey,
+    findApiKeyUser
+  };
+}
+
+module.exports = { createUserStore, publicUser };
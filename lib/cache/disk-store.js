@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// One JSON file per entry, named by the hash of its key, so entries survive a
+// restart. Unreadable or expired files count as misses and are removed.
+function createDiskStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const entryPath = (key) => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  async function get(key) {
+    const file = entryPath(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') await fs.promises.unlink(file).catch(() => {});
+      return undefined;
+    }
+    if (entry.key !== key || entry.expiresAt <= Date.now()) {
+      await fs.promises.unlink(file).catch(() => {});
+      return undefined;
+    }
+    return entry;
+  }
+
+  async function set(key, entry) {
+    // Write to a temp file first so a crash never leaves a half-written entry
+    const file = entryPath(key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify({ key: key, ...entry }));
+    await fs.promises.rename(tempFile, file);
+  }
+
+  async function clear() {
+    const files = await fs.promises.readdir(dir);
+    await Promise.all(files.map(file => fs.promises.unlink(path.join(dir, file)).catch(() => {})));
+  }
+
+  return { get, set, delete: (key) => fs.promises.unlink(entryPath(key)).catch(() => {}), clear };
+}
+
+module.exports = { createDiskStore };
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { createLru } = require('./lru');
+const { createDiskStore } = require('./disk-store');
+const { logger } = require('../observability');
+
+const CACHE_MODES = ['use', 'refresh', 'skip'];
+
+function cacheError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// How one request wants the cache used: "refresh" skips cached answers but
+// stores the fresh ones, "skip" neither reads nor writes. Taken from
+// ?cache=refresh|skip, or Cache-Control: no-cache / no-store. Both bill the
+// upstream again, so without allowBypass asking for them in the query is
+// refused and the headers are ignored.
+function requestCacheMode(headers = {}, query = {}, { allowBypass = true } = {}) {
+  if (query.cache) {
+    if (!CACHE_MODES.includes(query.cache)) throw cacheError(`cache must be one of: ${CACHE_MODES.join(', ')}`);
+    if (query.cache !== 'use' && !allowBypass) throw cacheError(`cache=${query.cache} is only for roles with the cache:bypass permission`, 403);
+    return query.cache;
+  }
+  if (!allowBypass) return 'use';
+  const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+  if (cacheControl.includes('no-store')) return 'skip';
+  if (cacheControl.includes('no-cache')) return 'refresh';
+  return 'use';
+}
+
+function createSourceCache(name, settings, diskDir) {
+  const memory = createLru(settings.maxEntries);
+  const disk = diskDir ? createDiskStore(path.join(diskDir, name)) : null;
+  const inFlight = new Map();
+  const counters = { hits: 0, diskHits: 0, misses: 0, bypassed: 0, stores: 0 };
+
+  async function read(key) {
+    const entry = memory.get(key);
+    if (entry) return entry.json;
+    if (!disk) return undefined;
+
+    const stored = await disk.get(key);
+    if (!stored) return undefined;
+    const json = JSON.stringify(stored.value);
+    memory.set(key, { expiresAt: stored.expiresAt, json: json });
+    counters.diskHits++;
+    return json;
+  }
+
+  // Values are kept as JSON so callers can change what they get back without touching the cache
+  async function write(key, json) {
+    const expiresAt = Date.now() + settings.ttlSeconds * 1000;
+    memory.set(key, { expiresAt: expiresAt, json: json });
+    counters.stores++;
+    if (!disk) return;
+    try {
+      await disk.set(key, { expiresAt: expiresAt, value: JSON.parse(json) });
+    } catch (error) {
+      logger.warn('Could not write cache entry to disk', { cache: name, error: error.message });
+    }
+  }
+
+  // Returns the cached value for key, or runs load() and caches its result when
+  // shouldStore(result) agrees. Identical loads already running are shared, so
+  // two clicks on the same photo bill the provider once. signal is the one load()
+  // is cancelled with: when a shared load is cancelled, the requests waiting on
+  // it look again rather than fail with the cancellation.
+  async function remember(key, load, { mode = 'use', shouldStore = () => true, signal = null } = {}) {
+    if (mode === 'skip') {
+      counters.bypassed++;
+      return load();
+    }
+
+    if (mode === 'use') {
+      for (;;) {
+        const cached = await read(key);
+        if (cached !== undefined) {
+          counters.hits++;
+          return JSON.parse(cached);
+        }
+        const shared = inFlight.get(key);
+        if (!shared) break;
+        try {
+          const { json } = await shared.loading;
+          counters.hits++;
+          return JSON.parse(json);
+        } catch (error) {
+          if (!shared.signal || !shared.signal.aborted) throw error;
+        }
+      }
+      counters.misses++;
+    } else {
+      counters.bypassed++;
+    }
+
+    const loading = Promise.resolve()
+      .then(load)
+      .then(value => ({ value: value, json: JSON.stringify(value) }));
+    const entry = { loading: loading, signal: signal };
+    inFlight.set(key, entry);
+    try {
+      const { value, json } = await loading;
+      if (json !== undefined && shouldStore(value)) await write(key, json);
+      return value;
+    } finally {
+      if (inFlight.get(key) === entry) inFlight.delete(key);
+    }
+  }
+
+  async function purge() {
+    memory.clear();
+    if (disk) await disk.clear();
+  }
+
+  function stats() {
+    return { ...counters, entries: memory.size, ttlSeconds: settings.ttlSeconds, disk: !!disk };
+  }
+
+  return { name, remember, purge, stats };
+}
+
+// One cache per upstream source, each with its own TTL and size. CACHE_ENABLED=false
+// turns every cache into a pass-through; entries of sources marked "disk" are
+// also written under CACHE_DIR (default <DATA_DIR>/cache) unless CACHE_DISK=false.
+function createCaches(env, { rulesFile, dataDir }) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  const enabled = env.CACHE_ENABLED !== 'false';
+  const diskEnabled = enabled && env.CACHE_DISK !== 'false';
+  const diskDir = env.CACHE_DIR || path.join(dataDir, 'cache');
+
+  const sources = {};
+  Object.keys(rules.sources).forEach(name => {
+    const settings = rules.sources[name];
+    sources[name] = createSourceCache(name, settings, diskEnabled && settings.disk ? diskDir : null);
+  });
+
+  function source(name) {
+    const cache = sources[name];
+    if (!cache) throw cacheError(`Unknown cache "${name}". Expected one of: ${Object.keys(sources).join(', ')}`);
+    if (enabled) return cache;
+    return { ...cache, remember: (key, load, options = {}) => cache.remember(key, load, { ...options, mode: 'skip' }) };
+  }
+
+  // Nearby lookups within a few hundred feet of each other share an entry
+  function coordinateKey(lat, lng) {
+    return `${Number(lat).toFixed(rules.coordinateDecimals)},${Number(lng).toFixed(rules.coordinateDecimals)}`;
+  }
+
+  function addressKey(address) {
+    return String(address).toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  async function purge(name) {
+    const names = name ? [source(name).name] : Object.keys(sources);
+    await Promise.all(names.map(sourceName => sources[sourceName].purge()));
+    return names;
+  }
+
+  function stats() {
+    const bySource = {};
+    Object.keys(sources).forEach(name => {
+      bySource[name] = sources[name].stats();
+    });
+    return { enabled: enabled, disk: diskEnabled ? diskDir : null, sources: bySource };
+  }
+
+  return { source, coordinateKey, addressKey, purge, stats };
+}
+
+module.exports = { createCaches, requestCacheMode, CACHE_MODES };
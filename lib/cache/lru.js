@@ -0,0 +1,33 @@
+// Least-recently-used map with per-entry expiry. A Map keeps insertion order,
+// so re-inserting on every read moves an entry to the end and the first key is
+// always the one to evict.
+function createLru(maxEntries) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    entries.set(key, entry);
+    return entry;
+  }
+
+  function set(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createLru };
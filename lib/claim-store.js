@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CLAIM_STATUSES = ['open', 'in_review', 'approved', 'rejected', 'closed'];
+
+// Fields that can be changed after a claim is created
+const EDITABLE_FIELDS = [
+  'status', 'policyNumber', 'repairShop', 'notes', 'analysis', 'costBreakdown', 'actualCashValue', 'totalLoss', 'review'
+];
+
+// The review keeps its own log of adjustments, so the history does not repeat it
+const UNLOGGED_FIELDS = ['review'];
+
+function generateClaimId() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `CLM-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+function summarizeClaim(claim) {
+  return {
+    id: claim.id,
+    createdAt: claim.createdAt,
+    updatedAt: claim.updatedAt,
+    status: claim.status,
+    ownerId: claim.ownerId || null,
+    policyNumber: claim.policyNumber,
+    vehicle: claim.analysis
+      ? { make: claim.analysis.make, model: claim.analysis.model, color: claim.analysis.color }
+      : null,
+    estimate: claim.costBreakdown ? claim.costBreakdown.estimateRange : null,
+    reviewed: !!claim.review,
+    totalLossVerdict: claim.totalLoss ? claim.totalLoss.verdict : null,
+    photoCount: claim.images.length,
+    repairShop: claim.repairShop ? claim.repairShop.name : null
+  };
+}
+
+function fingerprintEntry(claim) {
+  return {
+    policyNumber: claim.policyNumber,
+    ownerId: claim.ownerId || null,
+    photos: (claim.imageInfo || []).map(info => ({
+      sha256: info.sha256 || null,
+      originalSha256: info.originalSha256 || null,
+      phash: info.phash || null
+    }))
+  };
+}
+
+function createClaimStore(dataDir) {
+  const claimsDir = path.join(dataDir, 'claims');
+  fs.mkdirSync(claimsDir, { recursive: true });
+
+  const claimPath = (id) => path.join(claimsDir, `${id}.json`);
+
+  // Photo hashes by claim id, kept apart from the claims so checking a new photo
+  // does not read every stored photo. Built from the claims when it is missing
+  // or was written before entries recorded the claim's owner.
+  const fingerprintsFile = path.join(dataDir, 'claim-fingerprints.json');
+  const fingerprints = loadFingerprints();
+  let fingerprintsWrite = Promise.resolve();
+
+  function loadFingerprints() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(fingerprintsFile, 'utf8'));
+      if (Object.values(stored).every(entry => 'ownerId' in entry)) return stored;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const index = {};
+    fs.readdirSync(claimsDir).filter(file => /^CLM-[0-9A-Z-]+\.json$/.test(file)).forEach(file => {
+      const claim = JSON.parse(fs.readFileSync(path.join(claimsDir, file), 'utf8'));
+      index[claim.id] = fingerprintEntry(claim);
+    });
+    fs.writeFileSync(fingerprintsFile, JSON.stringify(index));
+    return index;
+  }
+
+  // Writes are chained so an older index never replaces a newer one
+  function saveFingerprints() {
+    const snapshot = JSON.stringify(fingerprints);
+    const write = fingerprintsWrite.then(async () => {
+      const tempFile = `${fingerprintsFile}.tmp`;
+      await fs.promises.writeFile(tempFile, snapshot);
+      await fs.promises.rename(tempFile, fingerprintsFile);
+    });
+    fingerprintsWrite = write.catch(() => {});
+    return write;
+  }
+
+  async function writeClaim(claim) {
+    // Write to a temp file first so a crash never leaves a half-written claim
+    const target = claimPath(claim.id);
+    const tempFile = `${target}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(claim, null, 2));
+    await fs.promises.rename(tempFile, target);
+  }
+
+  async function getClaim(id) {
+    if (!/^CLM-[0-9A-Z-]+$/.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(claimPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function readAllClaims() {
+    const files = (await fs.promises.readdir(claimsDir)).filter(file => file.endsWith('.json'));
+    const claims = await Promise.all(files.map(file => getClaim(path.basename(file, '.json'))));
+    return claims.filter(claim => claim !== null);
+  }
+
+  // filters.visible limits the list to the claims the caller may see
+  async function listClaims(filters = {}) {
+    const claims = await readAllClaims();
+
+    return claims
+      .filter(claim => !filters.visible || filters.visible(claim))
+      .filter(claim => !filters.status || claim.status === filters.status)
+      .filter(claim => !filters.policyNumber || claim.policyNumber === filters.policyNumber)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(summarizeClaim);
+  }
+
+  // Hashes of every stored photo, for spotting photos reused across claims
+  async function listImageFingerprints() {
+    return Object.entries(fingerprints).flatMap(([claimId, entry]) => entry.photos.map((photo, index) => ({
+      claimId: claimId,
+      policyNumber: entry.policyNumber,
+      ownerId: entry.ownerId,
+      photo: index + 1,
+      ...photo
+    })));
+  }
+
+  // Reviewed claims with the model's original answer and the current one
+  async function listReviews() {
+    const claims = await readAllClaims();
+    return claims
+      .filter(claim => claim.review)
+      .map(claim => ({ claimId: claim.id, status: claim.status, analysis: claim.analysis, costBreakdown: claim.costBreakdown, review: claim.review }));
+  }
+
+  // actor is the username recorded in the claim's history
+  async function createClaim(fields, actor = null) {
+    const now = new Date().toISOString();
+    const claim = {
+      id: generateClaimId(),
+      createdAt: now,
+      updatedAt: now,
+      status: 'open',
+      ownerId: fields.ownerId || null,
+      policyNumber: fields.policyNumber || null,
+      images: fields.images || [],
+      imageInfo: fields.imageInfo || [],
+      qualityReport: fields.qualityReport || null,
+      lossDate: fields.lossDate || null,
+      analysis: fields.analysis || null,
+      photoResults: fields.photoResults || [],
+      costBreakdown: fields.costBreakdown || null,
+      region: fields.region || {},
+      actualCashValue: fields.actualCashValue || null,
+      totalLoss: fields.totalLoss || null,
+      repairShop: fields.repairShop || null,
+      notes: fields.notes || '',
+      review: null,
+      history: [{ at: now, action: 'created', by: actor, changes: {} }]
+    };
+
+    await writeClaim(claim);
+    fingerprints[claim.id] = fingerprintEntry(claim);
+    await saveFingerprints();
+    return claim;
+  }
+
+  // Changes to one claim run one at a time, each reading what the last one saved
+  const updating = new Map();
+  function serialize(id, task) {
+    const next = (updating.get(id) || Promise.resolve()).then(task);
+    const settled = next.catch(() => {});
+    updating.set(id, settled);
+    settled.then(() => {
+      if (updating.get(id) === settled) updating.delete(id);
+    });
+    return next;
+  }
+
+  // edit(claim) works out { changes, reason } from the claim as it is now, so
+  // edits that depend on the current analysis or review never overwrite each
+  // other. It may throw to refuse the change.
+  function editClaim(id, edit, actor = null) {
+    return serialize(id, async () => {
+      const claim = await getClaim(id);
+      if (!claim) return null;
+      const { changes, reason = null } = await edit(claim);
+      return applyChanges(claim, changes, actor, reason);
+    });
+  }
+
+  // reason, when given, is kept with the history entry
+  function updateClaim(id, changes, actor = null, reason = null) {
+    return editClaim(id, () => ({ changes: changes, reason: reason }), actor);
+  }
+
+  async function applyChanges(claim, changes, actor, reason) {
+    if (changes.status !== undefined && !CLAIM_STATUSES.includes(changes.status)) {
+      const error = new Error(`Invalid status "${changes.status}". Expected one of: ${CLAIM_STATUSES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const diff = {};
+    let changed = false;
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] === undefined) return;
+      if (JSON.stringify(changes[field]) === JSON.stringify(claim[field])) return;
+      if (!UNLOGGED_FIELDS.includes(field)) diff[field] = { from: claim[field], to: changes[field] };
+      claim[field] = changes[field];
+      changed = true;
+    });
+
+    if (!changed) return claim;
+
+    claim.updatedAt = new Date().toISOString();
+    const entry = { at: claim.updatedAt, action: 'updated', by: actor, changes: diff };
+    if (reason) entry.reason = reason;
+    claim.history.push(entry);
+    await writeClaim(claim);
+    if (diff.policyNumber && fingerprints[claim.id]) {
+      fingerprints[claim.id].policyNumber = claim.policyNumber;
+      await saveFingerprints();
+    }
+    return claim;
+  }
+
+  return { createClaim, listClaims, listImageFingerprints, listReviews, getClaim, updateClaim, editClaim };
+}
+
+module.exports = { createClaimStore, CLAIM_STATUSES };
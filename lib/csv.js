@@ -0,0 +1,10 @@
+// Quoted when needed (RFC 4180). Cells a spreadsheet would run as a formula
+// get a leading apostrophe.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { csvCell };
@@ -0,0 +1,98 @@
+const { el, renderXml, xmlAmount } = require('./xml');
+
+const VERDICT_REMARKS = {
+  repair: 'Repairable',
+  borderline: 'Borderline total loss - adjuster review',
+  total_loss: 'Total loss'
+};
+
+// ACORD indicators are 1 and 0
+function indicator(value) {
+  return value ? '1' : '0';
+}
+
+function amount(value) {
+  return typeof value === 'number' ? [el('Amt', xmlAmount(value)), el('CurCd', 'USD')] : null;
+}
+
+function damageSummary(analysis) {
+  if (!analysis.vehicle_detected) return 'No motor vehicle detected';
+  if (!analysis.damage_detected || !analysis.parts || analysis.parts.length === 0) return 'No damage detected';
+  return analysis.parts.map(partDamage => `${partDamage.part.replace(/_/g, ' ')} (${partDamage.severity})`).join(', ');
+}
+
+function totalLossInfo(totalLoss) {
+  if (!totalLoss || !totalLoss.verdict) return [];
+  return [
+    // Borderline claims are left for the adjuster, so they carry no indicator
+    totalLoss.verdict !== 'borderline' && el('TotalLossInd', indicator(totalLoss.verdict === 'total_loss')),
+    el('ActualCashValueAmt', amount(totalLoss.actualCashValue))
+  ];
+}
+
+function remarks(claim) {
+  const costBreakdown = claim.costBreakdown;
+  const lines = [
+    `Estimate range ${xmlAmount(costBreakdown.estimateRange.low)} - ${xmlAmount(costBreakdown.estimateRange.high)} USD, pricing ${costBreakdown.pricingVersion}`
+  ];
+  if (claim.totalLoss && claim.totalLoss.verdict) {
+    lines.push(`${VERDICT_REMARKS[claim.totalLoss.verdict]}: ${claim.totalLoss.reasons.join(' ')}`);
+  }
+  return lines.map(text => el('RemarkText', text));
+}
+
+// An ACORD-style ClaimsNotificationAddRq: the policy, the occurrence and an
+// AutoLossInfo with the vehicle, each damaged part by its part code and the
+// estimated damage amount
+function renderAcordClaim(claim, codes, { generatedAt, requestId }) {
+  const analysis = claim.analysis || {};
+  const costBreakdown = claim.costBreakdown;
+  const region = claim.region || {};
+
+  return renderXml(el('ACORD', [
+    el('SignonRq', [
+      el('ClientDt', generatedAt.toISOString()),
+      el('CustLangPref', 'en-US'),
+      el('ClientApp', [el('Org', 'Car Insurance Damage Assessment'), el('Name', 'damage-assessment'), el('Version', '2')])
+    ]),
+    el('ClaimsSvcRq', [
+      el('RqUID', requestId),
+      el('ClaimsNotificationAddRq', [
+        el('RqUID', requestId),
+        el('TransactionRequestDt', generatedAt.toISOString()),
+        el('CurCd', 'USD'),
+        el('Policy', [el('PolicyNumber', claim.policyNumber)]),
+        el('ClaimsOccurrence', [
+          claim.id && el('ItemIdInfo', [el('OtherIdentifier', [el('OtherIdTypeCd', 'ClaimId'), el('OtherId', claim.id)])]),
+          el('LossDt', claim.lossDate),
+          el('ClaimStatusCd', claim.status),
+          el('Addr', [el('StateProvCd', region.state), el('PostalCode', region.zip)]),
+          el('IncidentDesc', damageSummary(analysis))
+        ]),
+        el('AutoLossInfo', [
+          el('VehInfo', [
+            el('Manufacturer', analysis.make),
+            el('Model', analysis.model),
+            el('ModelYear', analysis.year),
+            el('VehColor', analysis.color)
+          ], { id: 'V1' }),
+          el('DrivableInd', indicator(analysis.drivable !== false)),
+          el('AirBagDeployedInd', indicator(analysis.airbags_deployed)),
+          (analysis.parts || []).map(partDamage => {
+            const part = codes.partCode(partDamage.part);
+            return el('VehDamage', [
+              el('DamagedPartCd', part.code),
+              el('DamageDesc', part.description),
+              el('DamageSeverityCd', partDamage.severity)
+            ]);
+          }),
+          el('EstimatedDamageAmt', amount(costBreakdown.midpoint)),
+          totalLossInfo(claim.totalLoss)
+        ]),
+        remarks(claim)
+      ])
+    ])
+  ]));
+}
+
+module.exports = { renderAcordClaim };
@@ -0,0 +1,121 @@
+const { el, renderXml, xmlAmount } = require('./xml');
+
+const BMS_NAMESPACE = 'http://www.cieca.com/BMS';
+const BMS_VERSION = '5.2.0';
+
+const SUMMARY_TOTALS = [
+  ['PL', 'Parts and labor', 'parts_and_labor'],
+  ['PNT', 'Paint and materials', 'paint'],
+  ['ADD', 'Additional charges', 'surcharges']
+];
+
+function yesNo(value) {
+  return value ? 'Y' : 'N';
+}
+
+function hours(value) {
+  return typeof value === 'number' ? value.toFixed(1) : null;
+}
+
+function overrideMemo(override) {
+  return `Adjuster override by ${override.by}: ${override.reason} (calculated ${override.calculatedAmount.toFixed(2)})`;
+}
+
+function damageLine(line, codes) {
+  const coded = codes.codeLine(line);
+  return el('DamageLineInfo', [
+    el('LineNum', line.line),
+    el('UniqueSequenceNum', line.code),
+    el('LineDesc', line.description),
+    el('LineOpCode', coded.operationCode),
+    el('LineOpDesc', coded.operationDescription),
+    coded.partCode && el('PartInfo', [
+      el('PartType', coded.partType),
+      el('PartCode', coded.partCode),
+      el('PartDesc', coded.partDescription),
+      line.type === 'part' && el('PartPrice', xmlAmount(line.amount)),
+      line.type === 'part' && el('Quantity', line.quantity || 1)
+    ]),
+    coded.laborType && el('LaborInfo', [
+      el('LaborType', coded.laborType),
+      el('LaborOperation', coded.operationCode),
+      el('LaborHours', hours(line.hours)),
+      el('LaborRate', xmlAmount(line.rate)),
+      el('LaborAmt', xmlAmount(line.amount))
+    ]),
+    ['materials', 'surcharge'].includes(line.type) && el('OtherChargesInfo', [
+      el('OtherChargesType', coded.chargeCode),
+      el('OtherChargesDesc', coded.chargeDescription),
+      el('Price', xmlAmount(line.amount))
+    ]),
+    el('ManualLineInd', yesNo(line.override)),
+    line.override && el('LineMemo', overrideMemo(line.override))
+  ]);
+}
+
+function repairTotals(costBreakdown, codes) {
+  return el('RepairTotalsInfo', [
+    Object.entries(costBreakdown.laborHours || {}).map(([laborType, total]) => el('LaborTotalsInfo', [
+      el('TotalType', codes.laborTypeCode(laborType)),
+      el('TotalTypeDesc', laborType),
+      el('TotalHours', hours(total))
+    ])),
+    SUMMARY_TOTALS.map(([type, description, key]) => el('SummaryTotalsInfo', [
+      el('TotalType', type),
+      el('TotalTypeDesc', description),
+      el('TotalAmt', xmlAmount(costBreakdown.breakdown[key]))
+    ])),
+    el('SummaryTotalsInfo', [
+      el('TotalType', 'TOT'),
+      el('TotalTypeDesc', 'Estimated total'),
+      el('TotalAmt', xmlAmount(costBreakdown.midpoint)),
+      el('TotalRangeLowAmt', xmlAmount(costBreakdown.estimateRange.low)),
+      el('TotalRangeHighAmt', xmlAmount(costBreakdown.estimateRange.high))
+    ])
+  ]);
+}
+
+// A CIECA BMS-style VehicleDamageEstimateAddRq: the vehicle, one DamageLineInfo
+// per estimate line with its part, operation and labor codes, and the totals
+function renderBmsEstimate(claim, codes, { generatedAt, requestId }) {
+  const analysis = claim.analysis || {};
+  const costBreakdown = claim.costBreakdown;
+
+  return renderXml(el('VehicleDamageEstimateAddRq', [
+    el('RqUID', requestId),
+    el('DocumentInfo', [
+      el('BMSVer', BMS_VERSION),
+      el('DocumentType', 'E'),
+      el('DocumentID', claim.id ? `${claim.id}-E` : requestId),
+      el('DocumentStatus', claim.status),
+      el('CreateDateTime', generatedAt.toISOString()),
+      el('ReferenceInfo', [
+        el('OtherReferenceInfo', [el('OtherReferenceName', 'PricingProfile'), el('OtherRefNum', costBreakdown.pricingProfile)]),
+        el('OtherReferenceInfo', [el('OtherReferenceName', 'PricingVersion'), el('OtherRefNum', costBreakdown.pricingVersion)]),
+        el('OtherReferenceInfo', [el('OtherReferenceName', 'EstimateMethod'), el('OtherRefNum', costBreakdown.estimateMethod)])
+      ])
+    ]),
+    el('ClaimInfo', [
+      el('ClaimNum', claim.id),
+      el('PolicyInfo', [el('PolicyNum', claim.policyNumber)]),
+      el('LossInfo', [el('Facts', [el('LossDateTime', claim.lossDate)])])
+    ]),
+    el('VehicleInfo', [
+      el('VehicleDesc', [
+        el('ModelYear', analysis.year),
+        el('MakeDesc', analysis.make),
+        el('ModelName', analysis.model),
+        el('VehicleClass', costBreakdown.vehicleClass ? costBreakdown.vehicleClass.class : null)
+      ]),
+      el('Paint', [el('Exterior', [el('Color', [el('ColorName', analysis.color)])])]),
+      el('Condition', [
+        el('DrivableInd', yesNo(analysis.drivable !== false)),
+        el('AirbagDeployedInd', yesNo(analysis.airbags_deployed))
+      ])
+    ]),
+    costBreakdown.lineItems.map(line => damageLine(line, codes)),
+    repairTotals(costBreakdown, codes)
+  ], { xmlns: BMS_NAMESPACE }));
+}
+
+module.exports = { renderBmsEstimate, BMS_NAMESPACE };
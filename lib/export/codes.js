@@ -0,0 +1,53 @@
+const fs = require('fs');
+const { PARTS } = require('../vision/assessment-schema');
+
+const OPERATIONS = ['repair', 'replace', 'refinish', 'blend', 'materials', 'surcharge'];
+
+// Maps our part enum, estimate operations and labor types to the codes
+// estimating platforms use; a missing mapping is a config error at startup
+function loadPartCodes(configFile) {
+  const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+
+  PARTS.forEach(part => {
+    if (!config.parts[part]) throw new Error(`Part code config has no code for part "${part}"`);
+  });
+  OPERATIONS.forEach(operation => {
+    if (!config.operations[operation]) throw new Error(`Part code config has no code for operation "${operation}"`);
+  });
+
+  // Flat-rate lines carry no labor type, so they count as body or refinish labor
+  function laborType(line) {
+    if (line.type === 'labor') return line.laborType;
+    if (line.type === 'flat_rate') return line.category === 'paint' ? 'paint' : 'body';
+    return null;
+  }
+
+  function codeLine(line) {
+    const part = line.part ? config.parts[line.part] : null;
+    const operation = config.operations[line.operation];
+    const charge = config.charges[line.code] || null;
+    const labor = laborType(line);
+    if (line.part && !part) throw new Error(`No part code for part "${line.part}"`);
+    if (!operation) throw new Error(`No operation code for operation "${line.operation}"`);
+    if (labor && !config.laborTypes[labor]) throw new Error(`No labor type code for "${labor}"`);
+
+    return {
+      partCode: part ? part.code : null,
+      partDescription: part ? part.description : null,
+      partType: part ? part.partType : null,
+      operationCode: operation.code,
+      operationDescription: operation.description,
+      laborType: labor ? config.laborTypes[labor] : null,
+      chargeCode: charge ? charge.code : null,
+      chargeDescription: charge ? charge.description : null
+    };
+  }
+
+  return {
+    codeLine,
+    partCode: (part) => config.parts[part] || null,
+    laborTypeCode: (labor) => config.laborTypes[labor] || null
+  };
+}
+
+module.exports = { loadPartCodes };
@@ -0,0 +1,55 @@
+const { csvCell } = require('../csv');
+
+const COLUMNS = [
+  'claim_id', 'policy_number', 'loss_date', 'year', 'make', 'model', 'pricing_version',
+  'line', 'line_code', 'part', 'part_code', 'part_description', 'operation', 'operation_code', 'labor_type',
+  'description', 'quantity', 'hours', 'rate', 'amount', 'override_reason',
+  'estimate_low', 'estimate_high', 'estimate_midpoint', 'total_loss'
+];
+
+// One row per estimate line, each repeating the claim and the totals so the
+// file loads into a single table. An estimate without lines still gets a row.
+function renderEstimateCsv(claim, codes) {
+  const analysis = claim.analysis || {};
+  const costBreakdown = claim.costBreakdown;
+  const claimFields = {
+    claim_id: claim.id,
+    policy_number: claim.policyNumber,
+    loss_date: claim.lossDate,
+    year: analysis.year,
+    make: analysis.make,
+    model: analysis.model,
+    pricing_version: costBreakdown.pricingVersion,
+    estimate_low: costBreakdown.estimateRange.low,
+    estimate_high: costBreakdown.estimateRange.high,
+    estimate_midpoint: costBreakdown.midpoint,
+    total_loss: claim.totalLoss ? claim.totalLoss.verdict : null
+  };
+
+  const rows = costBreakdown.lineItems.map(line => {
+    const coded = codes.codeLine(line);
+    return {
+      ...claimFields,
+      line: line.line,
+      line_code: line.code,
+      part: line.part,
+      part_code: coded.partCode || coded.chargeCode,
+      part_description: coded.partDescription || coded.chargeDescription,
+      operation: line.operation,
+      operation_code: coded.operationCode,
+      labor_type: coded.laborType,
+      description: line.description,
+      quantity: line.quantity,
+      hours: line.hours,
+      rate: line.rate,
+      amount: line.amount,
+      override_reason: line.override ? line.override.reason : null
+    };
+  });
+  if (rows.length === 0) rows.push(claimFields);
+
+  const lines = [COLUMNS.join(',')].concat(rows.map(row => COLUMNS.map(column => csvCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { renderEstimateCsv, ESTIMATE_CSV_COLUMNS: COLUMNS };
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { loadPartCodes } = require('./codes');
+const { renderBmsEstimate } = require('./bms');
+const { renderAcordClaim } = require('./acord');
+const { renderEstimateCsv } = require('./csv');
+
+const EXPORT_FORMATS = {
+  bms: { contentType: 'application/xml; charset=utf-8', extension: 'xml', suffix: 'estimate-bms' },
+  acord: { contentType: 'application/xml; charset=utf-8', extension: 'xml', suffix: 'claim-acord' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', suffix: 'estimate' }
+};
+
+function exportError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Estimates for estimating and claims platforms. claim is a claim record, or
+// anything with the same analysis, costBreakdown, totalLoss, region,
+// policyNumber and lossDate fields.
+function createEstimateExporter({ codesFile }) {
+  const codes = loadPartCodes(codesFile);
+
+  function exportEstimate(claim, format, { generatedAt = new Date() } = {}) {
+    if (!EXPORT_FORMATS[format]) {
+      throw exportError(`Unknown export format "${format}", use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (!claim.costBreakdown) throw exportError('There is no estimate to export', 409);
+
+    const context = { generatedAt: generatedAt, requestId: crypto.randomUUID() };
+    if (format === 'bms') return Buffer.from(renderBmsEstimate(claim, codes, context));
+    if (format === 'acord') return Buffer.from(renderAcordClaim(claim, codes, context));
+    return Buffer.from(renderEstimateCsv(claim, codes));
+  }
+
+  return { exportEstimate };
+}
+
+module.exports = { createEstimateExporter, EXPORT_FORMATS };
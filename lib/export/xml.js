@@ -0,0 +1,44 @@
+// Just enough XML writing for the exporters: elements are built with el() and
+// rendered with two-space indentation
+function escapeXml(value) {
+  return String(value)
+    // Control characters are not allowed anywhere in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// content is text or an array of child elements. Elements without a value or
+// without children are left out, so optional fields can be passed as they are.
+function el(name, content, attributes = {}) {
+  if (content === null || content === undefined || content === '') return null;
+  if (Array.isArray(content)) {
+    const children = content.flat().filter(Boolean);
+    return children.length > 0 ? { name: name, attributes: attributes, children: children } : null;
+  }
+  return { name: name, attributes: attributes, text: String(content) };
+}
+
+function renderElement(node, depth) {
+  const indent = '  '.repeat(depth);
+  const attributes = Object.entries(node.attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+  if (!node.children) return `${indent}<${node.name}${attributes}>${escapeXml(node.text)}</${node.name}>`;
+  const children = node.children.map(child => renderElement(child, depth + 1)).join('\n');
+  return `${indent}<${node.name}${attributes}>\n${children}\n${indent}</${node.name}>`;
+}
+
+function renderXml(root) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderElement(root, 0)}\n`;
+}
+
+function xmlAmount(amount) {
+  return typeof amount === 'number' ? amount.toFixed(2) : null;
+}
+
+module.exports = { el, renderXml, escapeXml, xmlAmount };
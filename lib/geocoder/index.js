@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, 'us-zips.tsv.gz');
+
+const STATE_NAMES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+  KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts',
+  MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+  NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico',
+  NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+  OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington',
+  WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', AS: 'American Samoa', GU: 'Guam',
+  MP: 'Northern Mariana Islands', PR: 'Puerto Rico', VI: 'Virgin Islands', FM: 'Micronesia',
+  MH: 'Marshall Islands', PW: 'Palau'
+};
+
+// Spelled-out and abbreviated forms compare equal ("St. Louis", "Saint Louis")
+const ABBREVIATIONS = { st: 'saint', ste: 'sainte', ft: 'fort', mt: 'mount', pt: 'point' };
+
+function normalizeName(text) {
+  return String(text).toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+const STATE_CODES = {};
+Object.keys(STATE_NAMES).forEach(code => {
+  STATE_CODES[code.toLowerCase()] = code;
+  STATE_CODES[normalizeName(STATE_NAMES[code])] = code;
+});
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Splits "123 Main St, Portland, ME 04101" into a ZIP, a state and the comma
+// separated parts that may name the place, closest to the state first. A lone
+// word that is also a state name ("Kansas") is kept as a place name.
+function parseQuery(query) {
+  const text = String(query || '').trim();
+  const zipMatch = text.match(/\b(\d{5})(?:-\d{4})?\b/);
+  const parts = text.replace(/\b\d{5}(?:-\d{4})?\b/, ' ').split(',').map(normalizeName).filter(part => part);
+
+  let state = null;
+  if (parts.length > 0) {
+    const words = parts[parts.length - 1].split(' ');
+    for (let count = Math.min(3, words.length); count >= 1; count--) {
+      const code = STATE_CODES[words.slice(-count).join(' ')];
+      if (code && (count < words.length || parts.length > 1)) {
+        state = code;
+        parts[parts.length - 1] = words.slice(0, -count).join(' ');
+        break;
+      }
+    }
+  }
+
+  return { zip: zipMatch ? zipMatch[1] : null, state: state, placeNames: parts.filter(part => part).reverse() };
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// ZIP codes come from the data file; places are every city/state pair in it,
+// centered on the median of their ZIP codes so one misplaced ZIP cannot move them. The ZIP count stands in for size
+// when a bare city name matches several places.
+function loadGazetteer(rulesFile, calculateDistance, dataFile = DEFAULT_DATA_FILE) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  const lines = zlib.gunzipSync(fs.readFileSync(dataFile)).toString('utf8').trim().split('\n').slice(1);
+
+  const zips = new Map();
+  const placesByKey = new Map();
+  lines.forEach(line => {
+    const [zip, lat, lng, city, state] = line.split('\t');
+    const entry = { zip: zip, lat: parseFloat(lat), lng: parseFloat(lng), city: city, state: state };
+    zips.set(zip, entry);
+
+    const key = `${normalizeName(city)}|${state}`;
+    if (!placesByKey.has(key)) placesByKey.set(key, { key: normalizeName(city), city: city, state: state, lats: [], lngs: [] });
+    const place = placesByKey.get(key);
+    place.lats.push(entry.lat);
+    place.lngs.push(entry.lng);
+  });
+  const places = Array.from(placesByKey.values()).map(place => ({
+    key: place.key,
+    city: place.city,
+    state: place.state,
+    lat: round(median(place.lats)),
+    lng: round(median(place.lngs)),
+    zipCount: place.lats.length
+  }));
+
+  function zipLocation(entry) {
+    return { lat: entry.lat, lng: entry.lng, formatted_address: `${entry.city}, ${entry.state} ${entry.zip}`, city: entry.city, state: entry.state, zip: entry.zip };
+  }
+
+  function placeCandidate(place, score) {
+    return {
+      lat: place.lat,
+      lng: place.lng,
+      formatted_address: `${place.city}, ${place.state}`,
+      city: place.city,
+      state: place.state,
+      zip: null,
+      score: Math.round(score * 100) / 100,
+      zipCount: place.zipCount
+    };
+  }
+
+  // PO box and single-building ZIP codes are missing from the data; the numerically
+  // closest ZIP sharing the first three digits is in the same mail processing area
+  function closestZipInArea(zip) {
+    let closest = null;
+    zips.forEach(entry => {
+      if (entry.zip.slice(0, 3) !== zip.slice(0, 3)) return;
+      if (!closest || Math.abs(entry.zip - zip) < Math.abs(closest.zip - zip)) closest = entry;
+    });
+    return closest;
+  }
+
+  // Exact names score 1; near misses ("Pittsburg" for "Pittsburgh") score by edit distance
+  function matchPlaces(name, state) {
+    return places
+      .filter(place => !state || place.state === state)
+      .map(place => {
+        if (place.key === name) return placeCandidate(place, 1);
+        if (Math.abs(place.key.length - name.length) > 3) return null;
+        const score = 1 - levenshtein(place.key, name) / Math.max(place.key.length, name.length);
+        return score >= rules.minScore ? placeCandidate(place, score) : null;
+      })
+      .filter(candidate => candidate)
+      .sort((a, b) => b.score - a.score || b.zipCount - a.zipCount);
+  }
+
+  // Returns { status: 'found', location, candidates }, { status: 'ambiguous',
+  // candidates } or { status: 'not_found', message, candidates }
+  function geocode(query) {
+    const parsed = parseQuery(query);
+    if (parsed.zip && zips.has(parsed.zip)) {
+      return { status: 'found', match: 'zip', location: zipLocation(zips.get(parsed.zip)), candidates: [] };
+    }
+    // A ZIP missing from the data may be a PO box or may not exist at all, so the
+    // closest one in its area is only offered as a candidate
+    const nearbyZip = parsed.zip && parsed.placeNames.length === 0 ? closestZipInArea(parsed.zip) : null;
+    if (nearbyZip) {
+      return {
+        status: 'not_found',
+        message: `ZIP code ${parsed.zip} is not in the gazetteer; the closest ZIP code in its area is ${nearbyZip.zip} (${nearbyZip.city}, ${nearbyZip.state})`,
+        candidates: [{ ...zipLocation(nearbyZip), match: 'zip_area' }]
+      };
+    }
+
+    for (const name of parsed.placeNames) {
+      const candidates = matchPlaces(name, parsed.state);
+      if (candidates.length === 0) continue;
+
+      const top = candidates[0];
+      const rival = candidates.find(candidate => candidate !== top && candidate.score === top.score);
+      const others = candidates.slice(1, rules.maxCandidates);
+      if (!rival || top.zipCount > rules.dominanceRatio * rival.zipCount) {
+        return { status: 'found', match: top.score === 1 ? 'place' : 'fuzzy', location: top, candidates: others };
+      }
+      return {
+        status: 'ambiguous',
+        message: `"${String(query).trim()}" matches several places; add a state or ZIP code`,
+        candidates: candidates.slice(0, rules.maxCandidates)
+      };
+    }
+
+    const what = parsed.zip && parsed.placeNames.length === 0 ? `ZIP code ${parsed.zip}` : `"${String(query || '').trim()}"`;
+    return { status: 'not_found', message: `No US place or ZIP code matches ${what}${parsed.state ? ` in ${STATE_NAMES[parsed.state]}` : ''}`, candidates: [] };
+  }
+
+  // Nearest ZIP code to a point, or null when it is further than maxReverseMiles (outside the US)
+  function reverseGeocode(lat, lng) {
+    let nearest = null;
+    let nearestScore = Infinity;
+    const lngScale = Math.cos(lat * Math.PI / 180);
+    zips.forEach(entry => {
+      // Flat-earth distance is enough to compare neighbors
+      const score = (entry.lat - lat) ** 2 + ((entry.lng - lng) * lngScale) ** 2;
+      if (score < nearestScore) {
+        nearestScore = score;
+        nearest = entry;
+      }
+    });
+
+    const miles = nearest ? calculateDistance(lat, lng, nearest.lat, nearest.lng) : Infinity;
+    if (miles > rules.maxReverseMiles) return null;
+    return { ...zipLocation(nearest), distanceMiles: Math.round(miles * 10) / 10 };
+  }
+
+  return { geocode, reverseGeocode, zipCount: zips.size, placeCount: places.length };
+}
+
+module.exports = { loadGazetteer, STATE_NAMES };
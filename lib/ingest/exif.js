@@ -0,0 +1,173 @@
+// Minimal EXIF (TIFF) reader for the capture time and GPS position, and an
+// in-place GPS scrubber for when images are passed through without re-encoding
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const TAGS = {
+  orientation: 0x0112,
+  dateTime: 0x0132,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003,
+  gpsLatitudeRef: 1,
+  gpsLatitude: 2,
+  gpsLongitudeRef: 3,
+  gpsLongitude: 4
+};
+
+// Returns the TIFF block inside the container, as a view on the same memory
+function findExifBlock(buffer, mimeType) {
+  if (mimeType === 'image/jpeg') {
+    let offset = 2;
+    while (offset + 4 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xda) break;
+      if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+        return buffer.subarray(offset + 10, offset + 2 + length);
+      }
+      offset += 2 + length;
+    }
+    return null;
+  }
+
+  const chunkName = { 'image/png': 'eXIf', 'image/webp': 'EXIF' }[mimeType];
+  if (!chunkName) return null;
+  // PNG chunks are big-endian with a CRC; WebP chunks are little-endian and padded to even sizes
+  let offset = mimeType === 'image/png' ? 8 : 12;
+  while (offset + 8 <= buffer.length) {
+    const length = mimeType === 'image/png' ? buffer.readUInt32BE(offset) : buffer.readUInt32LE(offset + 4);
+    const name = mimeType === 'image/png'
+      ? buffer.toString('latin1', offset + 4, offset + 8)
+      : buffer.toString('latin1', offset, offset + 4);
+    if (name === chunkName) {
+      const block = buffer.subarray(offset + 8, offset + 8 + length);
+      return block.toString('latin1', 0, 6) === 'Exif\0\0' ? block.subarray(6) : block;
+    }
+    offset += mimeType === 'image/png' ? 12 + length : 8 + length + (length % 2);
+  }
+  return null;
+}
+
+function createTiffReader(tiff) {
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF block');
+  const little = order === 'II';
+  const u16 = (offset) => little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const u32 = (offset) => little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+  function entries(ifdOffset) {
+    if (!ifdOffset || ifdOffset + 2 > tiff.length) return [];
+    const count = u16(ifdOffset);
+    const list = [];
+    for (let i = 0; i < count; i++) {
+      const entryOffset = ifdOffset + 2 + i * 12;
+      if (entryOffset + 12 > tiff.length) break;
+      const type = u16(entryOffset + 2);
+      const valueCount = u32(entryOffset + 4);
+      const size = (TYPE_SIZES[type] || 1) * valueCount;
+      list.push({
+        tag: u16(entryOffset),
+        type: type,
+        count: valueCount,
+        size: size,
+        entryOffset: entryOffset,
+        // Values of four bytes or less are stored in the entry itself
+        valueOffset: size <= 4 ? entryOffset + 8 : u32(entryOffset + 8)
+      });
+    }
+    return list;
+  }
+
+  function ascii(entry) {
+    return tiff.toString('latin1', entry.valueOffset, entry.valueOffset + entry.count).replace(/\0.*$/, '');
+  }
+
+  function rationals(entry) {
+    const values = [];
+    for (let i = 0; i < entry.count; i++) {
+      const denominator = u32(entry.valueOffset + i * 8 + 4);
+      values.push(denominator ? u32(entry.valueOffset + i * 8) / denominator : 0);
+    }
+    return values;
+  }
+
+  return { u16, u32, entries, ascii, rationals, ifd0: u32(4) };
+}
+
+function parseExifDate(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  // EXIF times carry no time zone, so they are returned as local camera time
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : null;
+}
+
+function readExif(buffer, mimeType) {
+  const tiff = findExifBlock(buffer, mimeType);
+  if (!tiff) return null;
+
+  try {
+    const reader = createTiffReader(tiff);
+    const ifd0 = reader.entries(reader.ifd0);
+    const find = (list, tag) => list.find(entry => entry.tag === tag);
+
+    const orientationEntry = find(ifd0, TAGS.orientation);
+    const exifIfdEntry = find(ifd0, TAGS.exifIfd);
+    const exifEntries = exifIfdEntry ? reader.entries(reader.u32(exifIfdEntry.valueOffset)) : [];
+    const dateEntry = find(exifEntries, TAGS.dateTimeOriginal) || find(ifd0, TAGS.dateTime);
+
+    let gps = null;
+    const gpsIfdEntry = find(ifd0, TAGS.gpsIfd);
+    if (gpsIfdEntry) {
+      const gpsEntries = reader.entries(reader.u32(gpsIfdEntry.valueOffset));
+      const latitude = find(gpsEntries, TAGS.gpsLatitude);
+      const longitude = find(gpsEntries, TAGS.gpsLongitude);
+      if (latitude && longitude && latitude.count === 3 && longitude.count === 3) {
+        const toDegrees = ([degrees, minutes, seconds]) => degrees + minutes / 60 + seconds / 3600;
+        const latitudeRef = find(gpsEntries, TAGS.gpsLatitudeRef);
+        const longitudeRef = find(gpsEntries, TAGS.gpsLongitudeRef);
+        const lat = toDegrees(reader.rationals(latitude)) * (latitudeRef && reader.ascii(latitudeRef) === 'S' ? -1 : 1);
+        const lng = toDegrees(reader.rationals(longitude)) * (longitudeRef && reader.ascii(longitudeRef) === 'W' ? -1 : 1);
+        gps = { lat: Math.round(lat * 1e6) / 1e6, lng: Math.round(lng * 1e6) / 1e6 };
+      }
+    }
+
+    return {
+      takenAt: dateEntry ? parseExifDate(reader.ascii(dateEntry)) : null,
+      gps: gps,
+      orientation: orientationEntry ? reader.u16(orientationEntry.valueOffset) : null
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Empties the GPS directory and zeroes every value it pointed to. The buffer
+// is changed in place; returns whether anything was removed.
+function stripGps(buffer, mimeType) {
+  const tiff = findExifBlock(buffer, mimeType);
+  if (!tiff) return false;
+
+  try {
+    const reader = createTiffReader(tiff);
+    const gpsIfdEntry = reader.entries(reader.ifd0).find(entry => entry.tag === TAGS.gpsIfd);
+    if (!gpsIfdEntry) return false;
+
+    const gpsIfdOffset = reader.u32(gpsIfdEntry.valueOffset);
+    const gpsEntries = reader.entries(gpsIfdOffset);
+    if (gpsEntries.length === 0) return false;
+
+    gpsEntries.forEach(entry => {
+      if (entry.size > 4 && entry.valueOffset + entry.size <= tiff.length) {
+        tiff.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+      }
+      tiff.fill(0, entry.entryOffset, entry.entryOffset + 12);
+    });
+    // A directory with no entries is still valid TIFF
+    tiff.fill(0, gpsIfdOffset, gpsIfdOffset + 2);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { readExif, stripGps };
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { IMAGE_TYPES, parseDataUrl, sniffImageType, readImageSize } = require('./formats');
+const { readExif, stripGps } = require('./exif');
+const { fetchRemoteImage } = require('./remote');
+const { parseMultipart } = require('./multipart');
+
+// sharp is optional: without it images are still validated, hashed and
+// scrubbed of GPS, but they are passed on at their original size
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  sharp = null;
+}
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+function ingestError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function typeLabel(mimeType) {
+  return mimeType.replace('image/', '').toUpperCase();
+}
+
+function createImageIngestor(env, { allowMockImages = false } = {}) {
+  const maxBytes = parseInt(env.IMAGE_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+  const maxDimension = parseInt(env.IMAGE_MAX_DIMENSION, 10) || 12000;
+  const targetEdge = parseInt(env.IMAGE_TARGET_EDGE, 10) || 2048;
+  const keepGps = env.IMAGE_KEEP_GPS === 'true';
+  const fetchOptions = {
+    maxBytes: maxBytes,
+    timeoutMs: parseInt(env.IMAGE_FETCH_TIMEOUT_MS, 10) || 10000,
+    maxRedirects: 3,
+    allowPrivate: env.IMAGE_FETCH_ALLOW_PRIVATE === 'true'
+  };
+
+  async function reencode(buffer, mimeType) {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    let pipeline = sharp(buffer, { limitInputPixels: maxDimension * maxDimension })
+      .rotate()
+      .resize({ width: targetEdge, height: targetEdge, fit: 'inside', withoutEnlargement: true });
+    if (keepGps) pipeline = pipeline.withMetadata();
+
+    // GIFs are flattened to their first frame
+    const outputType = mimeType === 'image/gif' ? 'image/png' : mimeType;
+    if (outputType === 'image/jpeg') pipeline = pipeline.jpeg({ quality: 85 });
+    else if (outputType === 'image/webp') pipeline = pipeline.webp({ quality: 85 });
+    else pipeline = pipeline.png();
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return { buffer: data, mimeType: outputType, width: info.width, height: info.height };
+  }
+
+  async function normalize(buffer, declaredType, origin) {
+    const warnings = [];
+    if (buffer.length === 0) throw ingestError('Image is empty');
+    if (buffer.length > maxBytes) {
+      throw ingestError(`Image is ${buffer.length} bytes; the limit is ${maxBytes}`, 413);
+    }
+
+    // The bytes decide the type; a mislabeled image is accepted, a non-image is not
+    const mimeType = sniffImageType(buffer);
+    if (!mimeType) {
+      throw ingestError(`Unsupported image content; use ${IMAGE_TYPES.map(typeLabel).join(', ')}`, 415);
+    }
+    const declared = declaredType === 'image/jpg' ? 'image/jpeg' : declaredType;
+    if (declared && declared !== 'application/octet-stream' && declared !== mimeType) {
+      if (!declared.startsWith('image/')) {
+        throw ingestError(`Content type ${declared} is not an image`, 415);
+      }
+      warnings.push(`Image was labeled ${declared} but contains ${typeLabel(mimeType)}; treated as ${typeLabel(mimeType)}`);
+    }
+
+    const size = readImageSize(buffer, mimeType);
+    if (!size || !size.width || !size.height) throw ingestError('Image dimensions could not be read', 415);
+    if (size.width > maxDimension || size.height > maxDimension) {
+      throw ingestError(`Image is ${size.width}×${size.height}; the limit is ${maxDimension} pixels per side`, 413);
+    }
+
+    // Read before anything is stripped, so the capture time and place can still be checked
+    const exif = readExif(buffer, mimeType);
+
+    let output = { buffer: Buffer.from(buffer), mimeType: mimeType, width: size.width, height: size.height };
+    let gpsStripped = false;
+    if (sharp) {
+      try {
+        output = await reencode(buffer, mimeType);
+      } catch (error) {
+        throw ingestError(`Image could not be decoded: ${error.message}`, 415);
+      }
+      gpsStripped = !keepGps && !!(exif && exif.gps);
+    } else {
+      if (!keepGps) gpsStripped = stripGps(output.buffer, mimeType);
+      if (Math.max(size.width, size.height) > targetEdge) {
+        warnings.push(`Image is ${size.width}×${size.height} and was not downscaled to ${targetEdge} px because the sharp module is not installed`);
+      }
+    }
+
+    return {
+      dataUrl: `data:${output.mimeType};base64,${output.buffer.toString('base64')}`,
+      info: {
+        source: origin.source,
+        url: origin.url || null,
+        filename: origin.filename || null,
+        sha256: sha256(output.buffer),
+        originalSha256: sha256(buffer),
+        mimeType: output.mimeType,
+        width: output.width,
+        height: output.height,
+        bytes: output.buffer.length,
+        originalMimeType: mimeType,
+        originalWidth: size.width,
+        originalHeight: size.height,
+        originalBytes: buffer.length,
+        resized: Math.max(output.width, output.height) < Math.max(size.width, size.height),
+        reencoded: !!sharp,
+        gpsStripped: gpsStripped,
+        exif: exif ? { takenAt: exif.takenAt, gps: exif.gps } : null
+      },
+      warnings: warnings
+    };
+  }
+
+  // Accepts a data URL, an http(s) URL, a mock:// fixture name (mock provider
+  // only) or an uploaded file { buffer, contentType, filename }
+  async function ingest(input) {
+    if (input && Buffer.isBuffer(input.buffer)) {
+      return normalize(input.buffer, input.contentType, { source: 'upload', filename: input.filename });
+    }
+
+    const value = typeof input === 'string' ? input.trim() : '';
+    if (value.startsWith('mock://') && allowMockImages) {
+      return { dataUrl: value, info: { source: 'mock', sha256: sha256(value), originalSha256: sha256(value) }, warnings: [] };
+    }
+    if (value.startsWith('data:')) {
+      // Reject oversized payloads before decoding them
+      if (value.length * 0.75 > maxBytes + 1024) {
+        throw ingestError(`Image is larger than ${maxBytes} bytes`, 413);
+      }
+      const parsed = parseDataUrl(value);
+      if (!parsed) throw ingestError('Image data URLs must be base64 encoded');
+      return normalize(parsed.buffer, parsed.mimeType, { source: 'data_url' });
+    }
+    if (/^https?:\/\//i.test(value)) {
+      const downloaded = await fetchRemoteImage(value, fetchOptions);
+      return normalize(downloaded.buffer, downloaded.contentType, { source: 'url', url: downloaded.finalUrl });
+    }
+    throw ingestError('Images must be uploaded files, base64 data URLs or http(s) URLs');
+  }
+
+  return {
+    ingest,
+    maxBytes: maxBytes,
+    processor: sharp ? 'sharp' : null
+  };
+}
+
+module.exports = { createImageIngestor, parseMultipart };
@@ -0,0 +1,55 @@
+// Parses a buffered multipart/form-data body into text fields and files
+function parseMultipart(body, contentType) {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!boundaryMatch) {
+    const error = new Error('multipart/form-data request is missing its boundary');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--" after a delimiter closes the body
+    if (body.toString('latin1', partStart, partStart + 2) === '--') break;
+
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) break;
+    const part = body.subarray(partStart + 2, next - 2);
+    start = next;
+
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+    const headers = {};
+    part.toString('utf8', 0, headerEnd).split('\r\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    });
+
+    const disposition = headers['content-disposition'] || '';
+    const name = (/\bname="([^"]*)"/i.exec(disposition) || [])[1];
+    const filename = (/\bfilename="([^"]*)"/i.exec(disposition) || [])[1];
+    if (!name) continue;
+
+    const content = part.subarray(headerEnd + 4);
+    if (filename !== undefined) {
+      if (content.length === 0 && !filename) continue; // An empty file input
+      files.push({
+        fieldName: name,
+        filename: filename,
+        contentType: (headers['content-type'] || 'application/octet-stream').toLowerCase(),
+        buffer: Buffer.from(content)
+      });
+    } else {
+      fields[name] = content.toString('utf8');
+    }
+  }
+
+  return { fields, files };
+}
+
+module.exports = { parseMultipart };
@@ -0,0 +1,144 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+function fetchError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// The eight 16-bit groups of an IPv6 address, with a dotted IPv4 tail
+// ("::ffff:10.0.0.1") folded into the last two
+function ipv6Groups(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const ipv4Tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Tail) {
+    const [a, b, c, d] = ipv4Tail[1].split('.').map(Number);
+    text = text.slice(0, -ipv4Tail[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = text.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+  return headGroups.concat(Array(zeros).fill('0'), tailGroups).map(group => parseInt(group, 16));
+}
+
+function ipv4FromGroups(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+// Loopback, private, link-local and other addresses a public URL should never
+// reach. IPv6 forms that carry an IPv4 address (mapped, NAT64, 6to4) are
+// checked as that IPv4 address.
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || (a === 198 && (b === 18 || b === 19)) || a >= 224;
+  }
+
+  const groups = ipv6Groups(address);
+  const zeroUntil = (end) => groups.slice(0, end).every(group => group === 0);
+  // ::/96 (IPv4-compatible, including :: and ::1) and ::ffff:0:0/96 (IPv4-mapped)
+  if (zeroUntil(5) && (groups[5] === 0 || groups[5] === 0xffff)) return isPrivateAddress(ipv4FromGroups(groups[6], groups[7]));
+  // NAT64, 64:ff9b::/96; its local-use range 64:ff9b:1::/48 is private outright
+  if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+    return groups[2] !== 0 || groups.slice(3, 6).some(group => group !== 0) || isPrivateAddress(ipv4FromGroups(groups[6], groups[7]));
+  }
+  // 6to4, 2002::/16, with the IPv4 address in the next 32 bits
+  if (groups[0] === 0x2002) return isPrivateAddress(ipv4FromGroups(groups[1], groups[2]));
+  // Unique local fc00::/7, link-local fe80::/10, multicast ff00::/8 and Teredo 2001::/32
+  return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80 || (groups[0] & 0xff00) === 0xff00 ||
+    (groups[0] === 0x2001 && groups[1] === 0);
+}
+
+async function resolvePublicAddress(hostname, allowPrivate) {
+  const { address, family } = await dns.promises.lookup(hostname);
+  if (!allowPrivate && isPrivateAddress(address)) {
+    throw fetchError(`Image URL host ${hostname} resolves to a private address`);
+  }
+  return { address, family };
+}
+
+// Downloads an image URL with a size cap, a timeout and a redirect limit.
+// The connection is pinned to the address that was checked, so a second DNS
+// answer cannot point it at an internal host.
+async function fetchRemoteImage(imageUrl, options, redirects = 0) {
+  let target;
+  try {
+    target = new URL(imageUrl);
+  } catch (error) {
+    throw fetchError(`Invalid image URL "${imageUrl}"`);
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw fetchError('Image URLs must use http or https');
+  }
+
+  const resolved = await resolvePublicAddress(target.hostname, options.allowPrivate);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(target, {
+      timeout: options.timeoutMs,
+      headers: { 'User-Agent': 'car-damage-assessment/2.0', Accept: 'image/*' },
+      lookup: (hostname, lookupOptions, callback) => {
+        if (lookupOptions.all) callback(null, [resolved]);
+        else callback(null, resolved.address, resolved.family);
+      }
+    }, (response) => {
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= options.maxRedirects) {
+          reject(fetchError('Image URL redirected too many times'));
+          return;
+        }
+        resolve(fetchRemoteImage(new URL(response.headers.location, target).toString(), options, redirects + 1));
+        return;
+      }
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(fetchError(`Image URL returned HTTP ${response.statusCode}`, 422));
+        return;
+      }
+
+      const declaredLength = parseInt(response.headers['content-length'], 10);
+      if (declaredLength > options.maxBytes) {
+        response.destroy();
+        reject(fetchError(`Image at URL is larger than ${options.maxBytes} bytes`, 413));
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > options.maxBytes) {
+          response.destroy();
+          reject(fetchError(`Image at URL is larger than ${options.maxBytes} bytes`, 413));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        resolve({
+          buffer: Buffer.concat(chunks),
+          contentType: (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+          finalUrl: target.toString()
+        });
+      });
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => {
+      request.destroy();
+      reject(fetchError(`Image URL did not respond within ${options.timeoutMs} ms`, 422));
+    });
+    request.on('error', (error) => {
+      reject(error.statusCode ? error : fetchError(`Could not download image URL: ${error.message}`, 422));
+    });
+  });
+}
+
+module.exports = { fetchRemoteImage };
@@ -0,0 +1,47 @@
+const { csvCell } = require('../csv');
+
+const SEVERITY_ORDER = ['minor', 'moderate', 'severe', 'catastrophic'];
+
+const COLUMNS = [
+  'item', 'ref', 'status', 'make', 'model', 'year', 'color', 'parts', 'severity',
+  'estimate_low', 'estimate_high', 'estimate_midpoint', 'total_loss', 'confidence', 'error'
+];
+
+function worstSeverity(parts) {
+  return parts.reduce((worst, part) =>
+    SEVERITY_ORDER.indexOf(part.severity) > SEVERITY_ORDER.indexOf(worst) ? part.severity : worst, null);
+}
+
+function itemRow(item) {
+  const result = item.result || {};
+  const parts = result.parts || [];
+  const range = result.estimateRange || {};
+  return {
+    item: item.index,
+    ref: item.ref,
+    status: item.status,
+    make: result.make,
+    model: result.model,
+    year: result.year,
+    color: result.color,
+    parts: parts.map(part => `${part.part}:${part.severity}`).join('; '),
+    severity: worstSeverity(parts),
+    estimate_low: range.low,
+    estimate_high: range.high,
+    estimate_midpoint: result.midpoint,
+    total_loss: result.totalLossVerdict,
+    confidence: result.confidence,
+    error: item.error ? item.error.message : null
+  };
+}
+
+// One row per photo of the job, in the order they were sent
+function jobResultsCsv(job) {
+  const lines = [COLUMNS.join(',')].concat(job.items.map(item => {
+    const row = itemRow(item);
+    return COLUMNS.map(column => csvCell(row[column])).join(',');
+  }));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { jobResultsCsv };
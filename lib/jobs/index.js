@@ -0,0 +1,264 @@
+const fs = require('fs');
+const { createJobStore } = require('./store');
+const { jobResultsCsv } = require('./csv');
+const { logger } = require('../observability');
+
+const ITEM_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+
+function jobError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Upstream trouble and spent budgets pass; bad photos and bugs don't
+function isRetryable(error) {
+  return !!error.retryable || error.code === 'BUDGET_EXHAUSTED' || [429, 503, 504].includes(error.statusCode);
+}
+
+function countItems(items) {
+  const counts = { total: items.length };
+  ITEM_STATUSES.forEach(status => {
+    counts[status] = items.filter(item => item.status === status).length;
+  });
+  return counts;
+}
+
+function jobStatus(counts) {
+  if (counts.running > 0 || (counts.queued > 0 && counts.queued < counts.total)) return 'running';
+  if (counts.queued > 0) return 'queued';
+  if (counts.cancelled > 0) return 'cancelled';
+  return counts.failed > 0 ? 'completed_with_errors' : 'completed';
+}
+
+// What the API shows of a job; items only when asked for
+function describeJob(job, { items = false } = {}) {
+  const { items: jobItems, ...fields } = job;
+  const described = { ...fields, counts: countItems(jobItems) };
+  if (items) {
+    described.items = jobItems.map(({ input, ...item }) => ({ ...item, source: input.url ? input.url : input.type }));
+  }
+  return described;
+}
+
+// Batch analyses. A job holds many photos (items); a pool of `concurrency`
+// workers shared by every job analyzes them oldest job first with
+// processItem(job, item, input), where input is what the image ingestor takes.
+// Items that fail because of upstream trouble or a spent budget are retried
+// after a while, up to maxAttempts; failed items can also be retried by hand.
+// Jobs are saved after every item, and items that were running when the server
+// stopped are queued again when it starts.
+function createJobQueue({ rulesFile, dataDir, concurrency, processItem, onItemFinished = () => {} }) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  const workers = Math.max(1, parseInt(concurrency, 10) || rules.concurrency);
+  const store = createJobStore(dataDir);
+  const jobs = new Map();
+  let running = 0;
+  let timer = null;
+
+  store.loadJobs().forEach(job => {
+    job.items.forEach(item => {
+      if (item.status === 'running') item.status = 'queued';
+    });
+    jobs.set(job.id, job);
+  });
+
+  function touch(job) {
+    job.updatedAt = new Date().toISOString();
+    job.status = jobStatus(countItems(job.items));
+    if (['completed', 'completed_with_errors', 'cancelled'].includes(job.status) && !job.finishedAt) {
+      job.finishedAt = job.updatedAt;
+      logger.info('Job finished', { jobId: job.id, status: job.status, counts: countItems(job.items) });
+    }
+    return store.saveJob(job);
+  }
+
+  // The next queued item whose retry time has come, from the oldest job
+  function nextItem() {
+    const now = Date.now();
+    const ordered = [...jobs.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of ordered) {
+      const item = job.items.find(entry => entry.status === 'queued' && (!entry.notBefore || Date.parse(entry.notBefore) <= now));
+      if (item) return { job, item };
+    }
+    return null;
+  }
+
+  function retryDelay(attempts, error) {
+    const backoff = Math.min(rules.maxRetryDelayMs, rules.retryDelayMs * 2 ** (attempts - 1));
+    return Math.max(backoff, (error.retryAfterSeconds || 0) * 1000);
+  }
+
+  async function run(job, item) {
+    item.status = 'running';
+    item.attempts++;
+    item.startedAt = new Date().toISOString();
+    item.notBefore = null;
+    await touch(job);
+
+    try {
+      const input = item.input.url || await store.readInput(job.id, item.input.file);
+      const ingestInput = item.input.type === 'upload'
+        ? { buffer: input, contentType: item.input.contentType, filename: item.input.filename }
+        : input.toString();
+      item.result = await processItem(job, item, ingestInput);
+      item.status = 'done';
+      item.error = null;
+    } catch (error) {
+      item.error = { message: error.message, code: error.code || null, status: error.statusCode || 500 };
+      if (isRetryable(error) && item.attempts < rules.maxAttempts) {
+        const delay = retryDelay(item.attempts, error);
+        item.status = 'queued';
+        item.notBefore = new Date(Date.now() + delay).toISOString();
+        logger.warn('Retrying job item', { jobId: job.id, item: item.index, attempt: item.attempts, delayMs: delay, reason: error.message });
+      } else {
+        item.status = 'failed';
+        logger.warn('Job item failed', { jobId: job.id, item: item.index, attempts: item.attempts, reason: error.message });
+      }
+    }
+    item.finishedAt = item.status === 'queued' ? null : new Date().toISOString();
+    // A job deleted while its item ran is gone for good
+    if (!jobs.has(job.id)) return;
+    if (item.status !== 'queued') onItemFinished(job, item);
+    await touch(job);
+  }
+
+  // Starts items until every worker is busy, then waits for the next retry time
+  function pump() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    while (running < workers) {
+      const next = nextItem();
+      if (!next) break;
+      running++;
+      run(next.job, next.item)
+        .catch(error => logger.error('Job worker failed', { jobId: next.job.id, error: error }))
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+
+    const waiting = [...jobs.values()]
+      .flatMap(job => job.items.filter(item => item.status === 'queued' && item.notBefore))
+      .map(item => Date.parse(item.notBefore))
+      .sort((a, b) => a - b)[0];
+    if (waiting !== undefined && running < workers) {
+      timer = setTimeout(pump, Math.max(0, waiting - Date.now()));
+      timer.unref();
+    }
+  }
+
+  // sources are { image } with a data URL or http(s) URL, or uploaded files
+  // ({ buffer, contentType, filename }), each with an optional ref to tell the
+  // results apart, such as a VIN or file name. options and cacheMode are kept
+  // with the job for processItem.
+  async function submit({ ownerId, options = {}, cacheMode = 'use', sources }) {
+    if (!Array.isArray(sources) || sources.length === 0) throw jobError('A job needs at least one photo');
+    if (sources.length > rules.maxItems) throw jobError(`A job can include at most ${rules.maxItems} photos`);
+
+    const inputs = [];
+    const items = sources.map((source, index) => {
+      const number = String(index + 1).padStart(4, '0');
+      let input;
+      if (source.buffer) {
+        input = { type: 'upload', file: number, contentType: source.contentType, filename: source.filename || null };
+        inputs.push({ file: number, data: source.buffer });
+      } else if (/^data:/.test(source.image)) {
+        input = { type: 'data_url', file: number };
+        inputs.push({ file: number, data: source.image });
+      } else if (/^(https?|mock):\/\//.test(source.image)) {
+        input = { type: 'url', url: source.image };
+      } else {
+        throw jobError(`Photo ${index + 1} is not an uploaded file, a data URL or an http(s) URL`);
+      }
+      return {
+        index: index + 1,
+        ref: source.ref ? String(source.ref).slice(0, 200) : (source.filename || null),
+        input: input,
+        status: 'queued',
+        attempts: 0,
+        notBefore: null,
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null
+      };
+    });
+
+    const now = new Date().toISOString();
+    const job = await store.createJob({
+      ownerId: ownerId,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      status: 'queued',
+      options: options,
+      cacheMode: cacheMode,
+      items: items
+    }, inputs);
+    jobs.set(job.id, job);
+    logger.info('Job queued', { jobId: job.id, items: items.length });
+    pump();
+    return job;
+  }
+
+  // indexes limits the retry to some of the failed items
+  async function retry(id, indexes = null) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    const retried = job.items.filter(item =>
+      ['failed', 'cancelled'].includes(item.status) && (!indexes || indexes.includes(item.index))
+    );
+    retried.forEach(item => {
+      item.status = 'queued';
+      item.attempts = 0;
+      item.notBefore = null;
+      item.error = null;
+    });
+    if (retried.length > 0) job.finishedAt = null;
+    await touch(job);
+    pump();
+    return { job: job, retried: retried.length };
+  }
+
+  // Items already running finish; the rest are not analyzed
+  async function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    job.items.forEach(item => {
+      if (item.status === 'queued') item.status = 'cancelled';
+    });
+    await touch(job);
+    return job;
+  }
+
+  async function remove(id) {
+    if (!jobs.has(id)) return false;
+    jobs.delete(id);
+    await store.deleteJob(id);
+    return true;
+  }
+
+  function stats() {
+    const counts = countItems([...jobs.values()].flatMap(job => job.items));
+    return { jobs: jobs.size, workers: workers, busy: running, queued: counts.queued, failed: counts.failed };
+  }
+
+  // Items left by the last run start now
+  pump();
+
+  return {
+    submit,
+    get: (id) => jobs.get(id) || null,
+    list: (visible = () => true) => [...jobs.values()].filter(visible).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    retry,
+    cancel,
+    remove,
+    stats,
+    maxRequestBytes: rules.maxRequestBytes,
+    maxConcurrentUploads: rules.maxConcurrentUploads
+  };
+}
+
+module.exports = { createJobQueue, describeJob, jobResultsCsv, ITEM_STATUSES };
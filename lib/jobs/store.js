@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../observability');
+
+function generateJobId() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `JOB-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+// Each job is a directory under <dataDir>/jobs: job.json with the items and
+// their results, and inputs/ with the uploaded photos and data URLs until the
+// job is deleted. Photos given as URLs are downloaded when they are analyzed.
+function createJobStore(dataDir) {
+  const jobsDir = path.join(dataDir, 'jobs');
+  fs.mkdirSync(jobsDir, { recursive: true });
+
+  const jobDir = (id) => path.join(jobsDir, id);
+  const jobFile = (id) => path.join(jobDir(id), 'job.json');
+  const inputFile = (id, file) => path.join(jobDir(id), 'inputs', file);
+
+  // Every job is read once at startup; from then on the queue keeps them in memory
+  function loadJobs() {
+    return fs.readdirSync(jobsDir)
+      .filter(name => /^JOB-[0-9A-Z-]+$/.test(name))
+      .map(name => {
+        try {
+          return JSON.parse(fs.readFileSync(jobFile(name), 'utf8'));
+        } catch (error) {
+          logger.error('Could not load job', { jobId: name, error: error.message });
+          return null;
+        }
+      })
+      .filter(job => job !== null);
+  }
+
+  // Writes of one job are chained so two changes never interleave
+  const writing = new Map();
+  function saveJob(job) {
+    const snapshot = JSON.stringify(job, null, 2);
+    const previous = writing.get(job.id) || Promise.resolve();
+    const next = previous.then(async () => {
+      const tempFile = `${jobFile(job.id)}.tmp`;
+      await fs.promises.writeFile(tempFile, snapshot);
+      await fs.promises.rename(tempFile, jobFile(job.id));
+    }).catch(error => logger.error('Could not save job', { jobId: job.id, error: error.message }));
+    writing.set(job.id, next);
+    return next;
+  }
+
+  // inputs are { file, data } pairs written next to the job before it is queued
+  async function createJob(fields, inputs) {
+    const job = { id: generateJobId(), ...fields };
+    await fs.promises.mkdir(path.join(jobDir(job.id), 'inputs'), { recursive: true });
+    for (const input of inputs) {
+      await fs.promises.writeFile(inputFile(job.id, input.file), input.data);
+    }
+    await saveJob(job);
+    return job;
+  }
+
+  function readInput(jobId, file) {
+    return fs.promises.readFile(inputFile(jobId, file));
+  }
+
+  async function deleteJob(id) {
+    await (writing.get(id) || Promise.resolve());
+    writing.delete(id);
+    await fs.promises.rm(jobDir(id), { recursive: true, force: true });
+  }
+
+  return { loadJobs, createJob, saveJob, readInput, deleteJob };
+}
+
+module.exports = { createJobStore };
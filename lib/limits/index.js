@@ -0,0 +1,4 @@
+const { createRateLimiter } = require('./rate-limiter');
+const { createSpendBudgets } = require('./spend-budgets');
+
+module.exports = { createRateLimiter, createSpendBudgets };
@@ -0,0 +1,59 @@
+const fs = require('fs');
+
+// Token buckets per client and limit name. A bucket holds as many requests as
+// the limit and refills completely over windowSeconds, so a short burst goes
+// through but a loop is held to the average rate. Clients are API keys when one
+// is used and IP addresses otherwise, each with their own limit.
+function createRateLimiter(rulesFile) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  const windowMs = rules.windowSeconds * 1000;
+  const buckets = new Map();
+
+  function capacity(name, client) {
+    const limit = rules.limits[name];
+    return client.type === 'apiKey' ? limit.perApiKey : limit.perIp;
+  }
+
+  function refill(bucket, size, now) {
+    bucket.tokens = Math.min(size, bucket.tokens + (now - bucket.updatedAt) * size / windowMs);
+    bucket.updatedAt = now;
+  }
+
+  // Buckets that have refilled are the same as no bucket; drop those first, then the oldest
+  function prune(now) {
+    if (buckets.size < rules.maxTrackedClients) return;
+    for (const [key, bucket] of buckets) {
+      refill(bucket, bucket.size, now);
+      if (bucket.tokens >= bucket.size) buckets.delete(key);
+    }
+    while (buckets.size >= rules.maxTrackedClients) buckets.delete(buckets.keys().next().value);
+  }
+
+  // Takes one request from the client's bucket. client is { type: 'apiKey' | 'ip', id }.
+  // Returns { allowed, limit, remaining, retryAfterSeconds }.
+  function take(name, client) {
+    if (!rules.limits[name]) throw new Error(`Unknown rate limit "${name}"`);
+    const size = capacity(name, client);
+    const now = Date.now();
+    const key = `${name}|${client.type}|${client.id}`;
+
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      prune(now);
+      bucket = { size: size, tokens: size, updatedAt: now };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, size, now);
+
+    if (bucket.tokens < 1) {
+      const retryAfterSeconds = Math.ceil((1 - bucket.tokens) * windowMs / size / 1000);
+      return { allowed: false, limit: size, remaining: 0, retryAfterSeconds: retryAfterSeconds };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, limit: size, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+  }
+
+  return { take, windowSeconds: rules.windowSeconds };
+}
+
+module.exports = { createRateLimiter };
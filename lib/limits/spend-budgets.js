@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../observability');
+
+const PERIODS = ['daily', 'monthly'];
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Budgets reset at midnight UTC and on the first of the month
+function currentPeriods(now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  return {
+    daily: { key: now.toISOString().slice(0, 10), resetsAt: new Date(Date.UTC(year, month, now.getUTCDate() + 1)) },
+    monthly: { key: now.toISOString().slice(0, 7), resetsAt: new Date(Date.UTC(year, month + 1, 1)) }
+  };
+}
+
+// Tracks what the paid upstream APIs have cost today and this month. Vision
+// spend is priced from the token usage the provider reports, Places spend from
+// a price per call. Totals are kept in <dataDir>/spend.json so a restart does
+// not hand out a fresh budget.
+function createSpendBudgets({ rulesFile, dataDir }) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  fs.mkdirSync(dataDir, { recursive: true });
+  const spendFile = path.join(dataDir, 'spend.json');
+
+  let spend = { daily: {}, monthly: {} };
+  try {
+    spend = JSON.parse(fs.readFileSync(spendFile, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Writes are chained so two changes never interleave
+  let writing = Promise.resolve();
+  function save() {
+    const snapshot = JSON.stringify(spend, null, 2);
+    writing = writing.then(async () => {
+      const tempFile = `${spendFile}.tmp`;
+      await fs.promises.writeFile(tempFile, snapshot);
+      await fs.promises.rename(tempFile, spendFile);
+    }).catch(error => logger.warn('Could not save spend totals', { error: error.message }));
+    return writing;
+  }
+
+  function spent(source, period, periods) {
+    const totals = spend[period][periods[period].key];
+    return (totals && totals[source]) || 0;
+  }
+
+  function record(source, usd) {
+    if (!(usd > 0)) return;
+    const periods = currentPeriods();
+    PERIODS.forEach(period => {
+      // Only the current day and month are kept
+      const key = periods[period].key;
+      if (!spend[period][key]) spend[period] = { [key]: {} };
+      spend[period][key][source] = roundUsd(spent(source, period, periods) + usd);
+    });
+    save();
+  }
+
+  function visionCost(model, usage) {
+    const prices = rules.visionPrices[model] || rules.visionPrices.default;
+    return ((usage.prompt_tokens || 0) * prices.inputPerMillion + (usage.completion_tokens || 0) * prices.outputPerMillion) / 1e6;
+  }
+
+  function recordVisionUsage(model, usage) {
+    if (usage) record('vision', visionCost(model, usage));
+  }
+
+  function recordPlacesCall(kind) {
+    const price = rules.placesPrices[kind];
+    if (price === undefined) throw new Error(`No Places price for "${kind}"`);
+    record('places', price);
+  }
+
+  // The first budget of source that is used up, as { period, resetsAt }, or null
+  function exhausted(source) {
+    const budget = rules.budgets[source];
+    if (!budget) return null;
+    const periods = currentPeriods();
+    for (const period of PERIODS) {
+      const limit = budget[`${period}Usd`];
+      if (limit && spent(source, period, periods) >= limit) {
+        return { period: period, resetsAt: periods[period].resetsAt.toISOString() };
+      }
+    }
+    return null;
+  }
+
+  // 503 with the seconds until the budget resets, for a Retry-After header
+  function exhaustedError(source) {
+    const state = exhausted(source);
+    const error = new Error(`The ${state.period} ${source} budget is used up until ${state.resetsAt}; only cached answers are available`);
+    error.statusCode = 503;
+    error.code = 'BUDGET_EXHAUSTED';
+    error.upstream = source;
+    error.retryAfterSeconds = Math.max(1, Math.ceil((Date.parse(state.resetsAt) - Date.now()) / 1000));
+    return error;
+  }
+
+  function state() {
+    const periods = currentPeriods();
+    const bySource = {};
+    Object.keys(rules.budgets).forEach(source => {
+      bySource[source] = { exhausted: exhausted(source) };
+      PERIODS.forEach(period => {
+        const limit = rules.budgets[source][`${period}Usd`] || null;
+        const used = spent(source, period, periods);
+        bySource[source][period] = {
+          limitUsd: limit,
+          spentUsd: roundUsd(used),
+          remainingUsd: limit ? roundUsd(Math.max(0, limit - used)) : null,
+          resetsAt: periods[period].resetsAt.toISOString()
+        };
+      });
+    });
+    return bySource;
+  }
+
+  function exhaustedSources() {
+    return Object.keys(rules.budgets).filter(source => exhausted(source));
+  }
+
+  return { recordVisionUsage, recordPlacesCall, exhausted, exhaustedError, exhaustedSources, state };
+}
+
+module.exports = { createSpendBudgets, currentPeriods };
@@ -0,0 +1,5 @@
+const { logger, createLogger, requestContext, LOG_FORMATS } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { redact } = require('./redact');
+
+module.exports = { logger, createLogger, requestContext, LOG_FORMATS, createMetrics, redact };
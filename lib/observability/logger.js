@@ -0,0 +1,63 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact, redactString } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['json', 'pretty'];
+
+// Fields of the request being handled (its id, and the user once known); every
+// line logged while handling it carries them
+const requestContext = new AsyncLocalStorage();
+
+function formatPretty(entry) {
+  const { time, level, msg, requestId, ...fields } = entry;
+  const extra = Object.keys(fields).map(field => `${field}=${typeof fields[field] === 'string' ? fields[field] : JSON.stringify(fields[field])}`);
+  return [time.slice(11, 23), level.toUpperCase().padEnd(5), requestId ? `[${requestId}]` : null, msg, ...extra].filter(Boolean).join(' ');
+}
+
+function writeLine(levelName, line) {
+  (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// Loggers made by child() share their parent's settings and output
+function buildLogger(settings, write, fields) {
+  function log(levelName, message, details) {
+    if (LEVELS[levelName] < LEVELS[settings.level]) return;
+    const detailFields = details instanceof Error ? { error: details } : details;
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg: redactString(String(message)),
+      ...requestContext.getStore(),
+      ...redact({ ...fields, ...detailFields })
+    };
+    write(levelName, settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  }
+
+  return {
+    debug: (message, details) => log('debug', message, details),
+    info: (message, details) => log('info', message, details),
+    warn: (message, details) => log('warn', message, details),
+    error: (message, details) => log('error', message, details),
+    child: (childFields) => buildLogger(settings, write, { ...fields, ...childFields }),
+    isEnabled: (levelName) => LEVELS[levelName] >= LEVELS[settings.level],
+    // Level and format come from the environment, which is read after modules load
+    configure: ({ level, format } = {}) => {
+      if (level && LEVELS[level]) settings.level = level;
+      if (format && LOG_FORMATS.includes(format)) settings.format = format;
+    },
+    settings: settings
+  };
+}
+
+// Leveled logger writing one JSON object per line, or readable lines with
+// format "pretty". logger.info(message, details) takes an object of fields or
+// an Error; everything is redacted before it is written.
+function createLogger({ level = 'info', format = 'json', fields = {}, write = writeLine } = {}) {
+  const settings = { level: LEVELS[level] ? level : 'info', format: LOG_FORMATS.includes(format) ? format : 'json' };
+  return buildLogger(settings, write, fields);
+}
+
+// The process-wide logger the server and the lib modules share
+const logger = createLogger();
+
+module.exports = { logger, createLogger, requestContext, LEVELS, LOG_FORMATS };
@@ -0,0 +1,105 @@
+// Prometheus metrics kept in memory and rendered in the text exposition format.
+// Label values are kept per series, so labels must come from small fixed sets
+// (route templates, not raw paths).
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) return '';
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+function seriesKey(labelNames, labels) {
+  return labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])).join('\u0000');
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach(name => {
+    picked[name] = labels[name] === undefined ? '' : labels[name];
+  });
+  return picked;
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    const metric = {
+      name: name,
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+        series.get(key).value += value;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        series.forEach(entry => lines.push(`${name}${labelText(entry.labels)} ${entry.value}`));
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const series = new Map();
+    const metric = {
+      name: name,
+      observe(labels = {}, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        series.forEach(entry => {
+          buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${labelText({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${labelText({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${name}_sum${labelText(entry.labels)} ${Math.round(entry.sum * 1e6) / 1e6}`);
+          lines.push(`${name}_count${labelText(entry.labels)} ${entry.count}`);
+        });
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Values read when the metrics are scraped; read() returns [{ labels, value }]
+  function gauge(name, help, read) {
+    const metric = {
+      name: name,
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+        read().forEach(entry => lines.push(`${name}${labelText(entry.labels || {})} ${entry.value}`));
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function render() {
+    return metrics.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createMetrics, DURATION_BUCKETS };
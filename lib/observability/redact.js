@@ -0,0 +1,62 @@
+// Fields that never reach the logs: credentials, photos and personal details
+const SECRET_FIELDS = /^(password|passwordHash|newPassword|token|secret|apiKey|api_key|key|keyHash|authorization|cookie|set-cookie|x-api-key)$/i;
+const IMAGE_FIELDS = /^(imageData|dataUrl|image|images|buffer|thumbnail)$/i;
+const PERSONAL_FIELDS = /^(policyNumber|email|phone|formatted_phone_number|address|formatted_address|vicinity|notes|vin|licensePlate)$/i;
+const COORDINATE_FIELDS = /^(lat|lng|latitude|longitude)$/i;
+
+const MAX_DEPTH = 6;
+const MAX_STRING = 2000;
+
+// Secrets and personal data that turn up inside strings, such as URLs and messages
+const STRING_PATTERNS = [
+  [/data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g, match => `[data URL, ${match.length} chars]`],
+  [/([?&](?:key|api_key|token)=)[^&\s"]+/gi, '$1[redacted]'],
+  [/\b(Bearer\s+)[\w.~+/-]+=*/gi, '$1[redacted]'],
+  [/\bsk-[\w-]{10,}/g, 'sk-[redacted]'],
+  [/\b(cia_[0-9a-f]{8}_)[0-9a-f]{48}\b/g, '$1[redacted]'],
+  [/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[A-Za-z]{2,}\b/g, '[email]'],
+  [/\b[A-Za-z0-9+/]{200,}={0,2}/g, match => `[base64, ${match.length} chars]`]
+];
+
+function redactString(text) {
+  let redacted = STRING_PATTERNS.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), text);
+  if (redacted.length > MAX_STRING) redacted = `${redacted.slice(0, MAX_STRING)}... [${redacted.length - MAX_STRING} more chars]`;
+  return redacted;
+}
+
+function describeError(error) {
+  const described = { message: redactString(error.message), name: error.name };
+  ['code', 'statusCode', 'upstream', 'upstreamStatus'].forEach(field => {
+    if (error[field] !== undefined && error[field] !== null) described[field] = error[field];
+  });
+  if (error.stack) described.stack = redactString(error.stack);
+  return described;
+}
+
+// A copy of value that is safe to log. Coordinates are rounded to about a
+// kilometre, which is enough to follow a request without placing a home.
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (value instanceof Error) return describeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1, seen));
+  const copy = {};
+  Object.keys(value).forEach(field => {
+    const fieldValue = value[field];
+    if (SECRET_FIELDS.test(field)) copy[field] = '[redacted]';
+    else if (IMAGE_FIELDS.test(field) && fieldValue) copy[field] = typeof fieldValue === 'string' ? `[image, ${fieldValue.length} chars]` : '[image]';
+    else if (PERSONAL_FIELDS.test(field) && fieldValue) copy[field] = '[personal]';
+    else if (COORDINATE_FIELDS.test(field) && typeof fieldValue === 'number') copy[field] = Math.round(fieldValue * 100) / 100;
+    else copy[field] = redact(fieldValue, depth + 1, seen);
+  });
+  return copy;
+}
+
+module.exports = { redact, redactString };
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const { PARTS, SEVERITIES } = require('./vision/assessment-schema');
+
+const COMMON_FIELDS = ['id', 'version', 'effectiveFrom', 'surcharges', 'minimumTotal', 'confidenceRanges'];
+
+// Older profile versions price each part as one flat amount; these fields define that table
+const FLAT_RATE_FIELDS = ['partCosts', 'defaultPartCost', 'severityMultipliers', 'paint'];
+
+function validateEstimating(estimating, file) {
+  const { laborRates, operations } = estimating;
+  if (!laborRates || typeof laborRates.paint !== 'number') {
+    throw new Error(`Pricing profile ${file} needs estimating.laborRates with at least a paint rate`);
+  }
+  if (!SEVERITIES.includes(estimating.replaceFromSeverity)) {
+    throw new Error(`Pricing profile ${file} has an invalid estimating.replaceFromSeverity`);
+  }
+
+  const missingParts = PARTS.filter(part => !operations || !operations[part]);
+  if (missingParts.length > 0) {
+    throw new Error(`Pricing profile ${file} has no estimating operations for: ${missingParts.join(', ')}`);
+  }
+
+  Object.entries(operations).forEach(([part, operation]) => {
+    if (typeof laborRates[operation.laborType] !== 'number') {
+      throw new Error(`Pricing profile ${file} operation ${part} uses unknown labor type "${operation.laborType}"`);
+    }
+    if (!operation.replaceOnly && !operation.repairHours) {
+      throw new Error(`Pricing profile ${file} operation ${part} needs repairHours or replaceOnly`);
+    }
+    if (!operation.repairOnly && typeof operation.partPrice !== 'number') {
+      throw new Error(`Pricing profile ${file} operation ${part} needs a partPrice or repairOnly`);
+    }
+  });
+}
+
+function validateProfile(profile, file) {
+  const required = profile.estimating ? COMMON_FIELDS : COMMON_FIELDS.concat(FLAT_RATE_FIELDS);
+  const missing = required.filter(field => profile[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Pricing profile ${file} is missing: ${missing.join(', ')}`);
+  }
+  if (!/^[a-z0-9-]+$/.test(profile.id)) {
+    throw new Error(`Pricing profile ${file} has an invalid id "${profile.id}"`);
+  }
+  if (profile.estimating) {
+    validateEstimating(profile.estimating, file);
+  } else if (!Array.isArray(profile.paint.panels) || typeof profile.paint.perPanel !== 'number') {
+    throw new Error(`Pricing profile ${file} needs paint.perPanel and paint.panels`);
+  }
+  if (!Array.isArray(profile.confidenceRanges) || profile.confidenceRanges.length === 0) {
+    throw new Error(`Pricing profile ${file} needs at least one confidence range`);
+  }
+}
+
+function loadPricingProfiles(profilesDir) {
+  const files = fs.readdirSync(profilesDir).filter(file => file.endsWith('.json')).sort();
+
+  const profiles = files.map(file => {
+    const profile = JSON.parse(fs.readFileSync(path.join(profilesDir, file), 'utf8'));
+    validateProfile(profile, file);
+    return {
+      ...profile,
+      regions: {
+        states: (profile.regions && profile.regions.states || []).map(state => state.toUpperCase()),
+        zipPrefixes: (profile.regions && profile.regions.zipPrefixes) || []
+      },
+      // Confidence bands are checked from the most to the least confident
+      confidenceRanges: [...profile.confidenceRanges].sort((a, b) => b.minConfidence - a.minConfidence),
+      pricingVersion: `${profile.id}@${profile.version}`
+    };
+  });
+
+  const seen = new Set();
+  profiles.forEach(profile => {
+    if (seen.has(profile.pricingVersion)) {
+      throw new Error(`Duplicate pricing profile version ${profile.pricingVersion}`);
+    }
+    seen.add(profile.pricingVersion);
+  });
+
+  if (!profiles.some(profile => profile.default)) {
+    throw new Error(`No default pricing profile found in ${profilesDir}`);
+  }
+
+  return createPricingRegistry(profiles);
+}
+
+function createPricingRegistry(profiles) {
+  // Latest version of each profile that is already in effect
+  function currentVersions(now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    const latest = {};
+    profiles
+      .filter(profile => profile.effectiveFrom <= today)
+      .forEach(profile => {
+        const existing = latest[profile.id];
+        if (!existing || profile.effectiveFrom > existing.effectiveFrom) {
+          latest[profile.id] = profile;
+        }
+      });
+    return Object.values(latest);
+  }
+
+  // Accepts "id" for the version in effect today, or "id@version" for an exact version
+  function getProfile(reference) {
+    if (!reference) return null;
+    if (reference.includes('@')) {
+      return profiles.find(profile => profile.pricingVersion === reference) || null;
+    }
+    return currentVersions().find(profile => profile.id === reference) || null;
+  }
+
+  function getDefaultProfile() {
+    return currentVersions().find(profile => profile.default) || profiles.find(profile => profile.default);
+  }
+
+  function resolveProfile({ profile, state, zip } = {}) {
+    if (profile) {
+      const explicit = getProfile(profile);
+      if (!explicit) throw new Error(`Unknown pricing profile "${profile}"`);
+      return explicit;
+    }
+
+    const active = currentVersions();
+
+    // The most specific ZIP prefix wins over a state match
+    if (zip) {
+      let best = null;
+      let bestLength = 0;
+      active.forEach(candidate => {
+        candidate.regions.zipPrefixes.forEach(prefix => {
+          if (String(zip).startsWith(prefix) && prefix.length > bestLength) {
+            best = candidate;
+            bestLength = prefix.length;
+          }
+        });
+      });
+      if (best) return best;
+    }
+
+    if (state) {
+      const byState = active.find(candidate => candidate.regions.states.includes(state.toUpperCase()));
+      if (byState) return byState;
+    }
+
+    return getDefaultProfile();
+  }
+
+  function listProfiles() {
+    const active = new Set(currentVersions().map(profile => profile.pricingVersion));
+    return profiles.map(profile => ({
+      id: profile.id,
+      version: profile.version,
+      pricingVersion: profile.pricingVersion,
+      name: profile.name,
+      effectiveFrom: profile.effectiveFrom,
+      default: !!profile.default,
+      estimateMethod: profile.estimating ? 'line_items' : 'flat_rate',
+      active: active.has(profile.pricingVersion),
+      regions: profile.regions
+    }));
+  }
+
+  return { getProfile, getDefaultProfile, resolveProfile, listProfiles };
+}
+
+module.exports = { loadPricingProfiles, createPricingRegistry };
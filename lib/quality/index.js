@@ -0,0 +1,207 @@
+const fs = require('fs');
+const { parseDataUrl } = require('../ingest/formats');
+const { measurePixels, hammingDistance, pixelProcessor } = require('./pixels');
+const { logger } = require('../observability');
+
+const STATUS_RANK = { skipped: 0, pass: 1, warn: 2, fail: 3 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function signal(check, status, message, details = {}) {
+  return { check: check, status: status, message: message, ...details };
+}
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) => STATUS_RANK[status] > STATUS_RANK[worst] ? status : worst, 'pass');
+}
+
+// Whole days between two dates, ignoring the time of day (EXIF times carry no time zone)
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(toDate.slice(0, 10)) - Date.parse(fromDate.slice(0, 10))) / DAY_MS);
+}
+
+// A failed photo blocks the estimate and is sent back to be retaken
+function summarizeReport(photos) {
+  const failed = photos.filter(photo => photo.status === 'fail');
+  return {
+    status: worstStatus(photos.map(photo => photo.status)),
+    retakeRequired: failed.length > 0,
+    retakePhotos: failed.map(photo => photo.photo),
+    message: failed.length === 0 ? null : failed.map(photo =>
+      `Please retake photo ${photo.photo}: ${photo.signals.filter(item => item.status === 'fail').map(item => item.message).join(' ')}`
+    ).join(' '),
+    photos: photos
+  };
+}
+
+// What a client is shown of a report: the duplicate check's matches name other
+// claims, which may not be the caller's, so they stay with the stored claim
+function publicQualityReport(report) {
+  if (!report) return report;
+  return {
+    ...report,
+    photos: report.photos.map(photo => ({
+      ...photo,
+      signals: photo.signals.map(({ matches, ...rest }) => rest)
+    }))
+  };
+}
+
+function loadPhotoQualityRules(rulesFile, calculateDistance) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+
+  function checkSharpness(stats) {
+    if (!stats) return signal('sharpness', 'skipped', 'Sharpness was not measured because the sharp module is not installed');
+    const { failBelow, warnBelow } = rules.sharpness;
+    if (stats.sharpness < failBelow) {
+      return signal('sharpness', 'fail', `The photo is too blurry to assess the damage (sharpness ${stats.sharpness}, minimum ${failBelow}). Hold the camera steady and let it focus on the damaged area.`, { value: stats.sharpness });
+    }
+    if (stats.sharpness < warnBelow) {
+      return signal('sharpness', 'warn', `The photo is slightly blurry (sharpness ${stats.sharpness}).`, { value: stats.sharpness });
+    }
+    return signal('sharpness', 'pass', `Sharpness ${stats.sharpness}`, { value: stats.sharpness });
+  }
+
+  function checkExposure(stats) {
+    if (!stats) return signal('exposure', 'skipped', 'Exposure was not measured because the sharp module is not installed');
+    const { failBelow, warnBelow, warnAbove, failAbove } = rules.brightness;
+    const details = { value: stats.brightness, clippedPercent: stats.clippedPercent };
+    if (stats.brightness < failBelow) {
+      return signal('exposure', 'fail', `The photo is too dark (brightness ${stats.brightness} of 255). Retake it in daylight or a well-lit area.`, details);
+    }
+    if (stats.brightness > failAbove) {
+      return signal('exposure', 'fail', `The photo is overexposed (brightness ${stats.brightness} of 255). Avoid direct sunlight and flash glare on the paint.`, details);
+    }
+    if (stats.brightness < warnBelow || stats.brightness > warnAbove) {
+      return signal('exposure', 'warn', `The photo is ${stats.brightness < warnBelow ? 'dark' : 'very bright'} (brightness ${stats.brightness} of 255).`, details);
+    }
+    if (stats.clippedPercent > rules.clippedPixels.warnAbovePercent) {
+      return signal('exposure', 'warn', `${stats.clippedPercent}% of the photo is pure black or white.`, details);
+    }
+    return signal('exposure', 'pass', `Brightness ${stats.brightness} of 255`, details);
+  }
+
+  function checkCaptureTime(exif, lossDate) {
+    const takenAt = exif && exif.takenAt;
+    if (!takenAt) return signal('capture_time', 'skipped', 'The photo has no capture time');
+    if (daysBetween(new Date().toISOString(), takenAt) > 1) {
+      return signal('capture_time', 'warn', `The photo's capture time ${takenAt} is in the future; the camera clock may be wrong.`, { takenAt: takenAt });
+    }
+    if (!lossDate) return signal('capture_time', 'skipped', `Taken ${takenAt}; no loss date to compare with`, { takenAt: takenAt });
+
+    const daysAfterLoss = daysBetween(lossDate, takenAt);
+    const details = { takenAt: takenAt, lossDate: lossDate, daysAfterLoss: daysAfterLoss };
+    if (daysAfterLoss < -rules.captureTime.graceDaysBeforeLoss) {
+      return signal('capture_time', 'fail', `The photo was taken on ${takenAt.slice(0, 10)}, before the loss on ${lossDate}. Take new photos of the vehicle as it is now.`, details);
+    }
+    if (daysAfterLoss > rules.captureTime.warnDaysAfterLoss) {
+      return signal('capture_time', 'warn', `The photo was taken ${daysAfterLoss} days after the loss.`, details);
+    }
+    return signal('capture_time', 'pass', `Taken ${takenAt.slice(0, 10)}, ${daysAfterLoss} day(s) after the loss`, details);
+  }
+
+  // A vehicle is often photographed at home or at a shop, so distance only warns
+  function checkCaptureLocation(exif, lossLocation) {
+    const gps = exif && exif.gps;
+    if (!gps) return signal('capture_location', 'skipped', 'The photo has no GPS position');
+    if (!lossLocation) return signal('capture_location', 'skipped', 'No loss location to compare with');
+
+    const miles = Math.round(calculateDistance(gps.lat, gps.lng, lossLocation.lat, lossLocation.lng) * 10) / 10;
+    const details = { miles: miles, lossLocation: lossLocation.label || null };
+    if (miles > rules.captureLocation.warnMiles) {
+      return signal('capture_location', 'warn', `The photo was taken ${miles} miles from the loss location.`, details);
+    }
+    return signal('capture_location', 'pass', `Taken ${miles} miles from the loss location`, details);
+  }
+
+  // Reuse by the same claimant, on the same policy or by the same user (a claim
+  // saved twice, a supplement), is only a warning
+  function checkDuplicates(info, phash, priorImages, { policyNumber, ownerId }) {
+    const matches = priorImages
+      .map(prior => {
+        if (prior.sha256 === info.sha256 || prior.originalSha256 === info.originalSha256) return { ...prior, distance: 0 };
+        if (phash && prior.phash) {
+          const distance = hammingDistance(phash, prior.phash);
+          if (distance <= rules.duplicates.maxHashDistance) return { ...prior, distance: distance };
+        }
+        return null;
+      })
+      .filter(match => match)
+      .map(match => ({
+        claimId: match.claimId,
+        photo: match.photo,
+        distance: match.distance,
+        samePolicy: !!policyNumber && match.policyNumber === policyNumber,
+        sameOwner: !!ownerId && match.ownerId === ownerId
+      }));
+
+    const method = phash ? 'perceptual hash' : 'exact match only';
+    if (matches.length === 0) return signal('duplicate', 'pass', `No earlier claim uses this photo (${method})`);
+    if (matches.every(match => match.samePolicy || match.sameOwner)) {
+      return signal('duplicate', 'warn', `The photo was already submitted with your claim ${matches[0].claimId}.`, { matches: matches });
+    }
+    return signal('duplicate', 'fail', 'The photo matches one submitted with an earlier claim. Take new photos of the vehicle.', { matches: matches });
+  }
+
+  // Runs every check that does not need the vision model. Images come from the
+  // ingestion pipeline; priorImages are the stored photo fingerprints. ownerId is
+  // the user the photos are sent by.
+  async function inspectPhotos(images, { lossDate = null, lossLocation = null, priorImages = [], policyNumber = null, ownerId = null } = {}) {
+    const photos = [];
+    for (const image of images) {
+      if (image.info.source === 'mock') {
+        photos.push({ photo: image.photoNumber, phash: null, status: 'pass', signals: [signal('mock', 'skipped', 'Mock image; only the vision model checks apply')] });
+        continue;
+      }
+
+      const parsed = parseDataUrl(image.dataUrl);
+      let stats = null;
+      try {
+        stats = parsed ? await measurePixels(parsed.buffer, rules.sampleEdge) : null;
+      } catch (error) {
+        logger.warn('Photo could not be measured', { photo: image.photoNumber, error: error.message });
+      }
+
+      const signals = [
+        checkSharpness(stats),
+        checkExposure(stats),
+        checkCaptureTime(image.info.exif, lossDate),
+        checkCaptureLocation(image.info.exif, lossLocation),
+        checkDuplicates(image.info, stats && stats.phash, priorImages, { policyNumber: policyNumber, ownerId: ownerId })
+      ];
+      photos.push({
+        photo: image.photoNumber,
+        phash: stats ? stats.phash : null,
+        status: worstStatus(signals.map(item => item.status)),
+        signals: signals
+      });
+    }
+    return summarizeReport(photos);
+  }
+
+  // The model's view on stock, edited and screen photos arrives with its
+  // assessment, so it is added once the analysis is back. results line up with
+  // the report's photos; null means the photo was not analyzed.
+  function addAuthenticitySignals(report, results) {
+    const photos = report.photos.map((photo, index) => {
+      const authenticity = results[index] && results[index].photo_authenticity;
+      let authenticitySignal;
+      if (!authenticity) {
+        authenticitySignal = signal('authenticity', 'skipped', 'The vision model did not assess whether the photo is original');
+      } else if (authenticity.stock_or_edited) {
+        authenticitySignal = signal('authenticity', 'fail', `The photo looks like a stock or edited image${authenticity.reason ? ` (${authenticity.reason})` : ''}. Take your own photos of the vehicle.`, { reason: authenticity.reason });
+      } else if (authenticity.screen_capture) {
+        authenticitySignal = signal('authenticity', 'fail', `The photo looks like a picture of a screen or a printout${authenticity.reason ? ` (${authenticity.reason})` : ''}. Photograph the vehicle directly.`, { reason: authenticity.reason });
+      } else {
+        authenticitySignal = signal('authenticity', 'pass', 'The vision model found no sign of a stock, edited or screen photo');
+      }
+
+      const signals = photo.signals.concat(authenticitySignal);
+      return { ...photo, status: worstStatus(signals.map(item => item.status)), signals: signals };
+    });
+    return summarizeReport(photos);
+  }
+
+  return { inspectPhotos, addAuthenticitySignals, processor: pixelProcessor };
+}
+
+module.exports = { loadPhotoQualityRules, publicQualityReport };
@@ -0,0 +1,104 @@
+// sharp is optional: without it the pixel checks are skipped and duplicate
+// photos are only recognized when their bytes are identical
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  sharp = null;
+}
+
+const HASH_COLUMNS = 9;
+const HASH_ROWS = 8;
+
+// Mean brightness of one cell of the hash grid
+function cellMean(pixels, width, height, column, row) {
+  const x0 = Math.floor(column * width / HASH_COLUMNS);
+  const x1 = Math.max(x0 + 1, Math.floor((column + 1) * width / HASH_COLUMNS));
+  const y0 = Math.floor(row * height / HASH_ROWS);
+  const y1 = Math.max(y0 + 1, Math.floor((row + 1) * height / HASH_ROWS));
+  let sum = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) sum += pixels[y * width + x];
+  }
+  return sum / ((x1 - x0) * (y1 - y0));
+}
+
+// 64-bit difference hash: one bit per neighbouring cell pair, set when the
+// left cell is brighter. Recompressed, resized or lightly edited copies of a
+// photo land within a few bits of each other.
+function differenceHash(pixels, width, height) {
+  let hex = '';
+  let nibble = 0;
+  let bitCount = 0;
+  for (let row = 0; row < HASH_ROWS; row++) {
+    for (let column = 0; column < HASH_COLUMNS - 1; column++) {
+      const bit = cellMean(pixels, width, height, column, row) > cellMean(pixels, width, height, column + 1, row) ? 1 : 0;
+      nibble = (nibble << 1) | bit;
+      if (++bitCount % 4 === 0) {
+        hex += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+function hammingDistance(hashA, hashB) {
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let bits = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Greyscale statistics from one downscaled decode: the variance of the
+// Laplacian for sharpness, the mean and clipped pixels for exposure, and the
+// perceptual hash. Returns null when sharp is not installed.
+async function measurePixels(buffer, sampleEdge) {
+  if (!sharp) return null;
+
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize({ width: sampleEdge, height: sampleEdge, fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height, channels } = info;
+  const pixels = new Uint8Array(width * height);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = data[i * channels];
+
+  let sum = 0;
+  let clipped = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    sum += pixels[i];
+    if (pixels[i] <= 5 || pixels[i] >= 250) clipped++;
+  }
+
+  let laplacianSum = 0;
+  let laplacianSquares = 0;
+  let samples = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const index = y * width + x;
+      const value = 4 * pixels[index] - pixels[index - 1] - pixels[index + 1] - pixels[index - width] - pixels[index + width];
+      laplacianSum += value;
+      laplacianSquares += value * value;
+      samples++;
+    }
+  }
+  const laplacianMean = samples ? laplacianSum / samples : 0;
+
+  return {
+    sharpness: samples ? Math.round(laplacianSquares / samples - laplacianMean * laplacianMean) : 0,
+    brightness: Math.round(sum / pixels.length),
+    clippedPercent: Math.round(clipped / pixels.length * 1000) / 10,
+    phash: differenceHash(pixels, width, height)
+  };
+}
+
+module.exports = { measurePixels, hammingDistance, pixelProcessor: sharp ? 'sharp' : null };
@@ -0,0 +1,307 @@
+const { SEVERITIES } = require('./vision/assessment-schema');
+
+function pricingStamp(pricing) {
+  return {
+    pricingProfile: pricing.id,
+    pricingVersion: pricing.pricingVersion,
+    estimateMethod: pricing.estimating ? 'line_items' : 'flat_rate'
+  };
+}
+
+function partLabel(part) {
+  const words = part.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function roundHours(hours) {
+  return Math.round(hours * 10) / 10;
+}
+
+function vehicleClassSummary(vehicleClass) {
+  // Parts and labor are blended by the labor share because base part costs include both
+  const combinedMultiplier = (1 - vehicleClass.laborShare) * vehicleClass.partsMultiplier +
+    vehicleClass.laborShare * vehicleClass.laborMultiplier;
+
+  return {
+    class: vehicleClass.class,
+    label: vehicleClass.label,
+    source: vehicleClass.source,
+    modelYear: vehicleClass.modelYear,
+    partsMultiplier: vehicleClass.partsMultiplier,
+    laborMultiplier: vehicleClass.laborMultiplier,
+    combinedMultiplier: Math.round(combinedMultiplier * 1000) / 1000
+  };
+}
+
+// Profiles without an estimating section price each part as one flat amount
+function flatRateLines(parts, pricing, vehicle) {
+  const lines = [];
+
+  parts.forEach(partDamage => {
+    const baseCost = pricing.partCosts[partDamage.part] || pricing.defaultPartCost;
+    const multiplier = pricing.severityMultipliers[partDamage.severity] || 1.0;
+    lines.push({
+      code: `${partDamage.part}.repair`,
+      part: partDamage.part,
+      operation: 'repair',
+      type: 'flat_rate',
+      category: 'parts_and_labor',
+      description: `${partLabel(partDamage.part)} - parts & labor (${partDamage.severity})`,
+      amount: Math.round(baseCost * multiplier * vehicle.combinedMultiplier)
+    });
+
+    // Add paint cost for exterior panels; refinish is labor, so it follows the labor multiplier
+    if (pricing.paint.panels.includes(partDamage.part)) {
+      lines.push({
+        code: `${partDamage.part}.refinish`,
+        part: partDamage.part,
+        operation: 'refinish',
+        type: 'flat_rate',
+        category: 'paint',
+        description: `${partLabel(partDamage.part)} - paint`,
+        amount: Math.round(pricing.paint.perPanel * vehicle.laborMultiplier)
+      });
+    }
+  });
+
+  return lines;
+}
+
+// Expands each damaged part into body-shop style operations: repair or replace,
+// refinish, blend on undamaged neighbours, and paint materials
+function estimatingLines(parts, pricing, vehicle) {
+  const estimating = pricing.estimating;
+  const replaceFrom = SEVERITIES.indexOf(estimating.replaceFromSeverity);
+  const laborRate = (laborType) => Math.round(estimating.laborRates[laborType] * vehicle.laborMultiplier * 100) / 100;
+  const laborLine = (fields) => ({
+    ...fields,
+    type: 'labor',
+    hours: roundHours(fields.hours),
+    rate: laborRate(fields.laborType),
+    amount: Math.round(fields.hours * laborRate(fields.laborType))
+  });
+
+  const lines = [];
+  const damagedParts = new Set(parts.map(partDamage => partDamage.part));
+  const refinishedParts = [];
+  let refinishHours = 0;
+
+  parts.forEach(partDamage => {
+    const operation = estimating.operations[partDamage.part];
+    const label = partLabel(partDamage.part);
+    const replace = operation.replaceOnly ||
+      (!operation.repairOnly && SEVERITIES.indexOf(partDamage.severity) >= replaceFrom);
+
+    if (replace) {
+      lines.push({
+        code: `${partDamage.part}.part`,
+        part: partDamage.part,
+        operation: 'replace',
+        type: 'part',
+        category: 'parts_and_labor',
+        description: `${label} - replacement part`,
+        quantity: 1,
+        amount: Math.round(operation.partPrice * vehicle.partsMultiplier)
+      });
+      lines.push(laborLine({
+        code: `${partDamage.part}.replace`,
+        part: partDamage.part,
+        operation: 'replace',
+        category: 'parts_and_labor',
+        description: `${label} - remove & replace`,
+        laborType: operation.laborType,
+        hours: operation.replaceHours
+      }));
+    } else {
+      // Fall back to the largest listed hours for severities the table does not cover
+      const hours = operation.repairHours[partDamage.severity] || Math.max(...Object.values(operation.repairHours));
+      lines.push(laborLine({
+        code: `${partDamage.part}.repair`,
+        part: partDamage.part,
+        operation: 'repair',
+        category: 'parts_and_labor',
+        description: `${label} - repair (${partDamage.severity})`,
+        laborType: operation.laborType,
+        hours: hours
+      }));
+    }
+
+    if (operation.refinishHours > 0) {
+      lines.push(laborLine({
+        code: `${partDamage.part}.refinish`,
+        part: partDamage.part,
+        operation: 'refinish',
+        category: 'paint',
+        description: `${label} - refinish`,
+        laborType: 'paint',
+        hours: operation.refinishHours
+      }));
+      refinishHours += operation.refinishHours;
+      refinishedParts.push(partDamage.part);
+    }
+  });
+
+  // Blend undamaged adjacent panels so the new paint matches
+  const blendedParts = new Set();
+  refinishedParts.forEach(part => {
+    estimating.operations[part].adjacent.forEach(adjacent => {
+      if (damagedParts.has(adjacent) || blendedParts.has(adjacent)) return;
+      const adjacentOperation = estimating.operations[adjacent];
+      if (!adjacentOperation || !adjacentOperation.refinishHours) return;
+
+      const hours = roundHours(adjacentOperation.refinishHours * estimating.blendFactor);
+      blendedParts.add(adjacent);
+      refinishHours += hours;
+      lines.push(laborLine({
+        code: `${adjacent}.blend`,
+        part: adjacent,
+        operation: 'blend',
+        category: 'paint',
+        description: `${partLabel(adjacent)} - blend into ${partLabel(part).toLowerCase()}`,
+        laborType: 'paint',
+        hours: hours
+      }));
+    });
+  });
+
+  if (refinishHours > 0) {
+    lines.push({
+      code: 'paint_materials',
+      part: null,
+      operation: 'materials',
+      type: 'materials',
+      category: 'paint',
+      description: `Paint & materials (${roundHours(refinishHours)} refinish hours)`,
+      hours: roundHours(refinishHours),
+      rate: estimating.paintMaterialsPerHour,
+      amount: Math.round(refinishHours * estimating.paintMaterialsPerHour)
+    });
+  }
+
+  return lines;
+}
+
+function surchargeLines(assessmentData, pricing) {
+  const lines = [];
+
+  // Airbags deployed
+  if (assessmentData.airbags_deployed) {
+    const { airbagEach, airbagsAssumed } = pricing.surcharges;
+    lines.push({
+      code: 'airbags',
+      part: null,
+      operation: 'surcharge',
+      type: 'surcharge',
+      category: 'surcharges',
+      description: `Airbag replacement (${airbagsAssumed} × $${airbagEach.toLocaleString()})`,
+      amount: airbagEach * airbagsAssumed
+    });
+  }
+
+  // Non-drivable fee
+  if (assessmentData.drivable === false) {
+    lines.push({
+      code: 'non_drivable',
+      part: null,
+      operation: 'surcharge',
+      type: 'surcharge',
+      category: 'surcharges',
+      description: 'Non-drivable vehicle handling',
+      amount: pricing.surcharges.nonDrivable
+    });
+  }
+
+  return lines;
+}
+
+function sumCategory(lines, category) {
+  return lines.filter(line => line.category === category).reduce((sum, line) => sum + line.amount, 0);
+}
+
+function sumLaborHours(lines) {
+  const hours = {};
+  lines.filter(line => line.type === 'labor').forEach(line => {
+    hours[line.laborType] = roundHours((hours[line.laborType] || 0) + line.hours);
+  });
+  return hours;
+}
+
+// An adjuster's amount replaces the calculated one; the calculated amount is kept beside it
+function applyLineOverride(line, override) {
+  if (!override) return line;
+  return {
+    ...line,
+    amount: override.amount,
+    override: { calculatedAmount: line.amount, reason: override.reason, by: override.by, at: override.at }
+  };
+}
+
+// lineOverrides maps line codes ("hood.repair", "airbags") to { amount, reason, by, at }
+function calculateRepairCost(assessmentData, pricing, vehicleClass, flags = [], lineOverrides = {}) {
+  const vehicle = vehicleClassSummary(vehicleClass);
+
+  // Return zero cost if no vehicle or no damage detected
+  if (!assessmentData.vehicle_detected || !assessmentData.damage_detected || !assessmentData.parts || assessmentData.parts.length === 0) {
+    return {
+      breakdown: {
+        parts_and_labor: 0,
+        paint: 0,
+        surcharges: 0
+      },
+      lineItems: [],
+      laborHours: {},
+      estimateRange: { low: 0, high: 0 },
+      midpoint: 0,
+      confidence: assessmentData.confidence || 1.0,
+      vehicleClass: vehicle,
+      flags: flags,
+      ...pricingStamp(pricing)
+    };
+  }
+
+  const partLines = pricing.estimating
+    ? estimatingLines(assessmentData.parts, pricing, vehicle)
+    : flatRateLines(assessmentData.parts, pricing, vehicle);
+  const lineItems = partLines
+    .concat(surchargeLines(assessmentData, pricing))
+    .map((line, index) => applyLineOverride({ line: index + 1, ...line }, lineOverrides[line.code]));
+
+  const subtotal = sumCategory(lineItems, 'parts_and_labor');
+  const paintCost = sumCategory(lineItems, 'paint');
+  const surcharges = sumCategory(lineItems, 'surcharges');
+
+  // Calculate total
+  const total = subtotal + paintCost + surcharges;
+
+  // Enforce the profile's minimum charge
+  const adjustedTotal = Math.max(total, pricing.minimumTotal);
+
+  // Apply confidence range
+  const confidence = assessmentData.confidence || 0.7;
+  const band = pricing.confidenceRanges.find(range => confidence >= range.minConfidence) ||
+    pricing.confidenceRanges[pricing.confidenceRanges.length - 1];
+  const rangePercent = band.range;
+
+  const low = Math.round(adjustedTotal * (1 - rangePercent));
+  const high = Math.round(adjustedTotal * (1 + rangePercent));
+  const midpoint = Math.round(adjustedTotal);
+
+  return {
+    breakdown: {
+      parts_and_labor: subtotal,
+      paint: paintCost,
+      surcharges: surcharges
+    },
+    lineItems: lineItems,
+    laborHours: sumLaborHours(lineItems),
+    minimumApplied: adjustedTotal > total,
+    estimateRange: { low: low, high: high },
+    midpoint: midpoint,
+    confidence: confidence,
+    vehicleClass: vehicle,
+    flags: flags,
+    ...pricingStamp(pricing)
+  };
+}
+
+module.exports = { calculateRepairCost };
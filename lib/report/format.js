@@ -0,0 +1,36 @@
+const VERDICT_LABELS = {
+  repair: 'Repair',
+  borderline: 'Borderline - adjuster review',
+  total_loss: 'Total loss',
+  null: 'Not evaluated'
+};
+
+function formatMoney(amount) {
+  return `$${Math.round(amount || 0).toLocaleString('en-US')}`;
+}
+
+function formatDate(isoDate) {
+  return isoDate ? new Date(isoDate).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '-';
+}
+
+function formatPercent(fraction) {
+  return fraction === null || fraction === undefined ? '-' : `${Math.round(fraction * 100)}%`;
+}
+
+function vehicleTitle(vehicle) {
+  if (!vehicle.detected) return 'No vehicle detected';
+  return [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'Unknown vehicle';
+}
+
+function verdictLabel(totalLoss) {
+  return VERDICT_LABELS[totalLoss ? totalLoss.verdict : null];
+}
+
+function shopLine(shop) {
+  const details = [shop.address, shop.phone].filter(Boolean);
+  if (typeof shop.distance === 'number') details.push(`${shop.distance.toFixed(1)} mi`);
+  if (shop.rating) details.push(`rated ${shop.rating}`);
+  return details.join(' · ');
+}
+
+module.exports = { formatMoney, formatDate, formatPercent, vehicleTitle, verdictLabel, shopLine };
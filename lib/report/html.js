@@ -0,0 +1,142 @@
+const { formatMoney, formatDate, formatPercent, vehicleTitle, verdictLabel, shopLine } = require('./format');
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function row(label, value) {
+  return `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+}
+
+function photosSection(photos) {
+  if (photos.length === 0) return '<p class="muted">No photos on file.</p>';
+  return `<div class="photos">${photos.map(photo => {
+    // Only inline data URLs keep the document self-contained
+    const content = /^data:image\//.test(photo.image)
+      ? `<img src="${escapeHtml(photo.image)}" alt="Photo ${photo.index}">`
+      : '<div class="placeholder">Photo not embedded</div>';
+    return `<figure>${content}<figcaption>Photo ${photo.index}</figcaption></figure>`;
+  }).join('')}</div>`;
+}
+
+function lineItemsSection(costBreakdown) {
+  if (!costBreakdown || !costBreakdown.lineItems || costBreakdown.lineItems.length === 0) {
+    return '<p class="muted">No repairable damage was priced.</p>';
+  }
+  const rows = costBreakdown.lineItems.map(item => `<tr>
+      <td>${item.line}</td>
+      <td>${escapeHtml(item.description)}</td>
+      <td class="num">${item.hours !== undefined ? item.hours.toFixed(1) : ''}</td>
+      <td class="num">${item.rate !== undefined ? `${formatMoney(item.rate)}/hr` : ''}</td>
+      <td class="num">${formatMoney(item.amount)}</td>
+    </tr>`).join('');
+  const totals = [
+    ['Parts & labor', costBreakdown.breakdown.parts_and_labor],
+    ['Paint', costBreakdown.breakdown.paint],
+    ['Additional fees', costBreakdown.breakdown.surcharges]
+  ].map(([label, amount]) => `<tr class="total"><td></td><td>${label}</td><td></td><td></td><td class="num">${formatMoney(amount)}</td></tr>`).join('');
+
+  return `<table class="lines">
+    <thead><tr><th>#</th><th>Operation</th><th class="num">Hours</th><th class="num">Rate</th><th class="num">Amount</th></tr></thead>
+    <tbody>${rows}${totals}
+      <tr class="grand"><td></td><td>Estimated total</td><td></td><td></td><td class="num">${formatMoney(costBreakdown.midpoint)}</td></tr>
+    </tbody>
+  </table>
+  <p class="muted">Range ${formatMoney(costBreakdown.estimateRange.low)} - ${formatMoney(costBreakdown.estimateRange.high)}
+    · Pricing ${escapeHtml(costBreakdown.pricingVersion)} · ${escapeHtml(costBreakdown.vehicleClass.label)} ×${costBreakdown.vehicleClass.combinedMultiplier}</p>`;
+}
+
+function shopsSection(repairShops) {
+  const items = [];
+  if (repairShops.selected) {
+    items.push(`<li><strong>${escapeHtml(repairShops.selected.name)}</strong> (selected) - ${escapeHtml(shopLine(repairShops.selected))}</li>`);
+  }
+  repairShops.recommended
+    .filter(shop => !repairShops.selected || shop.placeId !== repairShops.selected.placeId)
+    .forEach(shop => {
+      items.push(`<li><strong>${escapeHtml(shop.name)}</strong> - ${escapeHtml(shopLine(shop))}</li>`);
+    });
+  if (items.length === 0) return '<p class="muted">No location on file to search for repair shops.</p>';
+  const near = repairShops.searchedNear ? `<p class="muted">Near ${escapeHtml(repairShops.searchedNear)}</p>` : '';
+  return `${near}<ul>${items.join('')}</ul>`;
+}
+
+function renderReportHtml(report) {
+  const { claim, vehicle, damage, totalLoss } = report;
+  const flags = report.costBreakdown ? report.costBreakdown.flags : [];
+  const notices = flags.map(flag => flag.message).concat(report.warnings);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Damage Assessment Report ${escapeHtml(claim.id)}</title>
+<style>
+  body { font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #222; max-width: 820px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { color: #0033A0; margin-bottom: 0.25rem; }
+  h2 { color: #0033A0; border-bottom: 2px solid #78BE20; padding-bottom: 0.25rem; margin-top: 2rem; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 0.3rem; border-bottom: 1px solid #e9ecef; vertical-align: top; }
+  .facts th { width: 35%; color: #555; font-weight: normal; }
+  .lines th { color: #0033A0; border-bottom: 2px solid #dee2e6; }
+  .num { text-align: right; white-space: nowrap; }
+  .total td { color: #555; }
+  .grand td { font-weight: bold; color: #0033A0; border-top: 2px solid #dee2e6; }
+  .muted { color: #666; font-size: 0.9rem; }
+  .photos { display: flex; flex-wrap: wrap; gap: 0.75rem; }
+  figure { margin: 0; }
+  figure img, .placeholder { width: 240px; height: 180px; object-fit: cover; border-radius: 6px; background: #f0f0f0; }
+  .placeholder { display: flex; align-items: center; justify-content: center; color: #666; }
+  figcaption { font-size: 0.8rem; color: #666; }
+  .notices { background: #fff3cd; border-left: 3px solid #ffc107; padding: 0.5rem 1rem; color: #856404; }
+</style>
+</head>
+<body>
+<h1>Damage Assessment Report</h1>
+<p class="muted">Claim ${escapeHtml(claim.id)} · Generated ${formatDate(report.generatedAt)}</p>
+
+<h2>Claim</h2>
+<table class="facts">
+  ${row('Status', claim.status)}
+  ${row('Policy number', claim.policyNumber || '-')}
+  ${row('Created', formatDate(claim.createdAt))}
+  ${row('Last updated', formatDate(claim.updatedAt))}
+</table>
+
+<h2>Photos</h2>
+${photosSection(report.photos)}
+
+<h2>Vehicle</h2>
+<table class="facts">
+  ${row('Vehicle', vehicleTitle(vehicle))}
+  ${row('Color', vehicle.color || '-')}
+  ${row('Vehicle class', vehicle.vehicleClass || '-')}
+</table>
+
+<h2>Damage</h2>
+<table class="facts">
+  ${row('Damage', damage.summary)}
+  ${row('Airbags deployed', report.airbagsDeployed ? 'Yes' : 'No')}
+  ${row('Drivable', report.drivable ? 'Yes' : 'No')}
+  ${row('Assessment confidence', formatPercent(report.confidence))}
+  ${row('Total loss evaluation', verdictLabel(totalLoss))}
+</table>
+${totalLoss && totalLoss.reasons ? `<ul>${totalLoss.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>` : ''}
+${notices.length > 0 ? `<div class="notices">${notices.map(notice => `<p>${escapeHtml(notice)}</p>`).join('')}</div>` : ''}
+
+<h2>Repair Estimate</h2>
+${lineItemsSection(report.costBreakdown)}
+
+<h2>Repair Shops</h2>
+${shopsSection(report.repairShops)}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReportHtml };
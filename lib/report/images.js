@@ -0,0 +1,135 @@
+const zlib = require('zlib');
+const { parseDataUrl, sniffImageType, readJpegFrame } = require('../ingest/formats');
+
+// PDF can embed the JPEG bytes unchanged; it only needs the frame header
+function decodeJpeg(buffer) {
+  const frame = readJpegFrame(buffer);
+  const colorSpace = frame && { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[frame.components];
+  if (!colorSpace) return null;
+  // Adobe writes CMYK JPEGs inverted
+  const decode = frame.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : '';
+  return {
+    width: frame.width,
+    height: frame.height,
+    dictionary: `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode${decode}`,
+    data: buffer
+  };
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Reverses the per-row PNG filters so the alpha channel can be split out
+function unfilterRows(inflated, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const pixels = Buffer.alloc(stride * height);
+  for (let row = 0; row < height; row++) {
+    const filter = inflated[row * (stride + 1)];
+    const source = row * (stride + 1) + 1;
+    const target = row * stride;
+    for (let i = 0; i < stride; i++) {
+      const raw = inflated[source + i];
+      const left = i >= bytesPerPixel ? pixels[target + i - bytesPerPixel] : 0;
+      const up = row > 0 ? pixels[target - stride + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? pixels[target - stride + i - bytesPerPixel] : 0;
+      let value;
+      if (filter === 0) value = raw;
+      else if (filter === 1) value = raw + left;
+      else if (filter === 2) value = raw + up;
+      else if (filter === 3) value = raw + ((left + up) >> 1);
+      else value = raw + paeth(left, up, upLeft);
+      pixels[target + i] = value & 0xff;
+    }
+  }
+  return pixels;
+}
+
+// Supports non-interlaced 8-bit gray, RGB and palette PNGs, with or without alpha
+function decodePng(buffer) {
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  const idat = [];
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.slice(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || idat.length === 0) return null;
+  const { width, height, colorType } = header;
+  const data = Buffer.concat(idat);
+
+  // Without alpha, the compressed rows can be embedded as they are
+  const colors = { 0: 1, 2: 3, 3: 1 }[colorType];
+  if (colors) {
+    let colorSpace = colors === 1 ? '/DeviceGray' : '/DeviceRGB';
+    if (colorType === 3) {
+      if (!palette) return null;
+      colorSpace = `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`;
+    }
+    return {
+      width: width,
+      height: height,
+      dictionary: `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /FlateDecode ` +
+        `/DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+      data: data
+    };
+  }
+
+  const channels = { 4: 2, 6: 4 }[colorType];
+  if (!channels) return null;
+  const pixels = unfilterRows(zlib.inflateSync(data), width, height, channels);
+  const colorChannels = channels - 1;
+  const color = Buffer.alloc(width * height * colorChannels);
+  const alpha = Buffer.alloc(width * height);
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    pixels.copy(color, pixel * colorChannels, pixel * channels, pixel * channels + colorChannels);
+    alpha[pixel] = pixels[pixel * channels + colorChannels];
+  }
+  return {
+    width: width,
+    height: height,
+    dictionary: `/ColorSpace ${colorChannels === 1 ? '/DeviceGray' : '/DeviceRGB'} /BitsPerComponent 8 /Filter /FlateDecode`,
+    data: zlib.deflateSync(color),
+    alpha: zlib.deflateSync(alpha)
+  };
+}
+
+// Returns an image the PDF writer can embed, or null for formats it cannot
+function decodeImageForPdf(dataUrl) {
+  const parsed = parseDataUrl(dataUrl);
+  if (!parsed) return null;
+  try {
+    const type = sniffImageType(parsed.buffer);
+    if (type === 'image/jpeg') return decodeJpeg(parsed.buffer);
+    if (type === 'image/png') return decodePng(parsed.buffer);
+  } catch (error) {
+    return null;
+  }
+  return null;
+}
+
+module.exports = { decodeImageForPdf };
@@ -0,0 +1,74 @@
+const { renderReportHtml } = require('./html');
+const { renderReportPdf } = require('./pdf');
+
+const REPORT_VERSION = 1;
+
+const REPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+function partName(part) {
+  return part.replace(/_/g, ' ');
+}
+
+function damageSummary(analysis) {
+  if (!analysis || !analysis.vehicle_detected) return 'No motor vehicle detected';
+  if (!analysis.damage_detected || !analysis.parts || analysis.parts.length === 0) return 'No damage detected';
+  return analysis.parts.map(partDamage => `${partName(partDamage.part)} (${partDamage.severity})`).join(', ');
+}
+
+// Collects everything an underwriter needs into one plain object; the HTML and
+// PDF renderers only format what is here
+function buildReport(claim, { shops = [], shopsLocation = null, generatedAt = new Date() } = {}) {
+  const analysis = claim.analysis || {};
+  const costBreakdown = claim.costBreakdown || null;
+
+  return {
+    reportVersion: REPORT_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    claim: {
+      id: claim.id,
+      status: claim.status,
+      policyNumber: claim.policyNumber,
+      createdAt: claim.createdAt,
+      updatedAt: claim.updatedAt,
+      region: claim.region || null,
+      notes: claim.notes || null
+    },
+    vehicle: {
+      detected: !!analysis.vehicle_detected,
+      make: analysis.make || null,
+      model: analysis.model || null,
+      color: analysis.color || null,
+      year: analysis.year || null,
+      vehicleClass: costBreakdown && costBreakdown.vehicleClass ? costBreakdown.vehicleClass.label : null
+    },
+    damage: {
+      detected: !!analysis.damage_detected,
+      summary: damageSummary(analysis),
+      parts: analysis.parts || []
+    },
+    airbagsDeployed: !!analysis.airbags_deployed,
+    drivable: analysis.drivable !== false,
+    confidence: typeof analysis.confidence === 'number' ? analysis.confidence : null,
+    costBreakdown: costBreakdown,
+    totalLoss: claim.totalLoss || null,
+    warnings: analysis.warnings || [],
+    photos: (claim.images || []).map((image, index) => ({ index: index + 1, image: image })),
+    repairShops: {
+      selected: claim.repairShop || null,
+      recommended: shops,
+      searchedNear: shopsLocation
+    }
+  };
+}
+
+function renderReport(report, format) {
+  if (format === 'json') return Buffer.from(JSON.stringify(report, null, 2));
+  if (format === 'html') return Buffer.from(renderReportHtml(report));
+  return renderReportPdf(report);
+}
+
+module.exports = { buildReport, renderReport, REPORT_FORMATS, REPORT_VERSION };
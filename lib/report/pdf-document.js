@@ -0,0 +1,191 @@
+const zlib = require('zlib');
+
+// A small PDF writer: letter pages, the built-in Helvetica fonts, lines,
+// filled rectangles and JPEG/PNG images. Built-in fonts need no embedding,
+// so documents render anywhere without an external service.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths for ASCII 32-126, in 1/1000 em
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still covers
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+function encodeText(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      bytes.push(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      bytes.push(code);
+    } else if (code > 0xffff) {
+      // Emoji and other astral characters have no glyph in the built-in fonts
+      continue;
+    } else if (code >= 32) {
+      bytes.push(0x3f);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function textWidth(text, size, bold) {
+  let units = 0;
+  encodeText(text).forEach(byte => {
+    units += byte >= 32 && byte <= 126 ? HELVETICA_WIDTHS[byte - 32] : 556;
+  });
+  // Bold glyphs run about 5% wider; close enough for wrapping and alignment
+  return units * size / 1000 * (bold ? 1.05 : 1);
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function colorOperator(color, stroke) {
+  const [r, g, b] = color.map(channel => formatNumber(channel / 255));
+  return `${r} ${g} ${b} ${stroke ? 'RG' : 'rg'}`;
+}
+
+function createPdfDocument({ title } = {}) {
+  const pages = [];
+  const images = [];
+  let current = null;
+
+  function addPage() {
+    current = { operations: [], images: new Set() };
+    pages.push(current);
+    return current;
+  }
+
+  // Callers use a top-left origin; PDF user space starts at the bottom left
+  const flipY = (y) => PAGE_HEIGHT - y;
+
+  function text(value, x, y, { size = 10, bold = false, color = [0, 0, 0] } = {}) {
+    const hex = encodeText(value).toString('hex');
+    current.operations.push(
+      `BT ${colorOperator(color)} /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(x)} ${formatNumber(flipY(y))} Td <${hex}> Tj ET`
+    );
+  }
+
+  function line(x1, y1, x2, y2, { width = 0.5, color = [200, 200, 200] } = {}) {
+    current.operations.push(
+      `${colorOperator(color, true)} ${width} w ${formatNumber(x1)} ${formatNumber(flipY(y1))} m ${formatNumber(x2)} ${formatNumber(flipY(y2))} l S`
+    );
+  }
+
+  function rect(x, y, width, height, { fill = [240, 240, 240] } = {}) {
+    current.operations.push(
+      `${colorOperator(fill)} ${formatNumber(x)} ${formatNumber(flipY(y + height))} ${formatNumber(width)} ${formatNumber(height)} re f`
+    );
+  }
+
+  // Images are added once and can be drawn on any page
+  function addImage(decoded) {
+    images.push(decoded);
+    return images.length - 1;
+  }
+
+  function image(imageIndex, x, y, width, height) {
+    current.images.add(imageIndex);
+    current.operations.push(
+      `q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(flipY(y + height))} cm /Im${imageIndex} Do Q`
+    );
+  }
+
+  function toBuffer() {
+    const objects = [];
+    const reserve = () => {
+      objects.push(null);
+      return objects.length;
+    };
+    const set = (id, body) => {
+      objects[id - 1] = body;
+    };
+    const stream = (dictionary, data) => Buffer.concat([
+      Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+
+    const catalogId = reserve();
+    const pagesId = reserve();
+    const infoId = reserve();
+    const regularFontId = reserve();
+    const boldFontId = reserve();
+    set(regularFontId, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    set(boldFontId, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    set(infoId, `<< /Title <${encodeText(title || 'Report').toString('hex')}> /Producer (claim report) >>`);
+
+    const imageIds = images.map(decoded => {
+      const imageId = reserve();
+      let smask = '';
+      if (decoded.alpha) {
+        const maskId = reserve();
+        set(maskId, stream(
+          `/Type /XObject /Subtype /Image /Width ${decoded.width} /Height ${decoded.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`,
+          decoded.alpha
+        ));
+        smask = ` /SMask ${maskId} 0 R`;
+      }
+      set(imageId, stream(
+        `/Type /XObject /Subtype /Image /Width ${decoded.width} /Height ${decoded.height} ${decoded.dictionary}${smask}`,
+        decoded.data
+      ));
+      return imageId;
+    });
+
+    const pageIds = pages.map(page => {
+      const contentId = reserve();
+      const pageId = reserve();
+      const xObjects = [...page.images].map(index => `/Im${index} ${imageIds[index]} 0 R`).join(' ');
+      set(contentId, stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'))));
+      set(pageId, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> /XObject << ${xObjects} >> >> ` +
+        `/Contents ${contentId} 0 R >>`);
+      return pageId;
+    });
+
+    set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      const start = offset;
+      chunks.push(chunk);
+      offset += chunk.length;
+      return start;
+    });
+
+    const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f \n']
+      .concat(offsets.map(start => `${String(start).padStart(10, '0')} 00000 n \n`))
+      .join('');
+    chunks.push(Buffer.from(
+      `${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`,
+      'latin1'
+    ));
+    return Buffer.concat(chunks);
+  }
+
+  return { addPage, text, line, rect, addImage, image, toBuffer };
+}
+
+module.exports = { createPdfDocument, textWidth, PAGE_WIDTH, PAGE_HEIGHT };
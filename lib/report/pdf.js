@@ -0,0 +1,240 @@
+const { createPdfDocument, textWidth, PAGE_WIDTH, PAGE_HEIGHT } = require('./pdf-document');
+const { decodeImageForPdf } = require('./images');
+const { formatMoney, formatDate, formatPercent, vehicleTitle, verdictLabel, shopLine } = require('./format');
+
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const BLUE = [0, 51, 160];
+const GREEN = [120, 190, 32];
+const GRAY = [102, 102, 102];
+const AMBER = [133, 100, 4];
+
+function wrapText(text, width, size, bold) {
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    let current = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && textWidth(candidate, size, bold) > width) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    });
+    lines.push(current);
+  });
+  return lines;
+}
+
+// Keeps a cursor and starts a new page whenever the next block would not fit
+function createLayout(doc, footer) {
+  let y = MARGIN;
+
+  function newPage() {
+    doc.addPage();
+    doc.text(footer, MARGIN, PAGE_HEIGHT - 30, { size: 8, color: GRAY });
+    y = MARGIN;
+  }
+
+  function ensure(height) {
+    if (y + height > PAGE_HEIGHT - MARGIN) newPage();
+  }
+
+  function paragraph(text, { size = 10, bold = false, color, x = MARGIN, width = CONTENT_WIDTH, gap = 4 } = {}) {
+    const lineHeight = size * 1.3;
+    wrapText(text, width, size, bold).forEach(line => {
+      ensure(lineHeight);
+      doc.text(line, x, y + size, { size, bold, color });
+      y += lineHeight;
+    });
+    y += gap;
+  }
+
+  function heading(text) {
+    ensure(40);
+    y += 10;
+    doc.text(text, MARGIN, y + 14, { size: 14, bold: true, color: BLUE });
+    y += 20;
+    doc.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, { width: 1.5, color: GREEN });
+    y += 8;
+  }
+
+  function fact(label, value) {
+    const lines = wrapText(value, CONTENT_WIDTH - 160, 10, false);
+    ensure(lines.length * 13 + 4);
+    doc.text(label, MARGIN, y + 10, { size: 10, color: GRAY });
+    lines.forEach((line, index) => doc.text(line, MARGIN + 160, y + 10 + index * 13, { size: 10 }));
+    y += lines.length * 13 + 4;
+  }
+
+  function rightText(text, right, options) {
+    doc.text(text, right - textWidth(text, options.size, options.bold), y + options.size, options);
+  }
+
+  return {
+    newPage,
+    ensure,
+    paragraph,
+    heading,
+    fact,
+    rightText,
+    doc,
+    get y() { return y; },
+    set y(value) { y = value; }
+  };
+}
+
+function drawPhotos(layout, photos) {
+  if (photos.length === 0) {
+    layout.paragraph('No photos on file.', { color: GRAY });
+    return;
+  }
+
+  const boxWidth = (CONTENT_WIDTH - 20) / 3;
+  const boxHeight = boxWidth * 0.75;
+  photos.forEach((photo, index) => {
+    const column = index % 3;
+    if (column === 0) layout.ensure(boxHeight + 20);
+    const x = MARGIN + column * (boxWidth + 10);
+    const decoded = decodeImageForPdf(photo.image);
+
+    if (decoded) {
+      // Fit inside the box, keeping the aspect ratio
+      const scale = Math.min(boxWidth / decoded.width, boxHeight / decoded.height);
+      const width = decoded.width * scale;
+      const height = decoded.height * scale;
+      layout.doc.image(layout.doc.addImage(decoded), x + (boxWidth - width) / 2, layout.y + (boxHeight - height) / 2, width, height);
+    } else {
+      layout.doc.rect(x, layout.y, boxWidth, boxHeight);
+      layout.doc.text('Photo format not embeddable', x + 10, layout.y + boxHeight / 2, { size: 8, color: GRAY });
+    }
+    layout.doc.text(`Photo ${photo.index}`, x, layout.y + boxHeight + 11, { size: 8, color: GRAY });
+
+    if (column === 2 || index === photos.length - 1) layout.y += boxHeight + 20;
+  });
+}
+
+function drawLineItems(layout, costBreakdown) {
+  if (!costBreakdown || !costBreakdown.lineItems || costBreakdown.lineItems.length === 0) {
+    layout.paragraph('No repairable damage was priced.', { color: GRAY });
+    return;
+  }
+
+  const columns = { line: MARGIN, description: MARGIN + 22, hoursRight: 410, rateRight: 485, amountRight: MARGIN + CONTENT_WIDTH };
+  const header = { size: 9, bold: true, color: BLUE };
+  const cell = { size: 9 };
+
+  layout.ensure(16);
+  layout.doc.text('#', columns.line, layout.y + 9, header);
+  layout.doc.text('Operation', columns.description, layout.y + 9, header);
+  layout.rightText('Hours', columns.hoursRight, header);
+  layout.rightText('Rate', columns.rateRight, header);
+  layout.rightText('Amount', columns.amountRight, header);
+  layout.y += 13;
+  layout.doc.line(MARGIN, layout.y, MARGIN + CONTENT_WIDTH, layout.y, { width: 1 });
+  layout.y += 3;
+
+  costBreakdown.lineItems.forEach(item => {
+    const descriptionLines = wrapText(item.description, columns.hoursRight - 50 - columns.description, 9, false);
+    layout.ensure(descriptionLines.length * 12 + 3);
+    layout.doc.text(String(item.line), columns.line, layout.y + 9, cell);
+    descriptionLines.forEach((line, index) => layout.doc.text(line, columns.description, layout.y + 9 + index * 12, cell));
+    if (item.hours !== undefined) layout.rightText(item.hours.toFixed(1), columns.hoursRight, cell);
+    if (item.rate !== undefined) layout.rightText(`${formatMoney(item.rate)}/hr`, columns.rateRight, cell);
+    layout.rightText(formatMoney(item.amount), columns.amountRight, cell);
+    layout.y += descriptionLines.length * 12;
+    layout.doc.line(MARGIN, layout.y + 1, MARGIN + CONTENT_WIDTH, layout.y + 1);
+    layout.y += 3;
+  });
+
+  layout.y += 4;
+  [
+    ['Parts & labor', costBreakdown.breakdown.parts_and_labor, false],
+    ['Paint', costBreakdown.breakdown.paint, false],
+    ['Additional fees', costBreakdown.breakdown.surcharges, false],
+    ['Estimated total', costBreakdown.midpoint, true]
+  ].forEach(([label, amount, bold]) => {
+    const style = { size: bold ? 11 : 9, bold: bold, color: bold ? BLUE : GRAY };
+    layout.ensure(15);
+    layout.doc.text(label, columns.description, layout.y + style.size, style);
+    layout.rightText(formatMoney(amount), columns.amountRight, style);
+    layout.y += style.size + 5;
+  });
+
+  layout.y += 4;
+  layout.paragraph(
+    `Range ${formatMoney(costBreakdown.estimateRange.low)} - ${formatMoney(costBreakdown.estimateRange.high)} · ` +
+    `Pricing ${costBreakdown.pricingVersion} · ${costBreakdown.vehicleClass.label} ×${costBreakdown.vehicleClass.combinedMultiplier}`,
+    { size: 8, color: GRAY }
+  );
+}
+
+function drawShops(layout, repairShops) {
+  const shops = [];
+  if (repairShops.selected) shops.push({ ...repairShops.selected, selected: true });
+  repairShops.recommended
+    .filter(shop => !repairShops.selected || shop.placeId !== repairShops.selected.placeId)
+    .forEach(shop => shops.push(shop));
+
+  if (shops.length === 0) {
+    layout.paragraph('No location on file to search for repair shops.', { color: GRAY });
+    return;
+  }
+  if (repairShops.searchedNear) {
+    layout.paragraph(`Near ${repairShops.searchedNear}`, { size: 9, color: GRAY });
+  }
+  shops.forEach(shop => {
+    layout.paragraph(shop.selected ? `${shop.name} (selected)` : shop.name, { bold: true, gap: 0 });
+    layout.paragraph(shopLine(shop), { size: 9, color: GRAY, gap: 6 });
+  });
+}
+
+function renderReportPdf(report) {
+  const { claim, vehicle, damage, totalLoss } = report;
+  const doc = createPdfDocument({ title: `Damage Assessment Report ${claim.id}` });
+  const layout = createLayout(doc, `Claim ${claim.id} · Generated ${formatDate(report.generatedAt)}`);
+  layout.newPage();
+
+  layout.paragraph('Damage Assessment Report', { size: 20, bold: true, color: BLUE, gap: 2 });
+  layout.paragraph(`Claim ${claim.id}`, { size: 11, color: GRAY });
+
+  layout.heading('Claim');
+  layout.fact('Status', claim.status);
+  layout.fact('Policy number', claim.policyNumber || '-');
+  layout.fact('Created', formatDate(claim.createdAt));
+  layout.fact('Last updated', formatDate(claim.updatedAt));
+
+  layout.heading('Photos');
+  drawPhotos(layout, report.photos);
+
+  layout.heading('Vehicle');
+  layout.fact('Vehicle', vehicleTitle(vehicle));
+  layout.fact('Color', vehicle.color || '-');
+  layout.fact('Vehicle class', vehicle.vehicleClass || '-');
+
+  layout.heading('Damage');
+  layout.fact('Damage', damage.summary);
+  layout.fact('Airbags deployed', report.airbagsDeployed ? 'Yes' : 'No');
+  layout.fact('Drivable', report.drivable ? 'Yes' : 'No');
+  layout.fact('Assessment confidence', formatPercent(report.confidence));
+  layout.fact('Total loss evaluation', verdictLabel(totalLoss));
+  if (totalLoss && totalLoss.reasons) {
+    layout.y += 4;
+    totalLoss.reasons.forEach(reason => layout.paragraph(`• ${reason}`, { size: 9, x: MARGIN + 10, width: CONTENT_WIDTH - 10, gap: 1 }));
+  }
+  const flags = report.costBreakdown ? report.costBreakdown.flags : [];
+  flags.map(flag => flag.message).concat(report.warnings).forEach(notice => {
+    layout.paragraph(notice, { size: 9, color: AMBER, gap: 2 });
+  });
+
+  layout.heading('Repair Estimate');
+  drawLineItems(layout, report.costBreakdown);
+
+  layout.heading('Repair Shops');
+  drawShops(layout, report.repairShops);
+
+  return doc.toBuffer();
+}
+
+module.exports = { renderReportPdf };
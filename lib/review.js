@@ -0,0 +1,269 @@
+const { PARTS, SEVERITIES } = require('./vision/assessment-schema');
+
+const REVIEW_OPERATIONS = ['add_part', 'remove_part', 'regrade_part', 'set_airbags_deployed', 'set_drivable', 'override_line'];
+const REVIEW_DECISIONS = { approve: 'approved', reject: 'rejected', reopen: 'in_review' };
+const DECIDED_STATUSES = ['approved', 'rejected'];
+
+function reviewError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// The first review action keeps a copy of what the model produced, which later
+// edits never touch
+function startReview(claim, by) {
+  return {
+    startedAt: new Date().toISOString(),
+    startedBy: by,
+    original: { analysis: claim.analysis, costBreakdown: claim.costBreakdown },
+    adjustments: [],
+    lineOverrides: {},
+    decisions: []
+  };
+}
+
+// Decided claims keep the estimate they were decided on
+function checkEstimateEditable(claim) {
+  if (DECIDED_STATUSES.includes(claim.status)) {
+    throw reviewError(`Claim ${claim.id} is ${claim.status}; reopen it with a reason to change the estimate`, 409);
+  }
+}
+
+// Status changes made by a plain update. Decisions and reopening a decided or
+// closed claim go through decideReview so they carry a reason and are recorded
+// in the review; a decided claim may still be closed.
+function checkStatusChange(claim, status) {
+  if (status === undefined || status === claim.status) return;
+  if (DECIDED_STATUSES.includes(status)) {
+    throw reviewError(`Approve or reject claim ${claim.id} through its decision, with a reason`, 409);
+  }
+  if ([...DECIDED_STATUSES, 'closed'].includes(claim.status) && status !== 'closed') {
+    throw reviewError(`Claim ${claim.id} is ${claim.status}; reopen it through its decision, with a reason`, 409);
+  }
+}
+
+function checkPart(part) {
+  if (!PARTS.includes(part)) throw reviewError(`part "${part}" is not one of: ${PARTS.join(', ')}`);
+}
+
+function checkSeverity(severity) {
+  if (!SEVERITIES.includes(severity)) throw reviewError(`severity "${severity}" is not one of: ${SEVERITIES.join(', ')}`);
+}
+
+// Applies one part or flag edit to analysis in place and returns { from, to }
+function applyAnalysisEdit(analysis, edit) {
+  const existing = analysis.parts.find(entry => entry.part === edit.part);
+  switch (edit.op) {
+    case 'add_part':
+      checkPart(edit.part);
+      checkSeverity(edit.severity);
+      if (existing) throw reviewError(`${edit.part} is already in the estimate; use regrade_part to change its severity`);
+      analysis.parts.push({ part: edit.part, severity: edit.severity, source: 'adjuster' });
+      return { from: null, to: edit.severity };
+    case 'remove_part':
+      if (!existing) throw reviewError(`${edit.part} is not in the estimate`);
+      analysis.parts = analysis.parts.filter(entry => entry !== existing);
+      return { from: existing.severity, to: null };
+    case 'regrade_part': {
+      checkSeverity(edit.severity);
+      if (!existing) throw reviewError(`${edit.part} is not in the estimate`);
+      const from = existing.severity;
+      existing.severity = edit.severity;
+      return { from: from, to: edit.severity };
+    }
+    case 'set_airbags_deployed':
+    case 'set_drivable': {
+      if (typeof edit.value !== 'boolean') throw reviewError(`${edit.op} needs a true or false value`);
+      const field = edit.op === 'set_drivable' ? 'drivable' : 'airbags_deployed';
+      const from = analysis[field];
+      analysis[field] = edit.value;
+      return { from: from, to: edit.value };
+    }
+    default:
+      throw reviewError(`Unknown review operation "${edit.op}". Expected one of: ${REVIEW_OPERATIONS.join(', ')}`);
+  }
+}
+
+// Applies an adjuster's edits to a claim and re-prices it. Part and flag edits
+// go first; line overrides then refer to the lines of the re-priced estimate
+// by code. estimate(analysis, lineOverrides) returns a cost breakdown. Every
+// edit needs a reason, its own or the one given for the batch. Returns the new
+// analysis, cost breakdown and review record, and the adjustments just made.
+function applyReviewEdits(claim, edits, { by, reason }, estimate) {
+  checkEstimateEditable(claim);
+  if (!claim.analysis) throw reviewError(`Claim ${claim.id} has no analysis to review`, 409);
+  if (!Array.isArray(edits) || edits.length === 0) throw reviewError('Provide a non-empty edits array');
+
+  const at = new Date().toISOString();
+  const review = claim.review ? JSON.parse(JSON.stringify(claim.review)) : startReview(claim, by);
+  const analysis = JSON.parse(JSON.stringify(claim.analysis));
+  const adjustments = [];
+
+  const analysisEdits = edits.filter(edit => edit && edit.op !== 'override_line');
+  const lineEdits = edits.filter(edit => edit && edit.op === 'override_line');
+  if (analysisEdits.length + lineEdits.length !== edits.length) throw reviewError('Every edit must be an object with an op');
+
+  const withReason = (edit) => {
+    const editReason = String(edit.reason || reason || '').trim();
+    if (!editReason) throw reviewError(`Give a reason for ${edit.op}${edit.part ? ` of ${edit.part}` : ''}${edit.code ? ` of ${edit.code}` : ''}`);
+    return editReason;
+  };
+
+  analysisEdits.forEach(edit => {
+    const editReason = withReason(edit);
+    const change = applyAnalysisEdit(analysis, edit);
+    adjustments.push({ at: at, by: by, reason: editReason, op: edit.op, part: edit.part || null, ...change });
+  });
+  analysis.damage_detected = analysis.parts.length > 0;
+  if (analysis.damage_detected) analysis.vehicle_detected = true;
+
+  // Overrides of lines the edits above removed no longer apply
+  const lineCodes = new Set(estimate(analysis, {}).lineItems.map(line => line.code));
+  Object.keys(review.lineOverrides).forEach(code => {
+    if (lineCodes.has(code)) return;
+    adjustments.push({ at: at, by: by, reason: 'Line is no longer in the estimate', op: 'override_line', code: code, from: review.lineOverrides[code].amount, to: null });
+    delete review.lineOverrides[code];
+  });
+
+  lineEdits.forEach(edit => {
+    const editReason = withReason(edit);
+    if (!lineCodes.has(edit.code)) {
+      throw reviewError(`No line "${edit.code}" in the estimate. Lines: ${Array.from(lineCodes).join(', ') || 'none'}`);
+    }
+    // A null amount goes back to the calculated amount
+    if (edit.amount !== null && !(typeof edit.amount === 'number' && edit.amount >= 0)) {
+      throw reviewError(`The amount for ${edit.code} must be a number of dollars, or null to remove the override`);
+    }
+    const from = review.lineOverrides[edit.code] ? review.lineOverrides[edit.code].amount : null;
+    if (edit.amount === null) {
+      delete review.lineOverrides[edit.code];
+    } else {
+      review.lineOverrides[edit.code] = { amount: Math.round(edit.amount), reason: editReason, by: by, at: at };
+    }
+    adjustments.push({ at: at, by: by, reason: editReason, op: 'override_line', code: edit.code, from: from, to: edit.amount === null ? null : Math.round(edit.amount) });
+  });
+
+  review.adjustments = review.adjustments.concat(adjustments);
+  return { analysis: analysis, costBreakdown: estimate(analysis, review.lineOverrides), review: review, adjustments: adjustments };
+}
+
+// Approves, rejects or reopens a claim; returns the new status and review
+// record. Only decided and closed claims can be reopened, and they go back to
+// in_review.
+function decideReview(claim, { decision, reason }, by) {
+  if (!REVIEW_DECISIONS[decision]) throw reviewError(`decision must be one of: ${Object.keys(REVIEW_DECISIONS).join(', ')}`);
+  if (!String(reason || '').trim()) throw reviewError(`Give a reason to ${decision} the claim`);
+  const closed = [...DECIDED_STATUSES, 'closed'].includes(claim.status);
+  if (decision === 'reopen' && !closed) {
+    throw reviewError(`Claim ${claim.id} is ${claim.status}; only approved, rejected and closed claims can be reopened`, 409);
+  }
+  if (decision !== 'reopen' && closed) {
+    throw reviewError(`Claim ${claim.id} is already ${claim.status}`, 409);
+  }
+
+  const review = claim.review ? JSON.parse(JSON.stringify(claim.review)) : startReview(claim, by);
+  review.decisions.push({ at: new Date().toISOString(), by: by, decision: decision === 'reopen' ? 'reopened' : REVIEW_DECISIONS[decision], reason: String(reason).trim() });
+  return { status: REVIEW_DECISIONS[decision], review: review };
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round(count / total * 1000) / 1000 : null;
+}
+
+// How often reviewers changed the model's answer, from the net difference
+// between each reviewed claim's original and current analysis. Parts are
+// counted once per claim however often they were edited.
+function buildOverrideReport(reviews) {
+  const byPart = {};
+  const bySeverity = {};
+  SEVERITIES.forEach(severity => {
+    bySeverity[severity] = { aiReported: 0, confirmed: 0, removed: 0, regradedTo: {}, added: 0 };
+  });
+  const partStats = (part) => {
+    if (!byPart[part]) byPart[part] = { aiReported: 0, confirmed: 0, regraded: 0, removed: 0, added: 0, lineOverrides: 0 };
+    return byPart[part];
+  };
+  const totals = { reviewedClaims: 0, changedClaims: 0, lineOverrides: 0, airbagsChanged: 0, drivableChanged: 0, approved: 0, rejected: 0 };
+  const estimateChanges = [];
+
+  reviews.forEach(({ review, analysis, costBreakdown }) => {
+    const original = review.original.analysis || { parts: [] };
+    const current = analysis || { parts: [] };
+    const currentParts = new Map(current.parts.map(entry => [entry.part, entry.severity]));
+    const originalParts = new Map(original.parts.map(entry => [entry.part, entry.severity]));
+    let changed = false;
+
+    originalParts.forEach((severity, part) => {
+      const stats = partStats(part);
+      stats.aiReported++;
+      bySeverity[severity].aiReported++;
+      if (!currentParts.has(part)) {
+        stats.removed++;
+        bySeverity[severity].removed++;
+        changed = true;
+      } else if (currentParts.get(part) !== severity) {
+        stats.regraded++;
+        const to = currentParts.get(part);
+        bySeverity[severity].regradedTo[to] = (bySeverity[severity].regradedTo[to] || 0) + 1;
+        changed = true;
+      } else {
+        stats.confirmed++;
+        bySeverity[severity].confirmed++;
+      }
+    });
+    currentParts.forEach((severity, part) => {
+      if (originalParts.has(part)) return;
+      partStats(part).added++;
+      bySeverity[severity].added++;
+      changed = true;
+    });
+
+    Object.keys(review.lineOverrides).forEach(code => {
+      const part = code.includes('.') ? code.split('.')[0] : null;
+      if (part) partStats(part).lineOverrides++;
+      totals.lineOverrides++;
+      changed = true;
+    });
+    if (!!original.airbags_deployed !== !!current.airbags_deployed) {
+      totals.airbagsChanged++;
+      changed = true;
+    }
+    if ((original.drivable !== false) !== (current.drivable !== false)) {
+      totals.drivableChanged++;
+      changed = true;
+    }
+
+    // A claim reopened since its last decision counts as undecided
+    const decision = review.decisions[review.decisions.length - 1];
+    if (decision && DECIDED_STATUSES.includes(decision.decision)) totals[decision.decision]++;
+    totals.reviewedClaims++;
+    if (changed) totals.changedClaims++;
+
+    const before = review.original.costBreakdown && review.original.costBreakdown.midpoint;
+    if (before && costBreakdown) estimateChanges.push((costBreakdown.midpoint - before) / before);
+  });
+
+  Object.keys(byPart).forEach(part => {
+    const stats = byPart[part];
+    stats.overrideRate = rate(stats.regraded + stats.removed + stats.added, stats.aiReported + stats.added);
+  });
+  Object.keys(bySeverity).forEach(severity => {
+    const stats = bySeverity[severity];
+    stats.overrideRate = rate(stats.aiReported - stats.confirmed, stats.aiReported);
+  });
+
+  return {
+    totals: {
+      ...totals,
+      overrideRate: rate(totals.changedClaims, totals.reviewedClaims),
+      averageEstimateChangePercent: estimateChanges.length > 0
+        ? Math.round(estimateChanges.reduce((sum, change) => sum + change, 0) / estimateChanges.length * 1000) / 10
+        : null
+    },
+    byPart: byPart,
+    bySeverity: bySeverity
+  };
+}
+
+module.exports = { applyReviewEdits, checkEstimateEditable, checkStatusChange, decideReview, startReview, buildOverrideReport, REVIEW_OPERATIONS };
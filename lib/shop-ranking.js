@@ -0,0 +1,153 @@
+const fs = require('fs');
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function loadShopRankingRules(rulesFile) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+
+  // The specialties the assessed damage calls for, e.g. a glass shop for a
+  // broken windshield or towing for a car that cannot be driven
+  function damageNeeds(analysis) {
+    if (!analysis || analysis.vehicle_detected === false) return [];
+    const parts = (analysis.parts || []).map(partDamage => partDamage.part);
+    const make = analysis.make ? String(analysis.make).trim() : '';
+
+    return Object.keys(rules.specialties).map(key => {
+      const specialty = rules.specialties[key];
+      let because = null;
+      if (specialty.parts) {
+        const matched = specialty.parts.filter(part => parts.includes(part));
+        if (matched.length > 0) because = `${matched.join(', ').replace(/_/g, ' ')} damage`;
+      } else if (specialty.whenNotDrivable && analysis.drivable === false) {
+        because = 'the vehicle is not drivable';
+      } else if (specialty.whenMakeKnown && make) {
+        because = `the vehicle is a ${make}`;
+      }
+      if (!because) return null;
+
+      const fill = (text) => text.replace(/\{make\}/g, make);
+      return {
+        key: key,
+        label: fill(specialty.label),
+        because: because,
+        keyword: fill(specialty.keyword),
+        nameTerms: specialty.nameTerms.map(term => fill(term).toLowerCase())
+      };
+    }).filter(need => need);
+  }
+
+  function normalizePreferences(preferences = {}) {
+    const maxDistance = parseFloat(preferences.maxDistance);
+    const minRating = parseFloat(preferences.minRating);
+    return {
+      maxDistance: maxDistance > 0 ? Math.min(maxDistance, rules.maxSearchMiles) : rules.defaultMaxDistanceMiles,
+      minRating: minRating > 0 ? minRating : null,
+      openNow: preferences.openNow === true || preferences.openNow === 'true'
+    };
+  }
+
+  // One general search, plus one per specialty so specialists outside the
+  // general results are found too
+  function searchKeywords(needs) {
+    return [{ keyword: rules.baseKeyword, need: null }]
+      .concat(needs.map(need => ({ keyword: need.keyword, need: need.key })));
+  }
+
+  function isRelevantShop(name, needs) {
+    const lowerName = String(name || '').toLowerCase();
+    return rules.relevantNameTerms.concat(...needs.map(need => need.nameTerms)).some(term => lowerName.includes(term));
+  }
+
+  // A specialty counts fully when the shop's name shows it, and half when the
+  // shop only turned up in that specialty's search
+  function matchSpecialties(shop, needs) {
+    const name = shop.name.toLowerCase();
+    return needs.map(need => {
+      let match = null;
+      if (need.nameTerms.some(term => name.includes(term))) match = 'name';
+      else if ((shop.foundBy || []).includes(need.key)) match = 'search';
+      return { key: need.key, label: need.label, because: need.because, match: match, credit: match === 'name' ? 1 : match === 'search' ? 0.5 : 0 };
+    });
+  }
+
+  function scoreShop(shop, needs, preferences) {
+    const factors = [];
+    const add = (factor, share, reason) => {
+      factors.push({ factor: factor, points: round(rules.weights[factor] * share), maxPoints: rules.weights[factor], reason: reason });
+    };
+
+    add('distance', clamp(1 - shop.distance / preferences.maxDistance), `${round(shop.distance)} mi away`);
+    if (typeof shop.rating === 'number') {
+      add('rating', clamp((shop.rating - 3) / 2), `rated ${shop.rating} of 5`);
+    } else {
+      add('rating', 0.5, 'not rated yet, scored as average');
+    }
+    const reviews = shop.totalRatings || 0;
+    add('reviews', clamp(Math.log10(reviews + 1) / Math.log10(rules.fullReviewCount + 1)), `${reviews} review${reviews === 1 ? '' : 's'}`);
+    add('openNow', shop.isOpen === true ? 1 : shop.isOpen === false ? 0 : 0.5,
+      shop.isOpen === true ? 'open now' : shop.isOpen === false ? 'closed now' : 'opening hours unknown');
+
+    const specialties = matchSpecialties(shop, needs);
+    if (specialties.length === 0) {
+      add('specialty', 1, 'no specialist needed for this damage');
+    } else {
+      const credit = specialties.reduce((sum, specialty) => sum + specialty.credit, 0) / specialties.length;
+      add('specialty', credit, specialties.map(specialty => {
+        if (specialty.match === 'name') return `${specialty.label} (${specialty.because})`;
+        if (specialty.match === 'search') return `likely ${specialty.label} (${specialty.because})`;
+        return `no ${specialty.label} (${specialty.because})`;
+      }).join(', '));
+    }
+
+    const score = round(factors.reduce((sum, factor) => sum + factor.points, 0));
+    return {
+      ...shop,
+      score: score,
+      scoreBreakdown: factors,
+      specialties: specialties.filter(specialty => specialty.match).map(specialty => specialty.key),
+      explanation: `Scored ${score}/100: ${factors.map(factor => `${factor.reason} (+${factor.points})`).join('; ')}`
+    };
+  }
+
+  // Applies the user's filters, then orders the rest by score; paging is up to the caller
+  function rankShops(shops, { needs = [], preferences }) {
+    const excluded = { tooFar: 0, belowMinRating: 0, closed: 0 };
+    const eligible = shops.filter(shop => {
+      if (shop.distance > preferences.maxDistance) {
+        excluded.tooFar++;
+        return false;
+      }
+      if (preferences.minRating && !(shop.rating >= preferences.minRating)) {
+        excluded.belowMinRating++;
+        return false;
+      }
+      if (preferences.openNow && shop.isOpen !== true) {
+        excluded.closed++;
+        return false;
+      }
+      return true;
+    });
+
+    const ranked = eligible
+      .map(shop => scoreShop(shop, needs, preferences))
+      .sort((a, b) => b.score - a.score || a.distance - b.distance);
+    return { shops: ranked, excluded: excluded };
+  }
+
+  const paging = {
+    pageSize: rules.pageSize,
+    minResults: rules.minResults,
+    radiusExpansionFactor: rules.radiusExpansionFactor,
+    maxSearchMiles: rules.maxSearchMiles
+  };
+
+  return { damageNeeds, normalizePreferences, searchKeywords, isRelevantShop, rankShops, paging };
+}
+
+module.exports = { loadShopRankingRules };
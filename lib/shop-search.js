@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { logger } = require('./observability');
+
+// Places only accepts a next_page_token a couple of seconds after issuing it
+const PAGE_TOKEN_DELAY_MS = 2000;
+const SESSION_TTL_MS = 10 * 60 * 1000;
+const MAX_SESSIONS = 500;
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function searchError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function describeError(error) {
+  return {
+    upstream: error.upstream || 'places',
+    code: error.code || 'UPSTREAM_ERROR',
+    message: error.message,
+    retryAfterSeconds: error.retryAfterSeconds || null
+  };
+}
+
+// Demo shops have no place id
+function shopKey(shop) {
+  return shop.placeId || shop.name;
+}
+
+// Repair shop searches that are read a page at a time. The candidates found so
+// far and the Places page tokens are kept in memory under a cursor, so "load
+// more" ranks what is already known and only goes back to Places when it runs
+// short. `places` does the HTTP work: searchNearby(origin, options) resolves
+// with { result, source } (a Places response, and 'live' or 'cache'),
+// getDetails(placeId, cacheMode) with phone, website and hours; both reject
+// when Places cannot answer.
+function createShopSearch({ ranking, places, calculateDistance, getDemoShops }) {
+  const sessions = new Map();
+
+  function pruneSessions() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (now - session.touchedAt > SESSION_TTL_MS) sessions.delete(id);
+    }
+    // Maps keep insertion order, so the first entry is the oldest search
+    while (sessions.size >= MAX_SESSIONS) sessions.delete(sessions.keys().next().value);
+  }
+
+  function toShop(place, origin) {
+    return {
+      name: place.name,
+      address: place.vicinity || place.formatted_address,
+      rating: place.rating || null,
+      totalRatings: place.user_ratings_total || 0,
+      placeId: place.place_id,
+      location: {
+        lat: place.geometry.location.lat,
+        lng: place.geometry.location.lng
+      },
+      isOpen: place.opening_hours ? place.opening_hours.open_now : null,
+      priceLevel: place.price_level,
+      distance: calculateDistance(origin.lat, origin.lng, place.geometry.location.lat, place.geometry.location.lng),
+      foundBy: []
+    };
+  }
+
+  // The same shop often turns up in several searches; remember which ones found it
+  function addPlaces(session, result, search) {
+    (result.results || []).forEach(place => {
+      if (!ranking.isRelevantShop(place.name, session.needs)) return;
+      if (!session.candidates.has(place.place_id)) session.candidates.set(place.place_id, toShop(place, session.origin));
+      const shop = session.candidates.get(place.place_id);
+      if (search.need && !shop.foundBy.includes(search.need)) shop.foundBy.push(search.need);
+    });
+    search.nextPageToken = result.next_page_token || null;
+  }
+
+  // A search is live when any of its answers came from Places rather than the cache
+  function noteSource(session, source) {
+    if (session.source !== 'live') session.source = source;
+  }
+
+  // First page of every keyword at the session's radius; false when Places did
+  // not answer at all, with the first error kept in session.upstreamError
+  async function runFirstPages(session) {
+    const radiusMeters = Math.round(session.preferences.maxDistance * 1609.34);
+    session.searches = ranking.searchKeywords(session.needs).map(search => ({ ...search, nextPageToken: null }));
+    const settled = await Promise.allSettled(session.searches.map(search =>
+      places.searchNearby(session.origin, {
+        radiusMeters: radiusMeters,
+        keyword: search.keyword,
+        openNow: session.preferences.openNow,
+        cacheMode: session.cacheMode
+      })
+    ));
+
+    let answered = false;
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        if (!session.upstreamError) session.upstreamError = describeError(outcome.reason);
+        return;
+      }
+      const { result, source } = outcome.value;
+      if (result.status !== 'OK' && result.status !== 'ZERO_RESULTS') {
+        logger.warn('Google Places search was not answered', { status: result.status, reason: result.error_message });
+        return;
+      }
+      answered = true;
+      noteSource(session, source);
+      addPlaces(session, result, session.searches[index]);
+    });
+    return answered;
+  }
+
+  async function fetchNextPages(session) {
+    const pending = session.searches.filter(search => search.nextPageToken);
+    await wait(PAGE_TOKEN_DELAY_MS);
+    const settled = await Promise.allSettled(pending.map(search => places.searchNearby(session.origin, { pageToken: search.nextPageToken, cacheMode: session.cacheMode })));
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled' && outcome.value.result.status === 'OK') {
+        noteSource(session, outcome.value.source);
+        addPlaces(session, outcome.value.result, pending[index]);
+      } else {
+        // An expired or rejected token, or a failed request, ends that search
+        pending[index].nextPageToken = null;
+      }
+    });
+  }
+
+  function rankUnshown(session) {
+    const unshown = Array.from(session.candidates.values()).filter(shop => !session.shownIds.has(shopKey(shop)));
+    return ranking.rankShops(unshown, { needs: session.needs, preferences: session.preferences });
+  }
+
+  // Details cost one request per shop, so they are only fetched for the page being returned
+  async function takePage(session) {
+    const { pageSize } = ranking.paging;
+    let ranked = rankUnshown(session);
+    while (ranked.shops.length < pageSize && session.searches.some(search => search.nextPageToken)) {
+      await fetchNextPages(session);
+      ranked = rankUnshown(session);
+    }
+
+    const page = ranked.shops.slice(0, pageSize);
+    page.forEach(shop => session.shownIds.add(shopKey(shop)));
+    // A shop whose details could not be fetched is still listed, marked detailsAvailable: false
+    const details = await Promise.all(page.map(shop => session.source === 'demo' ? null :
+      places.getDetails(shop.placeId, session.cacheMode).catch(error => {
+        logger.warn('No details for repair shop', { shop: shop.name, error: error.message });
+        return false;
+      })));
+    const shops = page.map((shop, index) => {
+      if (details[index] === false) return { ...shop, detailsAvailable: false };
+      return details[index] ? {
+        ...shop,
+        phone: details[index].phone,
+        website: details[index].website,
+        hours: details[index].hours
+      } : shop;
+    });
+
+    const hasMore = ranked.shops.length > pageSize || session.searches.some(search => search.nextPageToken);
+    session.touchedAt = Date.now();
+    if (!hasMore) sessions.delete(session.id);
+
+    return {
+      shops: shops,
+      search: {
+        source: session.source,
+        upstreamError: session.source === 'demo' ? session.upstreamError : null,
+        radiusMiles: session.preferences.maxDistance,
+        requestedRadiusMiles: session.requestedPreferences.maxDistance,
+        radiusExpanded: session.preferences.maxDistance > session.requestedPreferences.maxDistance,
+        preferences: session.requestedPreferences,
+        needs: session.needs.map(need => ({ specialty: need.key, label: need.label, because: need.because })),
+        excluded: ranked.excluded,
+        shown: session.shownIds.size
+      },
+      nextCursor: hasMore ? session.id : null
+    };
+  }
+
+  // Starts a search around origin ({ lat, lng }) and returns its first page. When
+  // too few shops qualify (rural areas) the radius is widened step by step up to
+  // the configured maximum. Falls back to demo shops when Places is unavailable;
+  // the search's source is then 'demo' and upstreamError says why.
+  async function startSearch(origin, { analysis = null, preferences = {}, cacheMode = 'use' } = {}) {
+    pruneSessions();
+    const requestedPreferences = ranking.normalizePreferences(preferences);
+    const session = {
+      id: crypto.randomBytes(12).toString('hex'),
+      origin: origin,
+      needs: ranking.damageNeeds(analysis),
+      requestedPreferences: requestedPreferences,
+      preferences: requestedPreferences,
+      candidates: new Map(),
+      shownIds: new Set(),
+      searches: [],
+      source: null,
+      upstreamError: null,
+      cacheMode: cacheMode,
+      touchedAt: Date.now()
+    };
+
+    const { minResults, radiusExpansionFactor, maxSearchMiles } = ranking.paging;
+    for (;;) {
+      if (!(await runFirstPages(session))) {
+        // A wider search that fails keeps what the narrower one found
+        if (session.candidates.size > 0) break;
+        session.source = 'demo';
+        session.searches = [];
+        if (!session.upstreamError) session.upstreamError = { upstream: 'places', code: 'UPSTREAM_HTTP', message: 'Google Places did not return any results', retryAfterSeconds: null };
+        getDemoShops(origin.lat, origin.lng).forEach(shop => session.candidates.set(shopKey(shop), { ...shop, foundBy: [] }));
+        break;
+      }
+      if (rankUnshown(session).shops.length >= minResults || session.preferences.maxDistance >= maxSearchMiles) break;
+
+      const widened = Math.min(maxSearchMiles, session.preferences.maxDistance * radiusExpansionFactor);
+      logger.info('Widening repair shop search', { shops: rankUnshown(session).shops.length, radiusMiles: session.preferences.maxDistance, widenedMiles: widened });
+      session.preferences = { ...session.preferences, maxDistance: widened };
+    }
+
+    sessions.set(session.id, session);
+    return takePage(session);
+  }
+
+  async function continueSearch(cursor) {
+    pruneSessions();
+    const session = sessions.get(String(cursor));
+    if (!session) throw searchError('This repair shop search has expired; search again', 410);
+    return takePage(session);
+  }
+
+  return { startSearch, continueSearch };
+}
+
+module.exports = { createShopSearch };
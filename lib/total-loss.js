@@ -0,0 +1,120 @@
+const fs = require('fs');
+
+function roundPercent(value) {
+  return Math.round(value * 1000) / 10;
+}
+
+function loadTotalLossRules(rulesFile, valuationFile, normalizeMake) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  const valuation = JSON.parse(fs.readFileSync(valuationFile, 'utf8'));
+
+  function thresholdFor(state) {
+    const code = state ? String(state).toUpperCase() : null;
+    if (code && rules.stateThresholdPercent[code] !== undefined) {
+      return { state: code, thresholdPercent: rules.stateThresholdPercent[code], thresholdSource: 'state' };
+    }
+    return { state: code, thresholdPercent: rules.defaultThresholdPercent, thresholdSource: 'default' };
+  }
+
+  // Values a vehicle from the local table: an exact year entry if there is one,
+  // otherwise the MSRP depreciated by age
+  function lookupActualCashValue({ make, model, year }) {
+    const modelYear = parseInt(year, 10);
+    if (!make || !model || !modelYear) return null;
+
+    const normalizedMake = normalizeMake(make);
+    const normalizedModel = String(model).toLowerCase().trim();
+    const entry = valuation.vehicles
+      .filter(vehicle => vehicle.make === normalizedMake && normalizedModel.startsWith(vehicle.model))
+      .sort((a, b) => b.model.length - a.model.length)[0];
+    if (!entry) return null;
+
+    if (entry.values && entry.values[modelYear]) {
+      return entry.values[modelYear];
+    }
+
+    const age = Math.max(0, new Date().getFullYear() - modelYear);
+    const { firstYear, perYearAfter, floor } = valuation.depreciation;
+    const retained = age === 0 ? 1 : Math.max(floor, (1 - firstYear) * Math.pow(1 - perYearAfter, age - 1));
+    return Math.round(entry.msrp * retained / 100) * 100;
+  }
+
+  function evaluateTotalLoss({ analysis, costBreakdown, actualCashValue, state }) {
+    const threshold = thresholdFor(state);
+    const reasons = [];
+
+    let acv = Number(actualCashValue) > 0 ? Number(actualCashValue) : null;
+    let acvSource = acv ? 'user' : null;
+    if (!acv) {
+      acv = lookupActualCashValue({ make: analysis.make, model: analysis.model, year: analysis.year });
+      acvSource = acv ? 'valuation_table' : null;
+    }
+
+    if (!acv) {
+      return {
+        verdict: null,
+        actualCashValue: null,
+        acvSource: null,
+        ...threshold,
+        reasons: ['No actual cash value available. Enter the vehicle value to evaluate total loss.']
+      };
+    }
+
+    const repairCost = costBreakdown.midpoint;
+    const repairRatio = repairCost / acv;
+    reasons.push(`Estimated repair cost $${repairCost.toLocaleString()} is ${roundPercent(repairRatio)}% of the $${acv.toLocaleString()} actual cash value (${acvSource === 'user' ? 'entered' : 'valuation table'}).`);
+
+    // Some damage hides more cost than the photos show, so it raises the effective ratio
+    const allowances = rules.hiddenDamageAllowancePercent;
+    let allowancePercent = 0;
+    const parts = analysis.parts || [];
+    if (parts.some(partDamage => partDamage.part === 'frame' && partDamage.severity === 'catastrophic')) {
+      allowancePercent += allowances.catastrophicFrame;
+      reasons.push(`Catastrophic frame damage adds ${allowances.catastrophicFrame}% for likely structural repairs.`);
+    }
+    if (analysis.airbags_deployed) {
+      allowancePercent += allowances.airbagsDeployed;
+      reasons.push(`Deployed airbags add ${allowances.airbagsDeployed}% for restraint system and hidden impact damage.`);
+    }
+    if (analysis.drivable === false) {
+      allowancePercent += allowances.notDrivable;
+      reasons.push(`A non-drivable vehicle adds ${allowances.notDrivable}% for mechanical damage not visible in photos.`);
+    }
+
+    const effectivePercent = Math.round((roundPercent(repairRatio) + allowancePercent) * 10) / 10;
+    const borderlineFrom = threshold.thresholdPercent - rules.borderlineBandPercent;
+    const highEndPercent = roundPercent(costBreakdown.estimateRange.high / acv);
+
+    let verdict;
+    if (effectivePercent >= threshold.thresholdPercent) {
+      verdict = 'total_loss';
+    } else if (effectivePercent >= borderlineFrom || highEndPercent >= threshold.thresholdPercent) {
+      verdict = 'borderline';
+      if (highEndPercent >= threshold.thresholdPercent && effectivePercent < borderlineFrom) {
+        reasons.push(`The high end of the estimate range reaches ${highEndPercent}% of the vehicle value.`);
+      }
+    } else {
+      verdict = 'repair';
+    }
+
+    const thresholdLabel = threshold.thresholdSource === 'state'
+      ? `${threshold.state} total loss threshold of ${threshold.thresholdPercent}%`
+      : `default total loss threshold of ${threshold.thresholdPercent}%`;
+    reasons.push(`Effective ratio ${effectivePercent}% compared with the ${thresholdLabel} (borderline from ${borderlineFrom}%).`);
+
+    return {
+      verdict: verdict,
+      actualCashValue: acv,
+      acvSource: acvSource,
+      repairCost: repairCost,
+      repairRatioPercent: roundPercent(repairRatio),
+      effectiveRatioPercent: effectivePercent,
+      ...threshold,
+      reasons: reasons
+    };
+  }
+
+  return { lookupActualCashValue, evaluateTotalLoss };
+}
+
+module.exports = { loadTotalLossRules };
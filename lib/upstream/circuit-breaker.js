@@ -0,0 +1,62 @@
+// Stops calling an upstream that keeps failing. After failureThreshold failed
+// calls in a row the breaker opens and calls fail at once; after resetAfterMs
+// one trial call is let through (half open), which closes the breaker when it
+// succeeds and opens it again when it fails.
+function createCircuitBreaker({ failureThreshold, resetAfterMs }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+
+  // Milliseconds until a call may go through, or 0 when it may go now
+  function waitMs() {
+    if (state === 'closed') return 0;
+    if (state === 'open') {
+      const remaining = openedAt + resetAfterMs - Date.now();
+      if (remaining > 0) return remaining;
+      state = 'half_open';
+    }
+    return trialRunning ? resetAfterMs : 0;
+  }
+
+  // Whether a call may go now; in half-open state only the trial call may
+  function tryAcquire() {
+    if (waitMs() > 0) return false;
+    if (state === 'half_open') trialRunning = true;
+    return true;
+  }
+
+  function recordSuccess() {
+    state = 'closed';
+    failures = 0;
+    openedAt = null;
+    trialRunning = false;
+  }
+
+  function recordFailure() {
+    failures++;
+    trialRunning = false;
+    if (state === 'half_open' || failures >= failureThreshold) {
+      state = 'open';
+      openedAt = Date.now();
+    }
+  }
+
+  // A call that was cancelled says nothing about the upstream
+  function release() {
+    trialRunning = false;
+  }
+
+  function status() {
+    const wait = waitMs();
+    return {
+      state: state,
+      consecutiveFailures: failures,
+      retryAt: wait > 0 ? new Date(Date.now() + wait).toISOString() : null
+    };
+  }
+
+  return { tryAcquire, waitMs, recordSuccess, recordFailure, release, status };
+}
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { createCircuitBreaker } = require('./circuit-breaker');
+const { logger } = require('../observability');
+
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+// Network errors worth another attempt; anything else is a bug or a bad URL
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Errors from upstream calls carry the upstream's name, a code and the status
+// to answer the client with:
+//   UPSTREAM_TIMEOUT (504)     no connection or no data within the timeouts
+//   UPSTREAM_NETWORK (502)     the connection failed
+//   UPSTREAM_HTTP (502)        the upstream answered 429, 5xx or an error it reports in the body
+//   UPSTREAM_BAD_RESPONSE (502) the answer could not be read
+//   UPSTREAM_UNAVAILABLE (503) the circuit breaker is open
+function upstreamError(upstream, code, message, { statusCode = 502, retryable = false, upstreamStatus = null, retryAfterSeconds = null } = {}) {
+  const error = new Error(message);
+  error.upstream = upstream;
+  error.code = code;
+  error.statusCode = statusCode;
+  error.retryable = retryable;
+  error.upstreamStatus = upstreamStatus;
+  if (retryAfterSeconds) error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (!signal) return;
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function readBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    response.on('data', chunk => {
+      received += chunk.length;
+      if (received > MAX_RESPONSE_BYTES) {
+        response.destroy(new Error(`response is larger than ${MAX_RESPONSE_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+}
+
+// The message an upstream put in its error body, if it is JSON with one
+function bodyMessage(text) {
+  try {
+    const body = JSON.parse(text);
+    const error = body.error || body;
+    return typeof error === 'string' ? error : error.message || body.error_message || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// HTTP clients for the paid upstream APIs (the vision provider and Google
+// Places), with the settings of config/upstream.json: a connect timeout, a
+// read timeout that also covers the wait between chunks of a body, retries of
+// timeouts, connection errors, 429 and 5xx with exponential backoff (waiting at
+// least as long as Retry-After asks), and a circuit breaker per upstream.
+// onAttempt(name, { durationSeconds, outcome, code }) hears about every attempt,
+// with outcome 'success', 'error' or 'cancelled'.
+function createUpstreamClient(rulesFile, { onAttempt = () => {} } = {}) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  const upstreams = {};
+  Object.keys(rules.upstreams).forEach(name => {
+    const settings = { ...rules.defaults, ...rules.upstreams[name] };
+    settings.breaker = { ...rules.defaults.breaker, ...rules.upstreams[name].breaker };
+    upstreams[name] = { settings: settings, breaker: createCircuitBreaker(settings.breaker) };
+  });
+
+  // One attempt. Resolves with the response once its headers arrive.
+  function send(name, target, { method, headers, body, signal }, settings) {
+    const transport = target.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+      let response = null;
+      const req = transport.request(target, { method: method, headers: headers, signal: signal });
+      const fail = (error) => {
+        if (response) response.destroy(error);
+        req.destroy(error);
+      };
+
+      const connectTimer = setTimeout(() => fail(upstreamError(name, 'UPSTREAM_TIMEOUT',
+        `${name} did not accept a connection within ${settings.connectTimeoutMs} ms`, { statusCode: 504, retryable: true })), settings.connectTimeoutMs);
+      req.on('socket', socket => {
+        if (!socket.connecting) clearTimeout(connectTimer);
+        socket.once('connect', () => clearTimeout(connectTimer));
+      });
+      req.setTimeout(settings.readTimeoutMs, () => fail(upstreamError(name, 'UPSTREAM_TIMEOUT',
+        `${name} sent nothing for ${settings.readTimeoutMs} ms`, { statusCode: 504, retryable: true })));
+
+      req.on('response', res => {
+        clearTimeout(connectTimer);
+        response = res;
+        resolve(res);
+      });
+      req.on('error', error => {
+        clearTimeout(connectTimer);
+        reject(error);
+      });
+      if (body) req.write(body);
+      req.end();
+    });
+  }
+
+  // Makes one attempt and turns anything retryable into an upstream error.
+  // check(parsedBody) may report an error the upstream answered with HTTP 200,
+  // as { message, retryable }; the message follows the upstream's name.
+  async function attempt(name, target, options, settings) {
+    let response;
+    try {
+      response = await send(name, target, options, settings);
+    } catch (error) {
+      if (error.upstream || (options.signal && options.signal.aborted)) throw error;
+      throw upstreamError(name, 'UPSTREAM_NETWORK', `${name} request failed: ${error.message}`, {
+        retryable: RETRYABLE_NETWORK_CODES.includes(error.code)
+      });
+    }
+
+    const status = response.statusCode;
+    if (status === 429 || status >= 500) {
+      const text = await readBody(response).catch(() => '');
+      throw upstreamError(name, 'UPSTREAM_HTTP', `${name} answered HTTP ${status}${bodyMessage(text) ? `: ${bodyMessage(text)}` : ''}`, {
+        statusCode: status === 503 || status === 429 ? 503 : 502,
+        retryable: true,
+        upstreamStatus: status,
+        retryAfterSeconds: parseRetryAfter(response.headers['retry-after'])
+      });
+    }
+    if (!options.json) return response;
+
+    let text;
+    try {
+      text = await readBody(response);
+    } catch (error) {
+      if (error.upstream || (options.signal && options.signal.aborted)) throw error;
+      throw upstreamError(name, 'UPSTREAM_NETWORK', `${name} response was cut off: ${error.message}`, { retryable: true });
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw upstreamError(name, 'UPSTREAM_BAD_RESPONSE', `${name} answered HTTP ${status} with a body that is not JSON`, { upstreamStatus: status });
+    }
+    const problem = options.check ? options.check(parsed) : null;
+    if (problem) {
+      throw upstreamError(name, 'UPSTREAM_HTTP', `${name} ${problem.message}`, {
+        statusCode: problem.retryable ? 503 : 502,
+        retryable: !!problem.retryable,
+        upstreamStatus: status
+      });
+    }
+    return { statusCode: status, headers: response.headers, body: parsed };
+  }
+
+  // Exponential backoff with jitter, at least what Retry-After asks for; null
+  // when the error is final or Retry-After asks for more than maxRetryAfterMs
+  function retryDelay(error, attemptNumber, settings) {
+    if (!error.retryable || attemptNumber >= settings.retries) return null;
+    const backoff = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attemptNumber);
+    const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    const asked = (error.retryAfterSeconds || 0) * 1000;
+    if (asked > settings.maxRetryAfterMs) return null;
+    return Math.max(jittered, asked);
+  }
+
+  // Sends a request to the named upstream. options are { url, method, headers,
+  // body, signal } plus json: true to resolve with { statusCode, headers, body }
+  // (parsed, and checked by options.check) instead of the response stream.
+  // Answers other than 429 and 5xx are the caller's to interpret. Rejects with
+  // an upstream error once the retries are used up or the breaker is open.
+  async function request(name, options) {
+    const upstream = upstreams[name];
+    if (!upstream) throw new Error(`Unknown upstream "${name}". Expected one of: ${Object.keys(upstreams).join(', ')}`);
+    const { settings, breaker } = upstream;
+    const target = options.url instanceof URL ? options.url : new URL(options.url);
+
+    if (!breaker.tryAcquire()) {
+      const retryAfterSeconds = Math.max(1, Math.ceil(breaker.waitMs() / 1000));
+      throw upstreamError(name, 'UPSTREAM_UNAVAILABLE',
+        `${name} is failing and is not being called for ${retryAfterSeconds}s`, { statusCode: 503, retryAfterSeconds: retryAfterSeconds });
+    }
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      const startedAt = process.hrtime.bigint();
+      const seconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+      try {
+        const result = await attempt(name, target, options, settings);
+        onAttempt(name, { durationSeconds: seconds(), outcome: 'success', code: null });
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          onAttempt(name, { durationSeconds: seconds(), outcome: 'cancelled', code: null });
+          breaker.release();
+          throw error;
+        }
+        onAttempt(name, { durationSeconds: seconds(), outcome: 'error', code: error.code || 'UPSTREAM_ERROR' });
+        const delay = retryDelay(error, attemptNumber, settings);
+        if (delay === null) {
+          // Errors the upstream is not to blame for leave the breaker alone
+          if (error.retryable || error.code === 'UPSTREAM_BAD_RESPONSE') breaker.recordFailure();
+          else breaker.release();
+          logger.error('Upstream call failed', { upstream: name, attempts: attemptNumber + 1, error: error });
+          throw error;
+        }
+        logger.warn('Retrying upstream call', { upstream: name, attempt: attemptNumber + 1, retries: settings.retries, delayMs: delay, reason: error.message });
+        try {
+          await wait(delay, options.signal);
+        } catch (abortError) {
+          breaker.release();
+          throw abortError;
+        }
+      }
+    }
+  }
+
+  // One request with no retries that leaves the breaker alone, to tell whether
+  // the upstream can be reached at all. Any HTTP answer counts as reachable.
+  async function probe(name, { url, headers = {} }) {
+    const upstream = upstreams[name];
+    if (!upstream) throw new Error(`Unknown upstream "${name}"`);
+    const startedAt = Date.now();
+    try {
+      const response = await send(name, new URL(url), { method: 'GET', headers: headers }, upstream.settings);
+      response.resume();
+      return { reachable: true, statusCode: response.statusCode, latencyMs: Date.now() - startedAt, error: null };
+    } catch (error) {
+      return { reachable: false, statusCode: null, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+  }
+
+  function state() {
+    const byUpstream = {};
+    Object.keys(upstreams).forEach(name => {
+      byUpstream[name] = upstreams[name].breaker.status();
+    });
+    return byUpstream;
+  }
+
+  return { request, probe, state };
+}
+
+module.exports = { createUpstreamClient, upstreamError };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+
+function normalizeName(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function parseModelYear(value) {
+  const year = parseInt(value, 10);
+  const latest = new Date().getFullYear() + 1;
+  return year >= 1950 && year <= latest ? year : null;
+}
+
+function loadVehicleClasses(configFile) {
+  const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+
+  if (!config.classes[config.defaultClass]) {
+    throw new Error(`Vehicle class config names unknown default class "${config.defaultClass}"`);
+  }
+  config.models.forEach(rule => {
+    if (!config.classes[rule.class]) {
+      throw new Error(`Vehicle class rule for ${rule.make} ${rule.model} uses unknown class "${rule.class}"`);
+    }
+  });
+
+  function normalizeMake(make) {
+    const normalizedMake = normalizeName(make);
+    return config.makeAliases[normalizedMake] || normalizedMake;
+  }
+
+  function resolveVehicleClass({ make, model, year } = {}) {
+    const normalizedMake = normalizeMake(make);
+    const normalizedModel = normalizeName(model);
+    const modelYear = parseModelYear(year);
+
+    // The longest matching model prefix wins, so "silverado ev" beats "silverado"
+    const modelRule = config.models
+      .filter(rule => rule.make === normalizedMake && normalizedModel.startsWith(rule.model))
+      .filter(rule => !rule.minYear || modelYear === null || modelYear >= rule.minYear)
+      .sort((a, b) => b.model.length - a.model.length)[0];
+
+    let vehicleClass = config.defaultClass;
+    let source = 'default';
+    if (modelRule) {
+      vehicleClass = modelRule.class;
+      source = 'model';
+    } else if (config.makes[normalizedMake]) {
+      vehicleClass = config.makes[normalizedMake];
+      source = 'make';
+    }
+
+    const classInfo = config.classes[vehicleClass];
+    return {
+      class: vehicleClass,
+      label: classInfo.label,
+      source: source,
+      modelYear: modelYear,
+      partsMultiplier: classInfo.partsMultiplier,
+      laborMultiplier: classInfo.laborMultiplier,
+      laborShare: config.laborShare
+    };
+  }
+
+  function vehicleFlags(vehicleClass, parts) {
+    const flags = [];
+    if (vehicleClass.class === 'ev') {
+      const batteryAdjacent = (parts || [])
+        .filter(partDamage => config.evBatteryAdjacentParts.includes(partDamage.part))
+        .map(partDamage => partDamage.part);
+      if (batteryAdjacent.length > 0) {
+        flags.push({
+          code: 'ev_battery_inspection',
+          message: `Damage to ${batteryAdjacent.join(', ')} on an electric vehicle may affect the high-voltage battery. Require a battery inspection before repair.`
+        });
+      }
+    }
+    return flags;
+  }
+
+  return { normalizeMake, resolveVehicleClass, vehicleFlags };
+}
+
+module.exports = { loadVehicleClasses };
@@ -0,0 +1,279 @@
+const PARTS = [
+  'front_bumper', 'rear_bumper', 'front_door', 'rear_door', 'hood', 'roof', 'fender',
+  'quarter_panel', 'trunk', 'windshield', 'rear_glass', 'side_glass', 'headlight',
+  'taillight', 'wheel', 'tire', 'frame'
+];
+
+const SEVERITIES = ['minor', 'moderate', 'severe', 'catastrophic'];
+
+const CONFIDENCE_RANGE = { min: 0.1, max: 1.0 };
+
+// Names models commonly use instead of our part enum
+const PART_SYNONYMS = {
+  bumper_front: 'front_bumper',
+  bumper_rear: 'rear_bumper',
+  back_bumper: 'rear_bumper',
+  bonnet: 'hood',
+  front_fender: 'fender',
+  wing: 'fender',
+  rear_fender: 'quarter_panel',
+  rear_quarter_panel: 'quarter_panel',
+  boot: 'trunk',
+  trunk_lid: 'trunk',
+  tailgate: 'trunk',
+  liftgate: 'trunk',
+  front_windshield: 'windshield',
+  windscreen: 'windshield',
+  rear_windshield: 'rear_glass',
+  back_glass: 'rear_glass',
+  rear_window: 'rear_glass',
+  window: 'side_glass',
+  side_window: 'side_glass',
+  door_glass: 'side_glass',
+  headlamp: 'headlight',
+  head_light: 'headlight',
+  tail_lamp: 'taillight',
+  tail_light: 'taillight',
+  rim: 'wheel',
+  tyre: 'tire',
+  chassis: 'frame',
+  unibody: 'frame'
+};
+
+const SEVERITY_SYNONYMS = {
+  light: 'minor',
+  slight: 'minor',
+  small: 'minor',
+  low: 'minor',
+  medium: 'moderate',
+  moderate_damage: 'moderate',
+  major: 'severe',
+  heavy: 'severe',
+  high: 'severe',
+  extreme: 'catastrophic',
+  total: 'catastrophic',
+  destroyed: 'catastrophic'
+};
+
+function toEnumKey(value) {
+  return String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_').replace(/[^a-z_]/g, '');
+}
+
+function coerceBoolean(value, field, fallback, warnings) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') {
+    warnings.push(`${field} was the string "${value}", converted to a boolean`);
+    return value === 'true';
+  }
+  if (value !== undefined && value !== null) {
+    warnings.push(`${field} had invalid value ${JSON.stringify(value)}, using ${fallback}`);
+  }
+  return fallback;
+}
+
+function coerceString(value, field, warnings) {
+  if (typeof value === 'string') return value.trim();
+  if (value === undefined || value === null) return '';
+  warnings.push(`${field} was not a string, converted`);
+  return String(value);
+}
+
+// Boxes are [x_min, y_min, x_max, y_max] in 0-1 image coordinates. A bad box
+// only costs the overlay, so it is dropped with a warning instead of retried.
+function normalizeBox(raw, part, warnings) {
+  if (raw === undefined || raw === null) return null;
+  if (!Array.isArray(raw) || raw.length !== 4 || raw.some(value => typeof value !== 'number' || isNaN(value))) {
+    warnings.push(`box for ${part} must be four numbers [x_min, y_min, x_max, y_max], dropped`);
+    return null;
+  }
+
+  let box = raw;
+  if (box.some(value => value > 1) && box.every(value => value >= 0 && value <= 100)) {
+    warnings.push(`box for ${part} looked like percentages, divided by 100`);
+    box = box.map(value => value / 100);
+  }
+  if (box.some(value => value < 0 || value > 1)) {
+    warnings.push(`box for ${part} is outside the image, dropped`);
+    return null;
+  }
+
+  const [x1, y1, x2, y2] = box;
+  if (x1 > x2 || y1 > y2) {
+    warnings.push(`box corners for ${part} were reversed, reordered`);
+  }
+  const normalized = [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)]
+    .map(value => Math.round(value * 1000) / 1000);
+  if (normalized[0] === normalized[2] || normalized[1] === normalized[3]) {
+    warnings.push(`box for ${part} has no area, dropped`);
+    return null;
+  }
+  return normalized;
+}
+
+// The model's opinion on whether the photo is an original; null when it gave none
+function normalizeAuthenticity(raw, warnings) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    warnings.push('photo_authenticity must be an object, dropped');
+    return null;
+  }
+  return {
+    stock_or_edited: coerceBoolean(raw.stock_or_edited, 'photo_authenticity.stock_or_edited', false, warnings),
+    screen_capture: coerceBoolean(raw.screen_capture, 'photo_authenticity.screen_capture', false, warnings),
+    reason: coerceString(raw.reason, 'photo_authenticity.reason', warnings)
+  };
+}
+
+// Strips markdown fences and any prose around the JSON object
+function extractJson(content) {
+  let text = String(content || '');
+  if (text.includes('```')) {
+    text = text.replace(/```json\s*/, '').replace(/```\s*/, '');
+  }
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Response did not contain a JSON object');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+// Normalizes a raw assessment. Anything we can fix is fixed and reported in
+// warnings; anything we cannot is dropped and reported in errors, which the
+// vision provider sends back to the model for one retry.
+function normalizeAssessment(raw) {
+  const warnings = [];
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { result: null, warnings, errors: ['Response must be a JSON object'] };
+  }
+
+  const result = {
+    make: coerceString(raw.make, 'make', warnings),
+    model: coerceString(raw.model, 'model', warnings),
+    color: coerceString(raw.color, 'color', warnings)
+  };
+
+  // Year
+  if (raw.year === undefined || raw.year === null || raw.year === '') {
+    result.year = null;
+  } else {
+    const year = parseInt(raw.year, 10);
+    if (year >= 1950 && year <= new Date().getFullYear() + 1) {
+      if (typeof raw.year !== 'number') warnings.push(`year "${raw.year}" converted to ${year}`);
+      result.year = year;
+    } else {
+      warnings.push(`year ${JSON.stringify(raw.year)} is not a plausible model year, dropped`);
+      result.year = null;
+    }
+  }
+
+  // Parts; a missing list means nothing was found
+  const parts = [];
+  if (raw.parts !== undefined && raw.parts !== null && !Array.isArray(raw.parts)) {
+    errors.push('parts must be an array of {"part", "severity"} objects');
+  } else if (Array.isArray(raw.parts)) {
+    raw.parts.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`parts[${index}] must be an object with part and severity`);
+        return;
+      }
+
+      const partKey = toEnumKey(entry.part);
+      const part = PARTS.includes(partKey) ? partKey : PART_SYNONYMS[partKey];
+      if (!part) {
+        errors.push(`parts[${index}].part "${entry.part}" is not one of: ${PARTS.join(', ')}`);
+        return;
+      }
+      if (part !== entry.part) {
+        warnings.push(`part "${entry.part}" normalized to ${part}`);
+      }
+
+      const severityKey = toEnumKey(entry.severity);
+      const severity = SEVERITIES.includes(severityKey) ? severityKey : SEVERITY_SYNONYMS[severityKey];
+      if (!severity) {
+        errors.push(`parts[${index}].severity "${entry.severity}" is not one of: ${SEVERITIES.join(', ')}`);
+        return;
+      }
+      if (severity !== entry.severity) {
+        warnings.push(`severity "${entry.severity}" for ${part} normalized to ${severity}`);
+      }
+
+      const normalizedPart = { ...entry, part: part, severity: severity };
+      const box = normalizeBox(entry.box, part, warnings);
+      if (box) {
+        normalizedPart.box = box;
+      } else {
+        delete normalizedPart.box;
+      }
+
+      // One entry per part, or the estimate prices it once per duplicate
+      const existing = parts.findIndex(other => other.part === part);
+      if (existing === -1) {
+        parts.push(normalizedPart);
+        return;
+      }
+      warnings.push(`${part} was listed more than once, merged keeping the worst severity`);
+      if (SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(parts[existing].severity)) {
+        parts[existing] = normalizedPart;
+      }
+    });
+  }
+  result.parts = parts;
+
+  // Detection flags, inferred when missing for backward compatibility
+  result.vehicle_detected = raw.vehicle_detected === undefined
+    ? !!(result.make || result.model || raw.parts)
+    : coerceBoolean(raw.vehicle_detected, 'vehicle_detected', true, warnings);
+  result.damage_detected = raw.damage_detected === undefined
+    ? parts.length > 0
+    : coerceBoolean(raw.damage_detected, 'damage_detected', parts.length > 0, warnings);
+  result.airbags_deployed = coerceBoolean(raw.airbags_deployed, 'airbags_deployed', false, warnings);
+  result.drivable = coerceBoolean(raw.drivable, 'drivable', true, warnings);
+
+  const authenticity = normalizeAuthenticity(raw.photo_authenticity, warnings);
+  if (authenticity) result.photo_authenticity = authenticity;
+
+  if (!result.vehicle_detected && parts.length > 0) {
+    warnings.push('parts were reported without a vehicle and were dropped');
+    result.parts = [];
+  }
+  if (result.vehicle_detected && !result.damage_detected && result.parts.length > 0) {
+    warnings.push('damage_detected was false although damaged parts were listed, set to true');
+    result.damage_detected = true;
+  }
+  if (result.damage_detected && result.parts.length === 0 && errors.length === 0) {
+    warnings.push('damage_detected was true but no valid parts were listed, set to false');
+    result.damage_detected = false;
+  }
+
+  // Confidence
+  let confidence = typeof raw.confidence === 'number' ? raw.confidence : parseFloat(raw.confidence);
+  if (isNaN(confidence)) {
+    warnings.push(`confidence ${JSON.stringify(raw.confidence)} is not a number, using 0.5`);
+    confidence = 0.5;
+  } else if (typeof raw.confidence !== 'number') {
+    warnings.push(`confidence "${raw.confidence}" converted to a number`);
+  }
+  if (confidence > CONFIDENCE_RANGE.max && confidence <= 100) {
+    warnings.push(`confidence ${confidence} looked like a percentage, divided by 100`);
+    confidence = confidence / 100;
+  }
+  if (confidence < CONFIDENCE_RANGE.min || confidence > CONFIDENCE_RANGE.max) {
+    const clamped = Math.min(CONFIDENCE_RANGE.max, Math.max(CONFIDENCE_RANGE.min, confidence));
+    warnings.push(`confidence ${confidence} outside ${CONFIDENCE_RANGE.min}-${CONFIDENCE_RANGE.max}, clamped to ${clamped}`);
+    confidence = clamped;
+  }
+  result.confidence = confidence;
+
+  return { result, warnings, errors };
+}
+
+module.exports = {
+  PARTS,
+  SEVERITIES,
+  CONFIDENCE_RANGE,
+  extractJson,
+  normalizeAssessment
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+const { createOpenAIProvider } = require('./openai');
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { createMockProvider } = require('./mock');
+const { PROMPT_VERSION } = require('./prompt');
+
+const VISION_PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+// onUsage(model, usage) is called with the token usage of every model call.
+// upstream is the shared upstream client; model calls go through its "vision" upstream.
+// Providers report whether they are `configured`, and remote ones can `probe()` their server.
+function createVisionProvider(env, { openaiApiKey, onUsage, upstream } = {}) {
+  const providerName = (env.VISION_PROVIDER || 'openai').toLowerCase();
+  const request = upstream ? (options) => upstream.request('vision', options) : null;
+  const probe = upstream ? (options) => upstream.probe('vision', options) : null;
+  const maxTokens = parseInt(env.VISION_MAX_TOKENS, 10) || undefined;
+
+  switch (providerName) {
+    case 'openai':
+      return createOpenAIProvider({ apiKey: openaiApiKey, model: env.VISION_MODEL, maxTokens: maxTokens, onUsage: onUsage, request: request, probe: probe });
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider({
+        baseUrl: env.VISION_BASE_URL,
+        apiKey: env.VISION_API_KEY,
+        model: env.VISION_MODEL,
+        maxTokens: maxTokens,
+        onUsage: onUsage,
+        request: request,
+        probe: probe
+      });
+    case 'mock':
+      return createMockProvider({
+        fixturesDir: env.MOCK_FIXTURES_DIR || path.join(__dirname, '..', '..', 'fixtures', 'vision'),
+        latencyMs: parseInt(env.MOCK_LATENCY_MS, 10) || 0,
+        onUsage: onUsage
+      });
+    default:
+      throw new Error(`Unknown VISION_PROVIDER "${providerName}". Expected one of: ${VISION_PROVIDERS.join(', ')}`);
+  }
+}
+
+module.exports = { createVisionProvider, VISION_PROVIDERS, PROMPT_VERSION };
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { runValidatedAnalysis } = require('./validated-analysis');
+const { logger } = require('../observability');
+
+// Roughly what the prompt and one photo cost, so spend budgets can be tried offline
+const MOCK_PROMPT_TOKENS = 1000;
+
+// Streamed answers arrive in this many pieces spread over the latency
+const MOCK_STREAM_CHUNKS = 4;
+
+// Offline provider for CI and demos. Fixtures are raw model answers: .json for
+// clean output, .txt for output that needs repairing. Pick a fixture explicitly with an image
+// value like "mock://rear-end" (or any URL whose file name is a fixture name);
+// any other image maps to a fixture by its hash, so the same photo always
+// gets the same answer.
+function createMockProvider({ fixturesDir, latencyMs = 0, onUsage = () => {} }) {
+  const fixtures = {};
+  fs.readdirSync(fixturesDir)
+    .filter(file => /\.(json|txt)$/.test(file))
+    .sort()
+    .forEach(file => {
+      fixtures[path.basename(file, path.extname(file))] = fs.readFileSync(path.join(fixturesDir, file), 'utf8');
+    });
+
+  const names = Object.keys(fixtures);
+  if (names.length === 0) {
+    throw new Error(`No mock vision fixtures found in ${fixturesDir}`);
+  }
+
+  function pickFixture(imageData) {
+    const explicit = String(imageData).match(/^mock:\/\/([\w-]+)/) ||
+      String(imageData).match(/\/([\w-]+)\.(?:jpe?g|png|webp|gif)(?:\?.*)?$/i);
+    if (explicit && fixtures[explicit[1]]) return explicit[1];
+
+    const hash = crypto.createHash('sha256').update(String(imageData)).digest();
+    return names[hash.readUInt32BE(0) % names.length];
+  }
+
+  function analyze(imageData, options = {}) {
+    const fixtureName = pickFixture(imageData);
+    logger.debug('Mock vision provider using fixture', { fixture: fixtureName });
+
+    // Fixtures hold raw model output, so they go through the same validation as
+    // live answers. With onPartial the answer is handed out in pieces, as a
+    // streamed completion would be.
+    const complete = (messages, { signal, onPartial } = {}) => new Promise((resolve, reject) => {
+      const content = fixtures[fixtureName];
+      const chunks = onPartial ? MOCK_STREAM_CHUNKS : 1;
+      let sent = 0;
+      let timer;
+      const cancel = () => {
+        clearTimeout(timer);
+        reject(new Error('The vision request was cancelled'));
+      };
+      const next = () => {
+        sent++;
+        if (sent < chunks) {
+          onPartial(content.slice(0, Math.ceil(content.length * sent / chunks)));
+          timer = setTimeout(next, latencyMs / chunks);
+          return;
+        }
+        if (signal) signal.removeEventListener('abort', cancel);
+        onUsage('fixtures', { prompt_tokens: MOCK_PROMPT_TOKENS, completion_tokens: Math.ceil(content.length / 4) });
+        resolve(content);
+      };
+      if (signal) {
+        if (signal.aborted) return cancel();
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+      timer = setTimeout(next, latencyMs / chunks);
+    });
+    return runValidatedAnalysis(complete, imageData, 'mock', options);
+  }
+
+  return { name: 'mock', model: 'fixtures', analyze, fixtures: names, configured: true, probe: null };
+}
+
+module.exports = { createMockProvider };
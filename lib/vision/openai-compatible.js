@@ -0,0 +1,151 @@
+const { runValidatedAnalysis } = require('./validated-analysis');
+const { upstreamError } = require('../upstream');
+const { logger } = require('../observability');
+
+// Room for a box per damaged part and the authenticity signals on top of the assessment
+const DEFAULT_MAX_TOKENS = 1500;
+
+// Reads a streamed chat completion (server-sent `data:` lines) and resolves with
+// the whole message content, why the model stopped and the usage sent with the
+// last chunk
+function readStreamedCompletion(res, onPartial) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let finishReason = null;
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload || payload === '[DONE]') return;
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch (error) {
+          return;
+        }
+        if (event.usage) usage = event.usage;
+        if (event.choices && event.choices[0] && event.choices[0].finish_reason) finishReason = event.choices[0].finish_reason;
+        const delta = event.choices && event.choices[0] && event.choices[0].delta;
+        if (delta && delta.content) {
+          content += delta.content;
+          onPartial(content);
+        }
+      });
+    });
+    res.on('end', () => resolve({ content, usage, finishReason }));
+    res.on('error', reject);
+  });
+}
+
+// Any server that speaks the OpenAI chat completions API with image inputs
+// (OpenAI itself, vLLM, Ollama, LM Studio, Azure-style gateways, ...).
+// onUsage(model, usage) gets the token usage of every completion. request is
+// the upstream client's request function (timeouts, retries, circuit breaker).
+// maxTokens caps the length of each answer.
+function createOpenAICompatibleProvider({ name = 'openai-compatible', baseUrl, apiKey, model, maxTokens = DEFAULT_MAX_TOKENS, onUsage = () => {}, request, probe }) {
+  if (!baseUrl) throw new Error(`Vision provider "${name}" needs a base URL`);
+  if (!model) throw new Error(`Vision provider "${name}" needs a model name`);
+  if (!request) throw new Error(`Vision provider "${name}" needs an upstream request function`);
+
+  const endpoint = new URL(`${baseUrl.replace(/\/+$/, '')}/chat/completions`);
+
+  // An answer cut off at maxTokens is unfinished JSON, not a bad assessment
+  function truncatedError() {
+    return upstreamError('vision', 'VISION_TRUNCATED', `${name} stopped after ${maxTokens} tokens before finishing the assessment; raise VISION_MAX_TOKENS`);
+  }
+
+  // Sends one chat completion and resolves with the assistant's message content.
+  // With onPartial the completion is streamed and onPartial gets the content so
+  // far after every chunk; signal aborts the request.
+  async function complete(messages, { signal, onPartial } = {}) {
+    const streamed = typeof onPartial === 'function';
+    const requestBody = JSON.stringify({
+      model: model,
+      temperature: 0,
+      messages: messages,
+      max_tokens: maxTokens,
+      ...(streamed ? { stream: true, stream_options: { include_usage: true } } : {})
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(requestBody)
+    };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    const res = await request({ url: endpoint, method: 'POST', headers: headers, body: requestBody, signal: signal });
+    return new Promise((resolve, reject) => {
+      // Servers without streaming support answer with a plain completion
+      if (streamed && res.statusCode === 200 && /text\/event-stream/i.test(res.headers['content-type'] || '')) {
+        readStreamedCompletion(res, onPartial).then(({ content, usage, finishReason }) => {
+          logger.debug('Vision provider streamed response', { provider: name, content: content, usage: usage, finishReason: finishReason });
+          if (usage) onUsage(model, usage);
+          if (finishReason === 'length') {
+            reject(truncatedError());
+            return;
+          }
+          resolve(content);
+        }, reject);
+        return;
+      }
+
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        try {
+          const response = JSON.parse(data);
+          logger.debug('Vision provider response', { provider: name, statusCode: res.statusCode, response: response });
+
+          if (response.usage) onUsage(model, response.usage);
+
+          if (response.choices && response.choices[0]) {
+            if (response.choices[0].finish_reason === 'length') {
+              reject(truncatedError());
+              return;
+            }
+            resolve(response.choices[0].message.content);
+          } else if (response.error) {
+            // Handle OpenAI API errors
+            logger.error('Vision provider answered with an error', { provider: name, statusCode: res.statusCode, error: response.error });
+
+            let errorMessage = response.error.message;
+            if (response.error.code === 'invalid_image_url') {
+              errorMessage = 'Unable to access the image URL. Please ensure the image is publicly accessible and try again, or upload the image file directly instead.';
+            }
+
+            reject(upstreamError('vision', 'UPSTREAM_HTTP', errorMessage, { upstreamStatus: res.statusCode }));
+          } else {
+            logger.error('Vision provider response has no choices', { provider: name, statusCode: res.statusCode, response: response });
+            const invalid = new Error(`Invalid ${name} response: ${JSON.stringify(response)}`);
+            invalid.code = 'INVALID_RESPONSE';
+            reject(invalid);
+          }
+        } catch (error) {
+          logger.error('Vision provider response is not JSON', { provider: name, statusCode: res.statusCode, error: error.message, body: data });
+          reject(error);
+        }
+      });
+      res.on('error', reject);
+    });
+  }
+
+  // options are { signal, onPartial }
+  function analyze(imageData, options = {}) {
+    return runValidatedAnalysis(complete, imageData, name, options);
+  }
+
+  // Listing the models is free, and answers whether the server is there and takes the key
+  function checkReachable() {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    return probe({ url: `${baseUrl.replace(/\/+$/, '')}/models`, headers: headers });
+  }
+
+  return { name, model, analyze, configured: true, probe: probe ? checkReachable : null };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,26 @@
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { logger } = require('../observability');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+function createOpenAIProvider({ apiKey, model, maxTokens, onUsage, request, probe }) {
+  const configured = !!apiKey && apiKey !== 'your-openai-api-key-here';
+  if (!configured) {
+    logger.warn('OPENAI_API_KEY not configured properly');
+  }
+
+  const provider = createOpenAICompatibleProvider({
+    name: 'openai',
+    baseUrl: OPENAI_BASE_URL,
+    apiKey: apiKey,
+    model: model || DEFAULT_OPENAI_MODEL,
+    maxTokens: maxTokens,
+    onUsage: onUsage,
+    request: request,
+    probe: probe
+  });
+  return { ...provider, configured: configured };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,59 @@
+const DAMAGE_ASSESSMENT_PROMPT = `Analyze this image for car damage assessment. First determine if this shows a motor vehicle with visible damage. Respond with JSON only in this exact format:
+
+{
+  "vehicle_detected": true,
+  "damage_detected": true,
+  "make": "Toyota",
+  "model": "Camry", 
+  "color": "Silver",
+  "year": 2018,
+  "parts": [
+    {"part": "front_bumper", "severity": "moderate", "box": [0.12, 0.58, 0.86, 0.84]},
+    {"part": "hood", "severity": "minor", "box": [0.2, 0.32, 0.8, 0.56]}
+  ],
+  "airbags_deployed": false,
+  "drivable": true,
+  "photo_authenticity": {"stock_or_edited": false, "screen_capture": false, "reason": ""},
+  "confidence": 0.8
+}
+
+IMPORTANT RULES:
+- If no motor vehicle is visible: set vehicle_detected=false, damage_detected=false, parts=[], make/model/color can be empty
+- If motor vehicle is visible but no damage: set vehicle_detected=true, damage_detected=false, parts=[], but ALWAYS identify make/model/color
+- If both vehicle AND damage are detected: populate make, model, color, and parts array with damage details
+- year is your best estimate of the model year as a number; use null if you cannot tell
+- box is the damaged area as [x_min, y_min, x_max, y_max] in normalized image coordinates from 0 to 1, measured from the top-left corner of the image
+- photo_authenticity: set stock_or_edited=true if the image looks like a stock, press or watermarked photo, or shows signs of digital editing such as pasted-in damage; set screen_capture=true if it is a photo or screenshot of a screen or a printout rather than of the vehicle itself; give a short reason when either is true
+
+Use ONLY these exact values for part and severity:
+Parts: front_bumper, rear_bumper, front_door, rear_door, hood, roof, fender, quarter_panel, trunk, windshield, rear_glass, side_glass, headlight, taillight, wheel, tire, frame
+Severity: minor, moderate, severe, catastrophic
+Confidence: 0.1 to 1.0 based on image clarity and damage visibility`;
+
+// Bump whenever the prompt text changes so stored results can be traced to it
+const PROMPT_VERSION = '2025-10-4';
+
+function buildAssessmentMessages(imageData) {
+  return [{
+    role: "user",
+    content: [{
+      type: "text",
+      text: DAMAGE_ASSESSMENT_PROMPT
+    }, {
+      type: "image_url",
+      image_url: { url: imageData }
+    }]
+  }];
+}
+
+function buildCorrectionMessage(problems) {
+  return {
+    role: "user",
+    content: `Your previous response did not match the required format:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Respond again with the corrected JSON only. Use only the listed part and severity values.`
+  };
+}
+
+module.exports = { DAMAGE_ASSESSMENT_PROMPT, PROMPT_VERSION, buildAssessmentMessages, buildCorrectionMessage };
@@ -0,0 +1,56 @@
+const { buildAssessmentMessages, buildCorrectionMessage } = require('./prompt');
+const { extractJson, normalizeAssessment } = require('./assessment-schema');
+const { logger } = require('../observability');
+
+function validateContent(content) {
+  try {
+    return normalizeAssessment(extractJson(content));
+  } catch (error) {
+    return { result: null, warnings: [], errors: [`Response was not valid JSON: ${error.message}`] };
+  }
+}
+
+// Runs one assessment through `complete(messages, options) -> content`. If the
+// answer breaks the schema, the model gets a single retry with the validation
+// errors; whatever still cannot be fixed is dropped and reported as a warning.
+// options ({ signal, onPartial }) are passed to every completion.
+async function runValidatedAnalysis(complete, imageData, providerName, options = {}) {
+  const messages = buildAssessmentMessages(imageData);
+  const firstContent = await complete(messages, options);
+  const first = validateContent(firstContent);
+
+  if (first.errors.length === 0) {
+    return { ...first.result, warnings: first.warnings };
+  }
+
+  logger.warn('Assessment failed validation, retrying once', { provider: providerName, errors: first.errors });
+
+  let second = null;
+  try {
+    const retryContent = await complete([
+      ...messages,
+      { role: "assistant", content: String(firstContent) },
+      buildCorrectionMessage(first.errors)
+    ], options);
+    second = validateContent(retryContent);
+  } catch (error) {
+    if (options.signal && options.signal.aborted) throw error;
+    logger.error('Validation retry failed', { provider: providerName, error: error.message });
+  }
+
+  const chosen = second && second.result ? second : first;
+  if (!chosen.result) {
+    const error = new Error(`${providerName} returned an invalid assessment: ${(second || first).errors.join('; ')}`);
+    error.code = 'INVALID_ASSESSMENT';
+    throw error;
+  }
+
+  const warnings = [
+    `Assessment was retried once after validation errors: ${first.errors.join('; ')}`,
+    ...chosen.warnings,
+    ...chosen.errors.map(error => `Dropped after retry: ${error}`)
+  ];
+  return { ...chosen.result, warnings: warnings };
+}
+
+module.exports = { runValidatedAnalysis };
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { createWebhookStore, publicEndpoint } = require('./store');
+const { signPayload, verifySignature } = require('./signature');
+const { logger, requestContext } = require('../observability');
+
+const WEBHOOK_EVENTS = ['assessment.completed', 'assessment.failed', 'estimate.overridden', 'shop.selected'];
+
+// Sent only by ping(), to try an endpoint out
+const PING_EVENT = 'webhook.ping';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+function webhookError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function validateUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(String(value));
+  } catch (error) {
+    throw webhookError('url must be an absolute http or https URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw webhookError('url must be an absolute http or https URL');
+  return parsed.toString();
+}
+
+function validateEvents(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw webhookError(`events must be a list of event types: ${WEBHOOK_EVENTS.join(', ')}, or "*" for all of them`);
+  }
+  const unknown = value.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) throw webhookError(`Unknown event type ${unknown.join(', ')}. Expected one of: ${WEBHOOK_EVENTS.join(', ')}`);
+  return [...new Set(value)];
+}
+
+// Outbound webhooks for the claim lifecycle. emit(type, data) queues one signed
+// delivery per endpoint subscribed to the event; deliveries are POSTed one at a
+// time and failed ones are retried with exponential backoff, up to maxAttempts,
+// from a queue kept in <dataDir>/webhooks.json that survives restarts. Delivery
+// is at least once: receivers should ignore an X-Webhook-Id they have seen.
+// onAttempt(event, { durationSeconds, outcome }) hears about every attempt.
+function createWebhooks({ rulesFile, dataDir, onAttempt = () => {} }) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  const store = createWebhookStore(dataDir, { maxLoggedDeliveries: rules.maxLoggedDeliveries });
+
+  function send(endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const target = new URL(endpoint.url);
+    const transport = target.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+      const req = transport.request(target, {
+        method: 'POST',
+        timeout: rules.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'car-insurance-webhooks/1',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': signPayload(endpoint.secret, body)
+        }
+      }, res => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          if (text.length < rules.maxResponseChars) text += chunk;
+        });
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: text.slice(0, rules.maxResponseChars), retryAfter: res.headers['retry-after'] }));
+        res.on('error', reject);
+      });
+      req.on('timeout', () => req.destroy(new Error(`no answer within ${rules.timeoutMs} ms`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  // Exponential backoff with jitter, at least what a Retry-After asks for
+  function retryDelay(attemptCount, retryAfter) {
+    const backoff = Math.min(rules.maxDelayMs, rules.baseDelayMs * 2 ** (attemptCount - 1));
+    const jittered = Math.round(backoff * (0.75 + Math.random() * 0.5));
+    const asked = Number(retryAfter) * 1000 || 0;
+    return Math.min(rules.maxDelayMs, Math.max(jittered, asked));
+  }
+
+  async function attemptDelivery(delivery) {
+    const endpoint = store.getEndpoint(delivery.endpointId);
+    if (!endpoint || endpoint.disabled) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.lastError = endpoint ? 'The endpoint is disabled' : 'The endpoint was deleted';
+      await store.saveDelivery();
+      return;
+    }
+
+    const startedAt = Date.now();
+    let result = null;
+    let error = null;
+    try {
+      result = await send(endpoint, delivery);
+    } catch (sendError) {
+      error = sendError.message;
+    }
+    const delivered = result && result.statusCode >= 200 && result.statusCode < 300;
+    const durationMs = Date.now() - startedAt;
+    onAttempt(delivery.event, { durationSeconds: durationMs / 1000, outcome: delivered ? 'delivered' : 'error' });
+
+    delivery.attemptCount++;
+    delivery.attempts.push({
+      at: new Date(startedAt).toISOString(),
+      statusCode: result ? result.statusCode : null,
+      response: result ? result.body : null,
+      error: error,
+      durationMs: durationMs
+    });
+
+    if (delivered) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+      delivery.lastError = null;
+      logger.info('Webhook delivered', { deliveryId: delivery.id, event: delivery.event, endpointId: endpoint.id, attempts: delivery.attemptCount });
+    } else {
+      delivery.lastError = error || `HTTP ${result.statusCode}`;
+      // 410 Gone says the receiver does not want this event at all
+      if (delivery.attemptCount >= rules.maxAttempts || (result && result.statusCode === 410)) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        logger.error('Webhook delivery failed', { deliveryId: delivery.id, event: delivery.event, endpointId: endpoint.id, attempts: delivery.attemptCount, reason: delivery.lastError });
+      } else {
+        const delay = retryDelay(delivery.attemptCount, result && result.retryAfter);
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        logger.warn('Retrying webhook delivery', { deliveryId: delivery.id, event: delivery.event, endpointId: endpoint.id, attempt: delivery.attemptCount, delayMs: delay, reason: delivery.lastError });
+      }
+    }
+    await store.saveDelivery();
+  }
+
+  let timer = null;
+  let running = false;
+
+  // Sends every delivery that is due, oldest first, then waits for the next one
+  async function deliverDue() {
+    if (running) return;
+    running = true;
+    try {
+      for (;;) {
+        const now = new Date().toISOString();
+        const due = store.listDeliveries()
+          .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+          .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))[0];
+        if (!due) break;
+        await attemptDelivery(due);
+      }
+    } catch (error) {
+      logger.error('Webhook queue failed', error);
+    } finally {
+      running = false;
+      schedule();
+    }
+  }
+
+  // The queue runs outside of the request that queued a delivery, so its log
+  // lines don't carry that request's id
+  function schedule() {
+    requestContext.exit(() => {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      const next = store.listDeliveries()
+        .filter(delivery => delivery.status === 'pending')
+        .map(delivery => Date.parse(delivery.nextAttemptAt))
+        .sort((a, b) => a - b)[0];
+      if (next === undefined || running) return;
+      timer = setTimeout(deliverDue, Math.max(0, next - Date.now()));
+      timer.unref();
+    });
+  }
+
+  function newDelivery(endpoint, payload) {
+    const now = new Date().toISOString();
+    return {
+      id: `WHD-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      endpointId: endpoint.id,
+      eventId: payload.id,
+      event: payload.type,
+      payload: payload,
+      status: 'pending',
+      attemptCount: 0,
+      attempts: [],
+      lastError: null,
+      createdAt: now,
+      nextAttemptAt: now,
+      deliveredAt: null
+    };
+  }
+
+  async function queue(type, data, endpoints) {
+    const payload = {
+      id: `EVT-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+      type: type,
+      createdAt: new Date().toISOString(),
+      data: data
+    };
+    const deliveries = endpoints.map(endpoint => newDelivery(endpoint, payload));
+    if (deliveries.length > 0) {
+      await store.addDeliveries(deliveries);
+      schedule();
+    }
+    return { event: payload, deliveries: deliveries };
+  }
+
+  // Never throws, so a webhook problem cannot fail the request that caused it
+  function emit(type, data) {
+    if (!WEBHOOK_EVENTS.includes(type)) throw new Error(`Unknown webhook event "${type}"`);
+    const endpoints = store.listEndpoints().filter(endpoint =>
+      !endpoint.disabled && (endpoint.events.includes('*') || endpoint.events.includes(type))
+    );
+    if (endpoints.length === 0) return;
+    queue(type, data, endpoints).catch(error => logger.error('Could not queue webhook deliveries', { event: type, error: error }));
+  }
+
+  // The secret is returned once, when the endpoint is created
+  async function createEndpoint(fields) {
+    const endpoint = await store.createEndpoint({
+      url: validateUrl(fields.url),
+      events: validateEvents(fields.events),
+      description: fields.description ? String(fields.description).slice(0, 200) : null
+    });
+    return { ...publicEndpoint(endpoint), secret: endpoint.secret };
+  }
+
+  // rotateSecret: true returns the new secret, once
+  async function updateEndpoint(id, fields) {
+    const endpoint = await store.updateEndpoint(id, {
+      url: fields.url !== undefined ? validateUrl(fields.url) : undefined,
+      events: fields.events !== undefined ? validateEvents(fields.events) : undefined,
+      description: fields.description !== undefined ? String(fields.description).slice(0, 200) : undefined,
+      disabled: fields.disabled !== undefined ? !!fields.disabled : undefined
+    }, { rotateSecret: !!fields.rotateSecret });
+    if (!endpoint) throw webhookError('Webhook endpoint not found', 404);
+    return fields.rotateSecret ? { ...publicEndpoint(endpoint), secret: endpoint.secret } : publicEndpoint(endpoint);
+  }
+
+  async function deleteEndpoint(id) {
+    if (!(await store.deleteEndpoint(id))) throw webhookError('Webhook endpoint not found', 404);
+  }
+
+  function listEndpoints() {
+    return store.listEndpoints().map(publicEndpoint);
+  }
+
+  // Newest first; filters are endpointId, event, status and limit
+  function listDeliveries({ endpointId, event, status, limit } = {}) {
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      throw webhookError(`Unknown delivery status "${status}". Expected one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    const max = Math.min(500, Math.max(1, parseInt(limit, 10) || 50));
+    return store.listDeliveries()
+      .filter(delivery => !endpointId || delivery.endpointId === endpointId)
+      .filter(delivery => !event || delivery.event === event)
+      .filter(delivery => !status || delivery.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, max);
+  }
+
+  // Sends a delivery's event to its endpoint again, as a new delivery with the
+  // same event id
+  async function redeliver(deliveryId) {
+    const delivery = store.getDelivery(deliveryId);
+    if (!delivery) throw webhookError('Webhook delivery not found', 404);
+    const endpoint = store.getEndpoint(delivery.endpointId);
+    if (!endpoint) throw webhookError('The delivery\'s endpoint was deleted', 409);
+    const copy = newDelivery(endpoint, delivery.payload);
+    await store.addDeliveries([copy]);
+    schedule();
+    return copy;
+  }
+
+  async function ping(endpointId) {
+    const endpoint = store.getEndpoint(endpointId);
+    if (!endpoint) throw webhookError('Webhook endpoint not found', 404);
+    const { deliveries } = await queue(PING_EVENT, { endpointId: endpoint.id, message: 'Webhook test from the claims server' }, [endpoint]);
+    return deliveries[0];
+  }
+
+  function stats() {
+    const deliveries = store.listDeliveries();
+    const count = (status) => deliveries.filter(delivery => delivery.status === status).length;
+    return { endpoints: store.listEndpoints().length, pending: count('pending'), failed: count('failed') };
+  }
+
+  // Deliveries left pending by the last run go out now
+  schedule();
+
+  return {
+    emit,
+    createEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    listEndpoints,
+    listDeliveries,
+    redeliver,
+    ping,
+    stats
+  };
+}
+
+module.exports = { createWebhooks, signPayload, verifySignature, WEBHOOK_EVENTS };
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Deliveries are signed like this, in the X-Webhook-Signature header:
+//   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the endpoint secret>
+// The timestamp is signed too, so a captured delivery cannot be replayed later.
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// What a receiver does with the header: true when it was made with secret for
+// this body within toleranceSeconds of now
+function verifySignature(secret, body, header, toleranceSeconds = 300) {
+  const fields = {};
+  String(header || '').split(',').forEach(part => {
+    const [name, value] = part.split('=');
+    if (name && value) fields[name.trim()] = value.trim();
+  });
+  const timestamp = parseInt(fields.t, 10);
+  if (!timestamp || !fields.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(fields.v1, 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = { signPayload, verifySignature };
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../observability');
+
+// What the API shows of an endpoint: everything but its signing secret
+function publicEndpoint(endpoint) {
+  const { secret, ...shown } = endpoint;
+  return shown;
+}
+
+// Webhook endpoints and their deliveries live in one JSON file under the data
+// directory, kept in memory and rewritten whole on every change. Pending
+// deliveries are in it too, so they are still sent after a restart.
+function createWebhookStore(dataDir, { maxLoggedDeliveries }) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const webhooksFile = path.join(dataDir, 'webhooks.json');
+
+  let state = { endpoints: [], deliveries: [] };
+  try {
+    state = JSON.parse(fs.readFileSync(webhooksFile, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Writes are chained so two changes never interleave. The file holds the
+  // signing secrets, so only the server's user may read it.
+  let writing = Promise.resolve();
+  function save() {
+    const snapshot = JSON.stringify(state, null, 2);
+    writing = writing.then(async () => {
+      const tempFile = `${webhooksFile}.tmp`;
+      await fs.promises.writeFile(tempFile, snapshot, { mode: 0o600 });
+      await fs.promises.rename(tempFile, webhooksFile);
+    }).catch(error => logger.error('Could not save webhooks', { error: error.message }));
+    return writing;
+  }
+
+  const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  const getEndpoint = (id) => state.endpoints.find(endpoint => endpoint.id === id) || null;
+  const getDelivery = (id) => state.deliveries.find(delivery => delivery.id === id) || null;
+
+  async function createEndpoint({ url, events, description }) {
+    const now = new Date().toISOString();
+    const endpoint = {
+      id: `WHK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      url: url,
+      events: events,
+      description: description || null,
+      secret: newSecret(),
+      disabled: false,
+      createdAt: now,
+      updatedAt: now
+    };
+    state.endpoints.push(endpoint);
+    await save();
+    return endpoint;
+  }
+
+  async function updateEndpoint(id, changes, { rotateSecret = false } = {}) {
+    const endpoint = getEndpoint(id);
+    if (!endpoint) return null;
+    Object.keys(changes).forEach(field => {
+      if (changes[field] !== undefined) endpoint[field] = changes[field];
+    });
+    if (rotateSecret) endpoint.secret = newSecret();
+    endpoint.updatedAt = new Date().toISOString();
+    await save();
+    return endpoint;
+  }
+
+  // Deliveries still waiting for a deleted endpoint are given up
+  async function deleteEndpoint(id) {
+    const endpoint = getEndpoint(id);
+    if (!endpoint) return false;
+    state.endpoints = state.endpoints.filter(other => other.id !== id);
+    state.deliveries.forEach(delivery => {
+      if (delivery.endpointId === id && delivery.status === 'pending') {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        delivery.lastError = 'The endpoint was deleted';
+      }
+    });
+    await save();
+    return true;
+  }
+
+  async function addDeliveries(deliveries) {
+    state.deliveries.push(...deliveries);
+    prune();
+    await save();
+  }
+
+  // Called after every attempt with the delivery already changed in place
+  async function saveDelivery() {
+    prune();
+    await save();
+  }
+
+  // Only the newest finished deliveries are kept; pending ones always are
+  function prune() {
+    const finished = state.deliveries.filter(delivery => delivery.status !== 'pending');
+    if (finished.length <= maxLoggedDeliveries) return;
+    const dropped = new Set(finished
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, finished.length - maxLoggedDeliveries));
+    state.deliveries = state.deliveries.filter(delivery => !dropped.has(delivery));
+  }
+
+  return {
+    getEndpoint,
+    listEndpoints: () => state.endpoints,
+    createEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    getDelivery,
+    listDeliveries: () => state.deliveries,
+    addDeliveries,
+    saveDelivery
+  };
+}
+
+module.exports = { createWebhookStore, publicEndpoint };
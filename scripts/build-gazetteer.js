@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Rebuilds lib/geocoder/us-zips.tsv.gz from the ZIP table of the `zipcodes`
+// npm package (BSD; its US data comes from federalgovernmentzipcodes.us and
+// GeoNames, CC BY 4.0):
+//
+//   npm pack zipcodes && tar xzf zipcodes-*.tgz
+//   node scripts/build-gazetteer.js package/lib/codes.js
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Military APO/FPO "states" have no real position
+const SKIPPED_STATES = ['AA', 'AE', 'AP'];
+
+const source = process.argv[2];
+if (!source) {
+  console.error('Usage: node scripts/build-gazetteer.js <path to zipcodes/lib/codes.js>');
+  process.exit(1);
+}
+
+// ZIP codes further than this from the middle of their state are misplaced
+const MAX_MILES_FROM_STATE = 2000;
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function milesBetween(a, b) {
+  const lngScale = Math.cos(a.latitude * Math.PI / 180);
+  return Math.hypot(a.latitude - b.latitude, (a.longitude - b.longitude) * lngScale) * 69;
+}
+
+const { codes } = require(path.resolve(source));
+const entries = Object.values(codes)
+  .filter(code => code.country === 'US' && !SKIPPED_STATES.includes(code.state))
+  .filter(code => typeof code.latitude === 'number' && typeof code.longitude === 'number' && code.city);
+
+const stateEntries = {};
+entries.forEach(code => {
+  stateEntries[code.state] = (stateEntries[code.state] || []).concat(code);
+});
+const stateMiddles = {};
+Object.keys(stateEntries).forEach(state => {
+  stateMiddles[state] = {
+    latitude: median(stateEntries[state].map(code => code.latitude)),
+    longitude: median(stateEntries[state].map(code => code.longitude))
+  };
+});
+
+// A longitude that lost its minus sign is put back; other rows far outside
+// their state are dropped
+const dropped = [];
+const rows = entries
+  .map(code => {
+    const middle = stateMiddles[code.state];
+    if (milesBetween(code, middle) <= MAX_MILES_FROM_STATE) return code;
+    const flipped = { ...code, longitude: -code.longitude };
+    if (milesBetween(flipped, middle) <= MAX_MILES_FROM_STATE) return flipped;
+    dropped.push(`${code.zip} ${code.city}, ${code.state}`);
+    return null;
+  })
+  .filter(code => code)
+  .sort((a, b) => a.zip.localeCompare(b.zip))
+  .map(code => [code.zip, code.latitude, code.longitude, code.city.trim(), code.state].join('\t'));
+if (dropped.length > 0) console.log(`⚠️  Dropped ${dropped.length} misplaced ZIP codes: ${dropped.join('; ')}`);
+
+const target = path.join(__dirname, '..', 'lib', 'geocoder', 'us-zips.tsv.gz');
+fs.writeFileSync(target, zlib.gzipSync(['zip\tlat\tlng\tcity\tstate'].concat(rows).join('\n') + '\n', { level: 9 }));
+console.log(`📮 Wrote ${rows.length} ZIP codes to ${path.relative(process.cwd(), target)}`);
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// A local endpoint for trying webhooks out. It prints every delivery, checks
+// its signature with the secret the server returned when the endpoint was
+// registered, and ignores events it has already seen:
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+//
+// Set FAIL_FIRST=<n> to answer the first n deliveries with 503 and watch them retried.
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+
+const port = parseInt(process.argv[2], 10) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.FAIL_FIRST, 10) || 0;
+const seen = new Set();
+
+if (!secret) {
+  console.error('Usage: WEBHOOK_SECRET=<endpoint secret> node scripts/webhook-receiver.js [port]');
+  process.exit(1);
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const eventId = req.headers['x-webhook-id'];
+    if (!verifySignature(secret, body, req.headers['x-webhook-signature'])) {
+      console.log(`✗ ${req.headers['x-webhook-delivery']} has a bad signature`);
+      res.writeHead(401);
+      res.end('bad signature');
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`… ${req.headers['x-webhook-delivery']} ${req.headers['x-webhook-event']} answered 503 on purpose`);
+      res.writeHead(503);
+      res.end('try again');
+      return;
+    }
+    if (seen.has(eventId)) {
+      console.log(`= ${eventId} seen before, ignored`);
+    } else {
+      seen.add(eventId);
+      console.log(`✓ ${req.headers['x-webhook-event']} ${eventId}`);
+      console.log(JSON.stringify(JSON.parse(body).data, null, 2));
+    }
+    res.writeHead(204);
+    res.end();
+  });
+}).listen(port, () => console.log(`Listening for webhooks on http://localhost:${port}/`));
@@ -1,6 +1,30 @@
 const http = require('http');
 const url = require('url');
+const crypto = require('crypto');
 const fs = require('fs');
+const path = require('path');
+const { createClaimStore } = require('./lib/claim-store');
+const { loadPricingProfiles } = require('./lib/pricing');
+const { calculateRepairCost } = require('./lib/repair-cost');
+const { loadVehicleClasses } = require('./lib/vehicle-class');
+const { loadTotalLossRules } = require('./lib/total-loss');
+const { createVisionProvider, PROMPT_VERSION } = require('./lib/vision');
+const { normalizeAssessment } = require('./lib/vision/assessment-schema');
+const { buildReport, renderReport, REPORT_FORMATS } = require('./lib/report');
+const { createImageIngestor, parseMultipart } = require('./lib/ingest');
+const { loadPhotoQualityRules, publicQualityReport } = require('./lib/quality');
+const { loadShopRankingRules } = require('./lib/shop-ranking');
+const { createShopSearch } = require('./lib/shop-search');
+const { createCaches, requestCacheMode } = require('./lib/cache');
+const { loadGazetteer } = require('./lib/geocoder');
+const { createAuth } = require('./lib/auth');
+const { createRateLimiter, createSpendBudgets } = require('./lib/limits');
+const { applyReviewEdits, checkEstimateEditable, checkStatusChange, decideReview, startReview, buildOverrideReport } = require('./lib/review');
+const { createUpstreamClient } = require('./lib/upstream');
+const { logger, requestContext, createMetrics } = require('./lib/observability');
+const { createWebhooks } = require('./lib/webhooks');
+const { createJobQueue, describeJob, jobResultsCsv } = require('./lib/jobs');
+const { createEstimateExporter, EXPORT_FORMATS } = require('./lib/export');
 
 // Load environment variables from .env file (if it exists)
 try {
@@ -9,10 +33,14 @@ try {
     if (key && value) process.env[key] = value;
   });
 } catch (err) {
-  console.log('No .env file found, using environment variables');
+  // No .env file; the environment is used as it is
 }
+logger.configure({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
 
 const PORT = process.env.PORT || 3001;
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+const PRICING_DIR = process.env.PRICING_DIR || path.join(__dirname, 'config', 'pricing');
 
 // API Keys from environment variables (sanitized)
 const OPENAI_API_KEY = (process.env.OPENAI_API_KEY || 'your-openai-api-key-here')
@@ -27,390 +55,1043 @@ const GOOGLE_API_KEY = (process.env.GOOGLE_API_KEY || 'your-google-places-api-ke
   .replace(/[\r\n\t]/g, '')
   .replace(/\s+/g, '');
 
-// Validate API keys on startup
-if (!OPENAI_API_KEY || OPENAI_API_KEY === 'your-openai-api-key-here') {
-  console.warn('⚠️  OPENAI_API_KEY not configured properly');
-}
+// Validate API keys on startup (the OpenAI key is checked by the OpenAI vision provider)
 if (!GOOGLE_API_KEY || GOOGLE_API_KEY === 'your-google-places-api-key-here') {
-  console.warn('⚠️  GOOGLE_API_KEY not configured properly');
+  logger.warn('GOOGLE_API_KEY not configured properly');
 }
 
-console.log('🔑 API Keys loaded:', {
-  openai: OPENAI_API_KEY ? `${OPENAI_API_KEY.substring(0, 8)}...` : 'NOT SET',
-  google: GOOGLE_API_KEY ? `${GOOGLE_API_KEY.substring(0, 8)}...` : 'NOT SET'
+const metrics = createMetrics();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests answered', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'Time to answer HTTP requests', ['method', 'route']);
+const upstreamRequests = metrics.counter('upstream_requests_total', 'Attempted upstream calls by outcome', ['upstream', 'outcome', 'code']);
+const upstreamDuration = metrics.histogram('upstream_request_duration_seconds', 'Time taken by upstream call attempts', ['upstream']);
+const visionTokens = metrics.counter('vision_tokens_total', 'Tokens used by the vision provider', ['model', 'type']);
+const jobItems = metrics.counter('job_items_total', 'Batch job photos finished, by outcome', ['status']);
+const webhookDeliveries = metrics.counter('webhook_deliveries_total', 'Webhook delivery attempts by outcome', ['event', 'outcome']);
+const estimateMidpoints = metrics.histogram('estimate_midpoint_dollars', 'Midpoints of repair estimates', ['source', 'vehicle_class'],
+  [500, 1000, 2000, 3000, 5000, 7500, 10000, 15000, 20000, 30000, 50000]);
+
+const budgets = createSpendBudgets({ rulesFile: path.join(__dirname, 'config', 'budgets.json'), dataDir: DATA_DIR });
+const rateLimiter = createRateLimiter(path.join(__dirname, 'config', 'rate-limits.json'));
+const upstream = createUpstreamClient(path.join(__dirname, 'config', 'upstream.json'), {
+  onAttempt: (name, { durationSeconds, outcome, code }) => {
+    upstreamRequests.inc({ upstream: name, outcome: outcome, code: code || '' });
+    upstreamDuration.observe({ upstream: name }, durationSeconds);
+  }
+});
+const visionProvider = createVisionProvider(process.env, {
+  openaiApiKey: OPENAI_API_KEY,
+  onUsage: (model, usage) => {
+    budgets.recordVisionUsage(model, usage);
+    visionTokens.inc({ model: model, type: 'prompt' }, usage.prompt_tokens || 0);
+    visionTokens.inc({ model: model, type: 'completion' }, usage.completion_tokens || 0);
+  },
+  upstream: upstream
+});
+const imageIngestor = createImageIngestor(process.env, { allowMockImages: visionProvider.name === 'mock' });
+const claimStore = createClaimStore(DATA_DIR);
+const auth = createAuth(process.env, { dataDir: DATA_DIR, rolesFile: path.join(__dirname, 'config', 'roles.json') });
+auth.ensureAdmin().catch(error => logger.error('Could not create the admin user', { error: error.message }));
+const webhooks = createWebhooks({
+  rulesFile: path.join(__dirname, 'config', 'webhooks.json'),
+  dataDir: DATA_DIR,
+  onAttempt: (event, { outcome }) => webhookDeliveries.inc({ event: event, outcome: outcome })
+});
+const caches = createCaches(process.env, { rulesFile: path.join(__dirname, 'config', 'cache.json'), dataDir: DATA_DIR });
+const pricingRegistry = loadPricingProfiles(PRICING_DIR);
+const vehicleClasses = loadVehicleClasses(path.join(__dirname, 'config', 'vehicle-classes.json'));
+const totalLossRules = loadTotalLossRules(
+  path.join(__dirname, 'config', 'total-loss.json'),
+  path.join(__dirname, 'config', 'valuation.json'),
+  vehicleClasses.normalizeMake
+);
+const gazetteer = loadGazetteer(path.join(__dirname, 'config', 'geocoding.json'), calculateDistance);
+const shopRanking = loadShopRankingRules(path.join(__dirname, 'config', 'shop-ranking.json'));
+const photoQuality = loadPhotoQualityRules(path.join(__dirname, 'config', 'photo-quality.json'), calculateDistance);
+const estimateExporter = createEstimateExporter({ codesFile: path.join(__dirname, 'config', 'part-codes.json') });
+const shopSearch = createShopSearch({
+  ranking: shopRanking,
+  places: { searchNearby: searchNearbyPlaces, getDetails: getPlaceDetails },
+  calculateDistance: calculateDistance,
+  getDemoShops: getDemoRepairShops
 });
 
-async function analyzeWithOpenAI(imageData) {
-  const https = require('https');
-  
-  const requestBody = JSON.stringify({
-    model: "gpt-4o-mini",
-    temperature: 0,
-    messages: [{
-      role: "user",
-      content: [{
-        type: "text",
-        text: `Analyze this image for car damage assessment. First determine if this shows a motor vehicle with visible damage. Respond with JSON only in this exact format:
-
-{
-  "vehicle_detected": true,
-  "damage_detected": true,
-  "make": "Toyota",
-  "model": "Camry", 
-  "color": "Silver",
-  "parts": [
-    {"part": "front_bumper", "severity": "moderate"},
-    {"part": "hood", "severity": "minor"}
-  ],
-  "airbags_deployed": false,
-  "drivable": true,
-  "confidence": 0.8
-}
-
-IMPORTANT RULES:
-- If no motor vehicle is visible: set vehicle_detected=false, damage_detected=false, parts=[], make/model/color can be empty
-- If motor vehicle is visible but no damage: set vehicle_detected=true, damage_detected=false, parts=[], but ALWAYS identify make/model/color
-- If both vehicle AND damage are detected: populate make, model, color, and parts array with damage details
-
-Parts: front_bumper, rear_bumper, front_door, rear_door, hood, roof, fender, quarter_panel, trunk, windshield, rear_glass, side_glass, headlight, taillight, wheel, tire, frame
-Severity: minor, moderate, severe, catastrophic
-Confidence: 0.1 to 1.0 based on image clarity and damage visibility`
-      }, {
-        type: "image_url",
-        image_url: { url: imageData }
-      }]
-    }],
-    max_tokens: 500
-  });
+// Created last: photos left queued by the last run start right away
+const jobQueue = createJobQueue({
+  rulesFile: path.join(__dirname, 'config', 'jobs.json'),
+  dataDir: DATA_DIR,
+  concurrency: process.env.JOB_CONCURRENCY,
+  processItem: analyzeJobItem,
+  onItemFinished: (job, item) => jobItems.inc({ status: item.status })
+});
+logger.info('Gazetteer loaded', { zipCodes: gazetteer.zipCount, places: gazetteer.placeCount });
+logger.info('Pricing profiles loaded', { versions: pricingRegistry.listProfiles().map(profile => profile.pricingVersion) });
 
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.openai.com',
-      port: 443,
-      path: '/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(requestBody)
-      }
+metrics.gauge('circuit_breaker_open', 'Whether calls to an upstream are being refused (1) or not (0)', () =>
+  Object.entries(upstream.state()).map(([name, state]) => ({ labels: { upstream: name }, value: state.state === 'open' ? 1 : 0 }))
+);
+metrics.gauge('spend_budget_exhausted', 'Whether the daily or monthly spend budget of a source is used up', () =>
+  Object.entries(budgets.state()).map(([source, state]) => ({ labels: { source: source }, value: state.exhausted ? 1 : 0 }))
+);
+metrics.gauge('job_items_queued', 'Batch job photos waiting to be analyzed', () => [{ value: jobQueue.stats().queued }]);
+metrics.gauge('webhook_deliveries_pending', 'Webhook deliveries waiting to be sent or retried', () => [{ value: webhooks.stats().pending }]);
+
+// Severity ranking used when the same part is reported by several photos
+const SEVERITY_RANK = {
+  minor: 1,
+  moderate: 2,
+  severe: 3,
+  catastrophic: 4
+};
+
+const MAX_CLAIM_PHOTOS = 8;
+
+// Job-wide fields that are handed to every photo's analysis
+const JOB_OPTION_FIELDS = ['pricingProfile', 'state', 'zip', 'location', 'lossDate', 'policyNumber'];
+
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
+
+// Room for a full claim of base64-encoded photos plus the other fields
+const MAX_BODY_BYTES = Math.ceil(imageIngestor.maxBytes * MAX_CLAIM_PHOTOS * 1.4) + 1024 * 1024;
+
+// Multipart fields arrive as text; these carry JSON
+const JSON_FORM_FIELDS = ['analysis', 'repairShop'];
+
+function mergeWarnings(results) {
+  return results.flatMap((result, photoIndex) =>
+    result && result.warnings ? result.warnings.map(warning => `Photo ${photoIndex + 1}: ${warning}`) : []
+  );
+}
+
+// Failed photos are passed as null so part photo indexes line up with the upload order
+function mergeAssessments(results) {
+  const analyzed = results.filter(result => result);
+  const vehicleResults = analyzed.filter(result => result.vehicle_detected);
+  const averageConfidence = (list) => list.length === 0
+    ? 0
+    : Math.round(list.reduce((sum, r) => sum + (r.confidence || 0), 0) / list.length * 100) / 100;
+
+  if (vehicleResults.length === 0) {
+    return {
+      vehicle_detected: false,
+      damage_detected: false,
+      make: '',
+      model: '',
+      color: '',
+      parts: [],
+      airbags_deployed: false,
+      drivable: true,
+      confidence: averageConfidence(analyzed),
+      warnings: mergeWarnings(results)
     };
+  }
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          console.log('🔍 OpenAI response status:', res.statusCode);
-          console.log('🔍 OpenAI response:', JSON.stringify(response, null, 2));
-          
-          if (response.choices && response.choices[0]) {
-            let content = response.choices[0].message.content;
-            
-            // Clean JSON if wrapped in markdown
-            if (content.includes('```')) {
-              content = content.replace(/```json\s*/, '').replace(/```\s*/, '');
-            }
-            
-            const result = JSON.parse(content);
-            
-            // Handle backward compatibility - if new fields are missing, infer them
-            if (result.vehicle_detected === undefined) {
-              result.vehicle_detected = !!(result.make || result.model || result.parts);
-            }
-            if (result.damage_detected === undefined) {
-              result.damage_detected = !!(result.parts && result.parts.length > 0);
-            }
-            
-            resolve(result);
-          } else if (response.error) {
-            // Handle OpenAI API errors
-            console.error('❌ OpenAI API error:', response.error);
-            
-            let errorMessage = response.error.message;
-            if (response.error.code === 'invalid_image_url') {
-              errorMessage = 'Unable to access the image URL. Please ensure the image is publicly accessible and try again, or upload the image file directly instead.';
-            }
-            
-            reject(new Error(errorMessage));
-          } else {
-            console.error('❌ Invalid OpenAI response structure:', response);
-            reject(new Error(`Invalid OpenAI response: ${JSON.stringify(response)}`));
-          }
-        } catch (error) {
-          console.error('🔥 JSON parsing error in OpenAI response:', error);
-          console.error('🔥 Raw content that failed to parse:', content);
-          reject(error);
-        }
-      });
-    });
+  // Vehicle identity comes from the photo the model was most confident about
+  const identity = vehicleResults.reduce((best, result) =>
+    (result.confidence || 0) > (best.confidence || 0) ? result : best
+  );
 
-    req.on('error', reject);
-    req.write(requestBody);
-    req.end();
+  // The same panel seen from two angles is counted once, at its worst severity;
+  // its boxes are kept per photo as regions
+  const partsByName = {};
+  results.forEach((result, photoIndex) => {
+    if (!result || !result.vehicle_detected || !Array.isArray(result.parts)) return;
+    result.parts.forEach(partDamage => {
+      const region = partDamage.box ? [{ photo: photoIndex, box: partDamage.box }] : [];
+      const existing = partsByName[partDamage.part];
+      if (!existing) {
+        partsByName[partDamage.part] = { part: partDamage.part, severity: partDamage.severity, photos: [photoIndex], regions: region };
+        return;
+      }
+      if (!existing.photos.includes(photoIndex)) existing.photos.push(photoIndex);
+      existing.regions = existing.regions.concat(region);
+      if ((SEVERITY_RANK[partDamage.severity] || 0) > (SEVERITY_RANK[existing.severity] || 0)) {
+        existing.severity = partDamage.severity;
+      }
+    });
   });
+  const parts = Object.values(partsByName);
+
+  return {
+    vehicle_detected: true,
+    damage_detected: parts.length > 0,
+    make: identity.make,
+    model: identity.model,
+    color: identity.color,
+    year: identity.year,
+    parts: parts,
+    airbags_deployed: vehicleResults.some(result => result.airbags_deployed),
+    drivable: !vehicleResults.some(result => result.drivable === false),
+    confidence: averageConfidence(vehicleResults),
+    warnings: mergeWarnings(results)
+  };
+}
+
+function validateClaimImages(images) {
+  if (images.length === 0) {
+    return 'Provide at least one image in the images array';
+  }
+  if (images.length > MAX_CLAIM_PHOTOS) {
+    return `A claim can include at most ${MAX_CLAIM_PHOTOS} photos`;
+  }
+  return null;
 }
 
-function calculateRepairCost(assessmentData) {
-  // Return zero cost if no vehicle or no damage detected
-  if (!assessmentData.vehicle_detected || !assessmentData.damage_detected || !assessmentData.parts || assessmentData.parts.length === 0) {
+// Assessments are cached per photo, provider, model and prompt version, so
+// re-analyzing the same photo is not billed again. Once the vision budget is
+// spent only cached assessments are given out.
+// options ({ signal, onPartial }) go to the provider when it is called.
+function analyzeImage(image, cacheMode, options = {}) {
+  const key = [visionProvider.name, visionProvider.model, PROMPT_VERSION, image.info.sha256].join('|');
+  const overBudget = !!budgets.exhausted('vision');
+  return caches.source('vision').remember(key, () => {
+    if (overBudget) throw budgets.exhaustedError('vision');
+    return visionProvider.analyze(image.dataUrl, options);
+  }, { mode: overBudget ? 'use' : cacheMode, signal: options.signal });
+}
+
+async function analyzeClaimImages(images, cacheMode) {
+  logger.info('Analyzing claim photos', { photos: images.length });
+  const settled = await Promise.allSettled(images.map(image => analyzeImage(image, cacheMode)));
+  const results = settled.map(outcome => outcome.status === 'fulfilled' ? outcome.value : null);
+
+  if (results.every(result => result === null)) {
+    throw settled[0].reason;
+  }
+
+  const mergedResult = mergeAssessments(results);
+  logger.debug('Merged claim assessment', { assessment: mergedResult });
+
+  const photos = settled.map((outcome, index) => {
+    if (outcome.status === 'rejected') {
+      return { index: index, success: false, error: outcome.reason.message };
+    }
+    const result = outcome.value;
     return {
-      breakdown: {
-        parts_and_labor: 0,
-        paint: 0,
-        surcharges: 0
-      },
-      estimateRange: { low: 0, high: 0 },
-      midpoint: 0,
-      confidence: assessmentData.confidence || 1.0
+      index: index,
+      success: true,
+      vehicle_detected: result.vehicle_detected,
+      damage_detected: result.damage_detected,
+      damageSummary: result.parts && result.parts.length > 0 ? summarizeDamage(result.parts) : 'No Damage Detected',
+      parts: result.parts || [],
+      confidence: result.confidence
+    };
+  });
+
+  return { mergedResult, photoResults: results, photos };
+}
+
+function summarizeDamage(parts) {
+  return parts.map(p => `${p.part.replace('_', ' ')} (${p.severity})`).join(', ');
+}
+
+function buildAssessmentResponse(analysisResult, costBreakdown, totalLoss) {
+  // Handle different scenarios based on detection results
+  let damageSummary, metadata, estimatedCost;
+
+  if (!analysisResult.vehicle_detected) {
+    damageSummary = 'No motor vehicle detected in this image';
+    metadata = { make: 'N/A', model: 'N/A', color: 'N/A', year: 'N/A' };
+    estimatedCost = '$0';
+  } else if (!analysisResult.damage_detected) {
+    damageSummary = 'No Damage Detected';
+    metadata = {
+      make: analysisResult.make || 'Unknown',
+      model: analysisResult.model || 'Unknown',
+      color: analysisResult.color || 'Unknown',
+      year: analysisResult.year || 'Unknown'
+    };
+    estimatedCost = '$0';
+  } else {
+    // Normal damage case
+    damageSummary = analysisResult.parts && analysisResult.parts.length > 0
+      ? summarizeDamage(analysisResult.parts)
+      : 'Damage assessment completed';
+    metadata = {
+      make: analysisResult.make,
+      model: analysisResult.model,
+      color: analysisResult.color,
+      year: analysisResult.year || 'Unknown'
     };
+    estimatedCost = `$${costBreakdown.estimateRange.low.toLocaleString()} - $${costBreakdown.estimateRange.high.toLocaleString()}`;
   }
 
-  // Base costs by part
-  const partCosts = {
-    front_bumper: 500,
-    rear_bumper: 500,
-    front_door: 800,
-    rear_door: 800,
-    hood: 1200,
-    roof: 2500,
-    fender: 700,
-    quarter_panel: 700,
-    trunk: 700,
-    windshield: 500,
-    rear_glass: 400,
-    side_glass: 400,
-    headlight: 300,
-    taillight: 300,
-    wheel: 400,
-    tire: 400,
-    frame: 2000
+  return {
+    metadata: metadata,
+    damageSummary: damageSummary,
+    costBreakdown: costBreakdown,
+    estimatedCost: estimatedCost,
+    confidence: analysisResult.confidence,
+    airbags_deployed: analysisResult.airbags_deployed,
+    drivable: analysisResult.drivable,
+    analysisMode: visionProvider.name,
+    totalLoss: totalLoss,
+    warnings: analysisResult.warnings || [],
+    analysis: analysisResult
   };
+}
+
+// lineOverrides are an adjuster's amounts for single lines, by line code
+function estimateRepairCost(analysisResult, pricing, lineOverrides = {}) {
+  const vehicleClass = vehicleClasses.resolveVehicleClass({
+    make: analysisResult.make,
+    model: analysisResult.model,
+    year: analysisResult.year
+  });
+  const flags = vehicleClasses.vehicleFlags(vehicleClass, analysisResult.parts);
+  return calculateRepairCost(analysisResult, pricing, vehicleClass, flags, lineOverrides);
+}
+
+// Re-pricing a claim keeps the pricing version it was created with unless a profile is named
+function claimPricing(claim, pricingProfile) {
+  if (pricingProfile) return resolvePricing({ pricingProfile: pricingProfile });
+  const originalVersion = claim.costBreakdown && claim.costBreakdown.pricingVersion;
+  return pricingRegistry.getProfile(originalVersion) || pricingRegistry.getDefaultProfile();
+}
 
-  // Severity multipliers
-  const severityMultipliers = {
-    minor: 0.5,
-    moderate: 1.0,
-    severe: 2.0,
-    catastrophic: 3.0
+function assessTotalLoss(analysisResult, costBreakdown, actualCashValue, region) {
+  if (!analysisResult.vehicle_detected || !analysisResult.damage_detected) return null;
+  return totalLossRules.evaluateTotalLoss({
+    analysis: analysisResult,
+    costBreakdown: costBreakdown,
+    actualCashValue: actualCashValue,
+    state: region.state
+  });
+}
+
+// Analyses sent by clients (saved or corrected claims) go through the same schema as model output
+function validateClientAnalysis(analysis) {
+  const { result, warnings, errors } = normalizeAssessment(analysis);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid analysis: ${errors.join('; ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return { ...result, warnings: [...(analysis.warnings || []), ...warnings] };
+}
+
+// Works out the state and ZIP from explicit fields or a free-text location
+function resolveRegion(data) {
+  let state = data.state;
+  let zip = data.zip;
+
+  if (data.location && (!state || !zip)) {
+    const location = String(data.location).trim();
+    const zipMatch = location.match(/\b(\d{5})\b/);
+    if (!zip && zipMatch) zip = zipMatch[1];
+
+    if (!state) {
+      const known = gazetteer.geocode(location);
+      const stateMatch = (known.status === 'found' ? known.location.formatted_address : location).match(/,\s*([A-Za-z]{2})\b/);
+      if (stateMatch) state = stateMatch[1];
+    }
+  }
+
+  return {
+    state: state ? String(state).toUpperCase() : null,
+    zip: zip || null,
+    location: data.location ? String(data.location).trim() : null
   };
+}
 
-  // Exterior panels that need paint
-  const exteriorPanels = [
-    'front_bumper', 'rear_bumper', 'front_door', 'rear_door', 
-    'hood', 'roof', 'fender', 'quarter_panel', 'trunk'
-  ];
+// Picks the pricing profile from an explicit pricingProfile, a ZIP/state, or a free-text location
+function resolvePricing(data) {
+  const region = resolveRegion(data);
+  try {
+    return pricingRegistry.resolveProfile({ profile: data.pricingProfile, state: region.state, zip: region.zip });
+  } catch (error) {
+    error.statusCode = 400;
+    throw error;
+  }
+}
 
-  let subtotal = 0;
-  let paintCost = 0;
-  
-  // Calculate parts and labor
-  if (assessmentData.parts && Array.isArray(assessmentData.parts)) {
-    assessmentData.parts.forEach(partDamage => {
-      const baseCost = partCosts[partDamage.part] || 500;
-      const multiplier = severityMultipliers[partDamage.severity] || 1.0;
-      const partCost = baseCost * multiplier;
-      
-      subtotal += partCost;
-      
-      // Add paint cost for exterior panels
-      if (exteriorPanels.includes(partDamage.part)) {
-        paintCost += 200;
+function readRequestBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    req.on('data', chunk => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        const sizeError = new Error(`Request body is larger than ${maxBytes} bytes`);
+        sizeError.statusCode = 413;
+        req.pause();
+        reject(sizeError);
+        return;
       }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+    req.on('close', () => {
+      if (!req.complete) reject(new Error('The client closed the connection before the request body arrived'));
     });
+  });
+}
+
+async function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+  const body = (await readRequestBody(req, maxBytes)).toString('utf8');
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch (error) {
+    const parseError = new Error('Request body must be valid JSON');
+    parseError.statusCode = 400;
+    throw parseError;
   }
+}
 
-  // Add surcharges
-  let surcharges = 0;
-  
-  // Airbags deployed
-  if (assessmentData.airbags_deployed) {
-    surcharges += 1500 * 2; // Assume 2 airbags if deployed
+function parseFormFields(fields) {
+  const data = { ...fields };
+  JSON_FORM_FIELDS.forEach(field => {
+    if (typeof data[field] !== 'string' || !data[field]) return;
+    try {
+      data[field] = JSON.parse(data[field]);
+    } catch (error) {
+      const parseError = new Error(`Form field ${field} must be valid JSON`);
+      parseError.statusCode = 400;
+      throw parseError;
+    }
+  });
+  return data;
+}
+
+// Reads a JSON or multipart/form-data request and runs every photo in it through
+// the ingestion pipeline. Photos can be files, data URLs (imageData, images) or
+// URLs (imageUrl) that are downloaded here. Identical photos are kept once.
+async function readImageRequest(req) {
+  const contentType = req.headers['content-type'] || '';
+  let data;
+  let sources;
+  if (/^multipart\/form-data/i.test(contentType)) {
+    const { fields, files } = parseMultipart(await readRequestBody(req), contentType);
+    data = parseFormFields(fields);
+    sources = files.filter(file => file.fieldName === 'image' || file.fieldName === 'images');
+  } else {
+    data = await readJsonBody(req);
+    sources = Array.isArray(data.images) ? data.images.filter(image => typeof image === 'string' && image) : [];
   }
-  
-  // Non-drivable fee
-  if (assessmentData.drivable === false) {
-    surcharges += 300;
+  if (typeof data.imageData === 'string' && data.imageData) sources.push(data.imageData);
+  if (typeof data.imageUrl === 'string' && data.imageUrl.trim()) sources.push(data.imageUrl.trim());
+
+  if (sources.length > MAX_CLAIM_PHOTOS) {
+    const countError = new Error(`A claim can include at most ${MAX_CLAIM_PHOTOS} photos`);
+    countError.statusCode = 400;
+    throw countError;
   }
 
-  // Calculate total
-  const total = subtotal + paintCost + surcharges;
-  
-  // Enforce minimum of $600
-  const adjustedTotal = Math.max(total, 600);
-  
-  // Apply confidence range
-  const confidence = assessmentData.confidence || 0.7;
-  let rangePercent;
-  
-  if (confidence >= 0.8) {
-    rangePercent = 0.15; // ±15%
-  } else if (confidence >= 0.6) {
-    rangePercent = 0.25; // ±25%
+  const images = [];
+  const warnings = [];
+  // One at a time, so a large claim never holds every decoded photo in memory at once
+  for (let index = 0; index < sources.length; index++) {
+    let image;
+    try {
+      image = await imageIngestor.ingest(sources[index]);
+    } catch (error) {
+      if (sources.length > 1) error.message = `Photo ${index + 1}: ${error.message}`;
+      throw error;
+    }
+
+    const label = sources.length > 1 ? `Photo ${index + 1}: ` : '';
+    const duplicateOf = images.findIndex(existing => existing.info.originalSha256 === image.info.originalSha256);
+    if (duplicateOf !== -1) {
+      warnings.push(`Photo ${index + 1} is the same image as photo ${images[duplicateOf].photoNumber} and was skipped`);
+      continue;
+    }
+    image.warnings.forEach(warning => warnings.push(`${label}${warning}`));
+    images.push({ ...image, photoNumber: index + 1 });
+  }
+
+  logger.info('Ingested images', {
+    photos: images.map(image => ({
+      source: image.info.source,
+      mimeType: image.info.mimeType,
+      width: image.info.width,
+      height: image.info.height,
+      sha256: (image.info.sha256 || '').slice(0, 12)
+    }))
+  });
+  return { data, images, warnings };
+}
+
+function parseLossDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(Date.parse(text))) {
+    const error = new Error(`lossDate "${value}" must be a date in YYYY-MM-DD format`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return text;
+}
+
+// Where the loss happened, from explicit coordinates or the geocoded location text.
+async function resolveLossLocation(data, cacheMode) {
+  const latitude = parseFloat(data.lat);
+  const longitude = parseFloat(data.lng);
+  if (!isNaN(latitude) && !isNaN(longitude)) {
+    return { lat: latitude, lng: longitude, label: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}` };
+  }
+  if (!data.location) return null;
+
+  // Without a place the location check is skipped rather than failing the claim
+  let geocoded;
+  try {
+    geocoded = await geocodeAddress(String(data.location), cacheMode);
+  } catch (error) {
+    logger.warn('Could not place the loss location', { error: error.message });
+    return null;
+  }
+  if (geocoded.status !== 'found') return null;
+  return { lat: geocoded.location.lat, lng: geocoded.location.lng, label: geocoded.location.formatted_address };
+}
+
+// The photo checks that run before the vision model is called, for photos sent by ownerId
+async function inspectPhotos(data, images, cacheMode, ownerId) {
+  const hasGps = images.some(image => image.info.exif && image.info.exif.gps);
+  const qualityReport = await photoQuality.inspectPhotos(images, {
+    lossDate: parseLossDate(data.lossDate),
+    lossLocation: hasGps ? await resolveLossLocation(data, cacheMode) : null,
+    priorImages: await claimStore.listImageFingerprints(),
+    policyNumber: data.policyNumber || null,
+    ownerId: ownerId
+  });
+  logger.info('Photo checks finished', { status: qualityReport.status, photos: qualityReport.photos.map(photo => photo.status) });
+
+  // The location check was the last use of the GPS position. Photos it was
+  // stripped from only record that they had one, so claims and responses never
+  // carry it.
+  images.forEach(image => {
+    if (image.info.gpsStripped && image.info.exif) image.info.exif = { takenAt: image.info.exif.takenAt, hasGps: true };
+  });
+  return qualityReport;
+}
+
+// Adjusters see which earlier claims a reused photo matches; everyone else only
+// the checks' status and messages
+function qualityReportFor(user, qualityReport) {
+  return auth.can(user, 'claims:any') ? qualityReport : publicQualityReport(qualityReport);
+}
+
+function claimFor(user, claim) {
+  return claim.qualityReport ? { ...claim, qualityReport: qualityReportFor(user, claim.qualityReport) } : claim;
+}
+
+// A failed photo check stops the estimate; the client is asked for new photos instead
+function sendRetakeRequest(res, qualityReport, user) {
+  logger.info('Photo retake requested', { reason: qualityReport.message });
+  res.writeHead(422, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Photo check failed', message: qualityReport.message, retake: true, qualityReport: qualityReportFor(user, qualityReport) }));
+}
+
+// One photo through the photo checks, the vision provider and the estimate.
+// Resolves with { retake: true, qualityReport } when it has to be retaken, or
+// with the analysis, its estimate and the total-loss verdict. Only the first of
+// images is analyzed; the photo checks look at all of them. progress(stage,
+// details) hears about each step as it finishes, signal cancels the upstream
+// vision request and ownerId is the user the photos are sent by.
+async function assessPhoto(data, images, warnings, cacheMode, { progress = () => {}, signal, ownerId = null } = {}) {
+  const image = images[0];
+  const pricing = resolvePricing(data);
+  let qualityReport = await inspectPhotos(data, images, cacheMode, ownerId);
+  if (qualityReport.retakeRequired) return { retake: true, qualityReport: qualityReport };
+  progress('validated', { status: qualityReport.status });
+
+  // Call the configured vision provider with the normalized image. The vehicle
+  // is reported as soon as a streamed answer names it, or else with the result.
+  logger.info('Calling vision provider', { provider: visionProvider.name, source: image.info.source });
+  progress('vision_request', { provider: visionProvider.name, model: visionProvider.model });
+  let vehicleSent = false;
+  const sendVehicle = (vehicle, partial) => {
+    if (vehicleSent || !vehicle) return;
+    vehicleSent = true;
+    progress('vehicle', { ...vehicle, partial: partial });
+  };
+  const analysisResult = await analyzeImage(image, cacheMode, {
+    signal: signal,
+    onPartial: (content) => sendVehicle(partialVehicle(content), true)
+  });
+  logger.debug('Vision analysis finished', { provider: visionProvider.name, assessment: analysisResult });
+  analysisResult.warnings = warnings.concat(analysisResult.warnings || []);
+  if (analysisResult.vehicle_detected) {
+    sendVehicle({ make: analysisResult.make, model: analysisResult.model, year: analysisResult.year || null, color: analysisResult.color || null }, false);
+  }
+
+  qualityReport = photoQuality.addAuthenticitySignals(qualityReport, [analysisResult]);
+  if (qualityReport.retakeRequired) return { retake: true, qualityReport: qualityReport };
+  progress('parts', {
+    vehicleDetected: analysisResult.vehicle_detected,
+    damageDetected: analysisResult.damage_detected,
+    parts: analysisResult.parts || [],
+    confidence: analysisResult.confidence
+  });
+
+  // Calculate sophisticated repair costs
+  const costBreakdown = estimateRepairCost(analysisResult, pricing);
+  const totalLoss = assessTotalLoss(analysisResult, costBreakdown, data.actualCashValue, resolveRegion(data));
+  progress('cost', {
+    estimateRange: costBreakdown.estimateRange,
+    midpoint: costBreakdown.midpoint,
+    totalLossVerdict: totalLoss ? totalLoss.verdict : null
+  });
+  return { analysisResult: analysisResult, costBreakdown: costBreakdown, totalLoss: totalLoss, qualityReport: qualityReport };
+}
+
+async function analyzeSimpleRequest(req, cacheMode, user, { progress = () => {}, signal } = {}) {
+  const { data, images, warnings } = await readImageRequest(req);
+  if (images.length === 0) {
+    const missingError = new Error('Provide a photo as an image file, imageData or imageUrl');
+    missingError.statusCode = 400;
+    throw missingError;
+  }
+  const image = images[0];
+  progress('received', {
+    source: image.info.source,
+    mimeType: image.info.mimeType,
+    width: image.info.width,
+    height: image.info.height,
+    warnings: warnings.concat(image.warnings || [])
+  });
+
+  const outcome = await assessPhoto(data, images, warnings, cacheMode, { progress: progress, signal: signal, ownerId: user.id });
+  if (outcome.retake) {
+    notifyAssessmentFailed('photo', 'photo_check', { statusCode: 422, message: outcome.qualityReport.message });
+    return outcome;
+  }
+  const { analysisResult, costBreakdown, totalLoss, qualityReport } = outcome;
+  recordEstimate(costBreakdown, 'analysis');
+  notifyAssessmentCompleted('photo', analysisResult, costBreakdown, totalLoss);
+
+  return {
+    data: {
+      ...buildAssessmentResponse(analysisResult, costBreakdown, totalLoss),
+      images: images.map(entry => entry.info),
+      qualityReport: qualityReportFor(user, qualityReport)
+    }
+  };
+}
+
+// A batch job's photo, run by the job queue's workers. A photo that has to be
+// retaken fails its item; the result is what the job reports and exports.
+async function analyzeJobItem(job, item, input) {
+  const image = { ...(await imageIngestor.ingest(input)), photoNumber: 1 };
+  const outcome = await assessPhoto(job.options, [image], image.warnings || [], job.cacheMode, { ownerId: job.ownerId });
+  if (outcome.retake) {
+    const retakeError = new Error(outcome.qualityReport.message);
+    retakeError.statusCode = 422;
+    retakeError.code = 'PHOTO_CHECK_FAILED';
+    throw retakeError;
+  }
+  const { analysisResult, costBreakdown, totalLoss, qualityReport } = outcome;
+  recordEstimate(costBreakdown, 'job');
+  return {
+    vehicleDetected: !!analysisResult.vehicle_detected,
+    damageDetected: !!analysisResult.damage_detected,
+    make: analysisResult.make || null,
+    model: analysisResult.model || null,
+    year: analysisResult.year || null,
+    color: analysisResult.color || null,
+    parts: (analysisResult.parts || []).map(part => ({ part: part.part, severity: part.severity })),
+    confidence: analysisResult.confidence,
+    estimateRange: costBreakdown.estimateRange,
+    midpoint: costBreakdown.midpoint,
+    pricingVersion: costBreakdown.pricingVersion || null,
+    totalLossVerdict: totalLoss ? totalLoss.verdict : null,
+    qualityStatus: qualityReport.status,
+    warnings: analysisResult.warnings,
+    sha256: image.info.sha256 || null
+  };
+}
+
+// Job requests being read and saved right now
+let jobUploadsReceiving = 0;
+
+// The photos and job-wide fields of a POST /api/jobs, as multipart `images`
+// files (the file names become the refs) or JSON { images: [...] } of data URLs
+// and URLs, or { items: [{ image, ref }] }
+async function readJobRequest(req) {
+  const contentType = req.headers['content-type'] || '';
+  let data;
+  let sources;
+  if (/^multipart\/form-data/i.test(contentType)) {
+    const { fields, files } = parseMultipart(await readRequestBody(req, jobQueue.maxRequestBytes), contentType);
+    data = fields;
+    sources = files
+      .filter(file => file.fieldName === 'image' || file.fieldName === 'images')
+      .map(file => ({ buffer: file.buffer, contentType: file.contentType, filename: file.filename }));
   } else {
-    rangePercent = 0.35; // ±35%
+    data = await readJsonBody(req, jobQueue.maxRequestBytes);
+    const images = Array.isArray(data.images) ? data.images.map(image => ({ image: image })) : [];
+    const items = Array.isArray(data.items) ? data.items.map(item => ({ image: item && item.image, ref: item && item.ref })) : [];
+    sources = images.concat(items).map(source => ({ ...source, image: typeof source.image === 'string' ? source.image.trim() : null }));
   }
-  
-  const low = Math.round(adjustedTotal * (1 - rangePercent));
-  const high = Math.round(adjustedTotal * (1 + rangePercent));
-  const midpoint = Math.round(adjustedTotal);
 
+  const options = {};
+  JOB_OPTION_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== '') options[field] = data[field];
+  });
+  // An unknown pricing profile fails the job now rather than every photo later
+  resolvePricing(options);
+  return { options: options, sources: sources };
+}
+
+function canSeeJob(user, job) {
+  return job.ownerId === user.id || auth.can(user, 'claims:any');
+}
+
+// Make and model from a streamed answer once both strings are complete
+function partialVehicle(content) {
+  const field = (name) => {
+    const match = String(content).match(new RegExp(`"${name}"\\s*:\\s*"([^"]*)"`));
+    return match ? match[1] : null;
+  };
+  const make = field('make');
+  const model = field('model');
+  if (!make || !model) return null;
+  const year = String(content).match(/"year"\s*:\s*(\d{4})\b/);
+  return { make: make, model: model, year: year ? parseInt(year[1], 10) : null, color: field('color') };
+}
+
+// Answers the vision model got wrong are logged in full; users get a hint instead
+function analysisErrorMessage(error) {
+  if (['INVALID_RESPONSE', 'INVALID_ASSESSMENT'].includes(error.code)) {
+    return 'Unable to analyze image. Please check that the image shows a car with visible damage.';
+  }
+  return error.message;
+}
+
+// Server-Sent Events writer. Comments keep proxies from closing the connection
+// while the vision model is working.
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT_MS);
   return {
-    breakdown: {
-      parts_and_labor: subtotal,
-      paint: paintCost,
-      surcharges: surcharges
+    send(event, data) {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     },
-    estimateRange: { low: low, high: high },
-    midpoint: midpoint,
-    confidence: confidence
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
   };
 }
 
-async function findRealRepairShops(latitude, longitude) {
+// The single-photo analysis as a stream of stage events ending in done or
+// error. A client that closes the connection cancels the vision request.
+async function streamSimpleAnalysis(req, res, query, user) {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const stream = openEventStream(res);
+  const send = (stage, details) => stream.send(stage, { ...details, elapsedMs: Date.now() - startedAt });
+  logger.info('Streaming analysis', { origin: req.headers.origin || null });
   try {
-    const radius = 16093; // 10 miles in meters
-    
-    const searchUrl = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?` +
-      `location=${latitude},${longitude}&` +
-      `radius=${radius}&` +
-      `type=car_repair&` +
-      `keyword=auto body collision repair&` +
-      `key=${GOOGLE_API_KEY}`;
-    
-    const https = require('https');
-    
-    return new Promise((resolve, reject) => {
-      https.get(searchUrl, (response) => {
-        let data = '';
-        
-        response.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        response.on('end', () => {
-          try {
-            const result = JSON.parse(data);
-            
-            if (result.status === 'OK' && result.results) {
-              const shops = result.results
-                .filter(place => {
-                  const name = place.name.toLowerCase();
-                  return name.includes('auto') || name.includes('collision') || 
-                         name.includes('body') || name.includes('repair');
-                })
-                .slice(0, 5)
-                .map(place => ({
-                  name: place.name,
-                  address: place.vicinity || place.formatted_address,
-                  rating: place.rating || 4.0,
-                  totalRatings: place.user_ratings_total || 0,
-                  placeId: place.place_id,
-                  location: {
-                    lat: place.geometry.location.lat,
-                    lng: place.geometry.location.lng
-                  },
-                  isOpen: place.opening_hours ? place.opening_hours.open_now : null,
-                  priceLevel: place.price_level,
-                  distance: calculateDistance(
-                    latitude, longitude,
-                    place.geometry.location.lat, place.geometry.location.lng
-                  )
-                }));
-              
-              // Get additional details for each shop
-              Promise.all(shops.map(shop => getPlaceDetails(shop.placeId)))
-                .then(details => {
-                  const enrichedShops = shops.map((shop, index) => ({
-                    ...shop,
-                    phone: details[index]?.phone,
-                    website: details[index]?.website,
-                    hours: details[index]?.hours
-                  })).sort((a, b) => a.distance - b.distance);
-                  resolve(enrichedShops);
-                })
-                .catch(() => {
-                  // If details fail, return basic info sorted by distance
-                  resolve(shops.sort((a, b) => a.distance - b.distance));
-                });
-            } else {
-              console.log('Google Places API error:', result.status, result.error_message);
-              resolve(getDemoRepairShops(latitude, longitude));
-            }
-          } catch (error) {
-            console.error('Error parsing Google Places response:', error);
-            resolve(getDemoRepairShops(latitude, longitude));
-          }
-        });
-      }).on('error', (error) => {
-        console.error('Google Places API request failed:', error);
-        resolve(getDemoRepairShops(latitude, longitude));
-      });
-    });
-    
+    const cacheMode = requestCacheMode(req.headers, query, { allowBypass: auth.can(user, 'cache:bypass') });
+    const outcome = await analyzeSimpleRequest(req, cacheMode, user, { progress: send, signal: controller.signal });
+    if (outcome.retake) {
+      logger.info('Photo retake requested', { reason: outcome.qualityReport.message });
+      send('error', { status: 422, error: 'Photo check failed', message: outcome.qualityReport.message, retake: true, qualityReport: qualityReportFor(user, outcome.qualityReport) });
+    } else {
+      send('done', { success: true, data: outcome.data });
+    }
   } catch (error) {
-    console.error('Error in findRealRepairShops:', error);
-    return getDemoRepairShops(latitude, longitude);
+    if (controller.signal.aborted) {
+      logger.info('Streamed analysis cancelled by the client');
+      return;
+    }
+    logger.error('Streamed analysis failed', error);
+    notifyAssessmentFailed('photo', 'error', { statusCode: error.statusCode, code: error.code, message: analysisErrorMessage(error) });
+    send('error', {
+      status: error.statusCode || 500,
+      error: 'Analysis failed',
+      message: analysisErrorMessage(error),
+      retryAfterSeconds: error.retryAfterSeconds || null
+    });
+  } finally {
+    stream.close();
   }
 }
 
-async function getPlaceDetails(placeId) {
-  try {
-    const detailsUrl = `https://maps.googleapis.com/maps/api/place/details/json?` +
-      `place_id=${placeId}&` +
-      `fields=formatted_phone_number,website,opening_hours&` +
-      `key=${GOOGLE_API_KEY}`;
-    
-    const https = require('https');
-    
-    return new Promise((resolve) => {
-      https.get(detailsUrl, (response) => {
-        let data = '';
-        
-        response.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        response.on('end', () => {
-          try {
-            const result = JSON.parse(data);
-            if (result.status === 'OK' && result.result) {
-              resolve({
-                phone: result.result.formatted_phone_number,
-                website: result.result.website,
-                hours: result.result.opening_hours
-              });
-            } else {
-              resolve({});
-            }
-          } catch (error) {
-            resolve({});
-          }
-        });
-      }).on('error', () => {
-        resolve({});
-      });
-    });
-  } catch (error) {
-    return {};
+// Errors that say when to try again (spent budgets) carry a Retry-After header
+function errorHeaders(error) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (error.retryAfterSeconds) headers['Retry-After'] = String(error.retryAfterSeconds);
+  return headers;
+}
+
+function recordEstimate(costBreakdown, source) {
+  if (!costBreakdown) return;
+  const vehicleClass = costBreakdown.vehicleClass ? costBreakdown.vehicleClass.class : 'unknown';
+  estimateMidpoints.observe({ source: source, vehicle_class: vehicleClass }, costBreakdown.midpoint || 0);
+}
+
+// Webhook payloads say which request and user an event came from
+function eventContext() {
+  const { requestId = null, userId = null } = requestContext.getStore() || {};
+  return { requestId: requestId, userId: userId };
+}
+
+// kind is photo (/api/analyze-simple), photos (/api/analyze-claim) or claim
+function notifyAssessmentCompleted(kind, analysis, costBreakdown, totalLoss, claim = null) {
+  webhooks.emit('assessment.completed', {
+    kind: kind,
+    claimId: claim ? claim.id : null,
+    policyNumber: claim ? claim.policyNumber : null,
+    ...eventContext(),
+    analysisMode: visionProvider.name,
+    vehicleDetected: !!analysis.vehicle_detected,
+    damageDetected: !!analysis.damage_detected,
+    vehicle: analysis.vehicle_detected
+      ? { make: analysis.make || null, model: analysis.model || null, year: analysis.year || null, color: analysis.color || null }
+      : null,
+    parts: (analysis.parts || []).map(part => ({ part: part.part, severity: part.severity })),
+    estimateRange: costBreakdown.estimateRange,
+    midpoint: costBreakdown.midpoint,
+    totalLossVerdict: totalLoss ? totalLoss.verdict : null
+  });
+}
+
+// reason is photo_check when the photos have to be retaken, error otherwise
+function notifyAssessmentFailed(kind, reason, { statusCode, code = null, message }) {
+  webhooks.emit('assessment.failed', {
+    kind: kind,
+    ...eventContext(),
+    reason: reason,
+    status: statusCode || 500,
+    code: code,
+    message: message
+  });
+}
+
+function notifyEstimateOverridden(existing, claim, by, reason, adjustments = null) {
+  webhooks.emit('estimate.overridden', {
+    claimId: claim.id,
+    policyNumber: claim.policyNumber,
+    ...eventContext(),
+    by: by,
+    reason: reason || null,
+    adjustments: adjustments,
+    previousEstimate: existing.costBreakdown
+      ? { estimateRange: existing.costBreakdown.estimateRange, midpoint: existing.costBreakdown.midpoint }
+      : null,
+    estimate: { estimateRange: claim.costBreakdown.estimateRange, midpoint: claim.costBreakdown.midpoint },
+    totalLossVerdict: claim.totalLoss ? claim.totalLoss.verdict : null
+  });
+}
+
+function notifyShopSelected(claim, previousShop, by) {
+  webhooks.emit('shop.selected', {
+    claimId: claim.id,
+    policyNumber: claim.policyNumber,
+    ...eventContext(),
+    by: by,
+    repairShop: claim.repairShop,
+    previousShop: previousShop || null
+  });
+}
+
+// Metrics are labelled by route template so claim ids don't each make a series
+const ROUTE_TEMPLATES = [
+  [/^\/api\/claims\/[^/]+$/, '/api/claims/:id'],
+  [/^\/api\/claims\/[^/]+\/(review|decision|export)$/, '/api/claims/:id/$1'],
+  [/^\/api\/report\/[^/]+$/, '/api/report/:id'],
+  [/^\/api\/admin\/users\/[^/]+$/, '/api/admin/users/:id'],
+  [/^\/api\/admin\/users\/[^/]+\/api-keys$/, '/api/admin/users/:id/api-keys'],
+  [/^\/api\/admin\/users\/[^/]+\/api-keys\/[^/]+$/, '/api/admin/users/:id/api-keys/:keyId'],
+  [/^\/api\/jobs\/[^/]+$/, '/api/jobs/:id'],
+  [/^\/api\/jobs\/[^/]+\/(retry|cancel|export)$/, '/api/jobs/:id/$1'],
+  [/^\/api\/admin\/webhooks\/deliveries\/[^/]+\/retry$/, '/api/admin/webhooks/deliveries/:id/retry'],
+  [/^\/api\/admin\/webhooks\/WHK-[^/]+$/, '/api/admin/webhooks/:id'],
+  [/^\/api\/admin\/webhooks\/WHK-[^/]+\/ping$/, '/api/admin/webhooks/:id/ping']
+];
+const FIXED_ROUTES = [
+  '/', '/metrics', '/api/health', '/api/auth/login', '/api/auth/logout', '/api/auth/me', '/api/analyze-simple',
+  '/api/analyze-claim', '/api/jobs', '/api/claims', '/api/total-loss', '/api/export', '/api/admin/pricing-profiles', '/api/admin/override-report',
+  '/api/admin/users', '/api/admin/webhooks', '/api/admin/webhooks/deliveries', '/api/repair-shops', '/api/geocode', '/api/cache'
+];
+
+function routeLabel(pathname) {
+  if (FIXED_ROUTES.includes(pathname)) return pathname;
+  const template = ROUTE_TEMPLATES.find(([pattern]) => pattern.test(pathname));
+  return template ? pathname.replace(template[0], template[1]) : 'other';
+}
+
+const READINESS_CACHE_MS = 30000;
+let readinessCache = null;
+
+// Whether the upstreams are configured and answer. Probes are cached for a
+// while so that frequent health checks don't hammer the upstreams.
+async function checkUpstreams() {
+  if (readinessCache && Date.now() - readinessCache.checkedAt < READINESS_CACHE_MS) return readinessCache.upstreams;
+
+  const breakers = upstream.state();
+  const vision = { name: visionProvider.name, model: visionProvider.model, configured: visionProvider.configured, reachable: null, circuit: breakers.vision };
+  if (visionProvider.configured && visionProvider.probe) {
+    const probe = await visionProvider.probe();
+    vision.reachable = probe.reachable && probe.statusCode !== 401 && probe.statusCode !== 403;
+    vision.latencyMs = probe.latencyMs;
+    vision.error = probe.error || (vision.reachable ? null : `HTTP ${probe.statusCode}, the API key was not accepted`);
+  } else if (visionProvider.configured) {
+    // Local providers (the mock) have nothing to reach
+    vision.reachable = true;
+  }
+
+  const placesConfigured = !!GOOGLE_API_KEY && GOOGLE_API_KEY !== 'your-google-places-api-key-here';
+  const places = { configured: placesConfigured, reachable: null, circuit: breakers.places };
+  if (placesConfigured) {
+    const probe = await upstream.probe('places', { url: 'https://maps.googleapis.com/' });
+    places.reachable = probe.reachable;
+    places.latencyMs = probe.latencyMs;
+    places.error = probe.error;
+  }
+
+  readinessCache = { checkedAt: Date.now(), upstreams: { vision: vision, places: places } };
+  return readinessCache.upstreams;
+}
+
+// Which rate limit a request counts against; free endpoints have none. Reports
+// search Places for repair shops, so they count against the shop limit.
+function rateLimitName(method, pathname) {
+  if (method === 'GET' && /^\/api\/report\/[^/]+$/.test(pathname)) return 'shops';
+  if (method !== 'POST') return null;
+  if (['/api/analyze-simple', '/api/analyze-claim', '/api/claims', '/api/jobs'].includes(pathname)) return 'analyze';
+  if (['/api/repair-shops', '/api/geocode'].includes(pathname)) return 'shops';
+  if (pathname === '/api/auth/login') return 'login';
+  return null;
+}
+
+// The address of the caller, or of the client a trusted proxy forwarded for
+function clientIp(req) {
+  const forwarded = process.env.TRUST_PROXY === 'true' && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+// Google bills the requests it answers, not denied or malformed ones
+function recordPlacesSpend(kind, status) {
+  if (status === 'OK' || status === 'ZERO_RESULTS') budgets.recordPlacesCall(kind);
+}
+
+// Answers 401 when nobody is signed in and 403 when the user's role lacks the
+// permission; returns whether the request may go on
+function authorize(res, user, permission) {
+  if (!user) {
+    res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+    res.end(JSON.stringify({ error: 'Authentication required', message: 'Sign in, or send an API key in the X-API-Key header' }));
+    return false;
   }
+  if (!auth.can(user, permission)) {
+    logger.info('Permission denied', { role: user.role, permission: permission });
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Forbidden', message: `The ${user.role} role does not have the ${permission} permission` }));
+    return false;
+  }
+  return true;
+}
+
+// Places answers HTTP 200 with a status of its own. Quota and transient errors
+// are retried like a 5xx and a denied key is an error; other statuses
+// (ZERO_RESULTS, NOT_FOUND, an expired page token) are the caller's to handle.
+const PLACES_RETRYABLE_STATUSES = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+
+async function requestPlaces(kind, placesUrl) {
+  const { body: result } = await upstream.request('places', {
+    url: placesUrl,
+    json: true,
+    check: (answer) => {
+      const detail = answer.error_message ? ` (${answer.error_message})` : '';
+      if (PLACES_RETRYABLE_STATUSES.includes(answer.status)) return { message: `answered ${answer.status}${detail}`, retryable: true };
+      if (answer.status === 'REQUEST_DENIED') return { message: `answered REQUEST_DENIED${detail}`, retryable: false };
+      return null;
+    }
+  });
+  recordPlacesSpend(kind, result.status);
+  return result;
+}
+
+// One Places Nearby Search; resolves with the parsed response and rejects with
+// an upstream error when Places cannot answer. A pageToken fetches the next
+// page of an earlier search.
+function requestNearbyPlaces(origin, { radiusMeters, keyword, openNow, pageToken }) {
+  const searchUrl = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?` +
+    (pageToken ? `pagetoken=${encodeURIComponent(pageToken)}&` :
+      `location=${origin.lat},${origin.lng}&` +
+      `radius=${radiusMeters}&` +
+      `type=car_repair&` +
+      `keyword=${encodeURIComponent(keyword)}&` +
+      (openNow ? 'opennow=true&' : '')) +
+    `key=${GOOGLE_API_KEY}`;
+  return requestPlaces('nearbySearch', searchUrl);
+}
+
+// Answers are cached by rounded coordinates and query; a cached page's token
+// keeps working for the next page even after Google has expired it. Once the
+// Places budget is spent only cached answers are used, and a search nothing is
+// cached for fails with the budget error. Resolves with { result, source },
+// where source says whether Places was called ('live') or not ('cache').
+async function searchNearbyPlaces(origin, options = {}) {
+  const key = options.pageToken ? `page|${options.pageToken}` :
+    [caches.coordinateKey(origin.lat, origin.lng), options.radiusMeters, options.keyword, !!options.openNow].join('|');
+  const overBudget = !!budgets.exhausted('places');
+  let live = false;
+  const result = await caches.source('places').remember(key, () => {
+    if (overBudget) throw budgets.exhaustedError('places');
+    live = true;
+    return requestNearbyPlaces(origin, options);
+  }, {
+    mode: overBudget ? 'use' : options.cacheMode,
+    shouldStore: answer => answer.status === 'OK' || answer.status === 'ZERO_RESULTS'
+  });
+  return { result: result, source: live ? 'live' : 'cache' };
 }
 
+// Resolves with the shop's phone, website and hours ({} when Places has none)
+async function getPlaceDetails(placeId, cacheMode) {
+  const overBudget = !!budgets.exhausted('places');
+  const details = await caches.source('placeDetails').remember(placeId, () => {
+    if (overBudget) throw budgets.exhaustedError('places');
+    return requestPlaceDetails(placeId);
+  }, {
+    mode: overBudget ? 'use' : cacheMode,
+    shouldStore: result => result !== null
+  });
+  return details || {};
+}
+
+// Resolves with the shop's phone, website and hours, or null when Places does not know the place
+async function requestPlaceDetails(placeId) {
+  const detailsUrl = `https://maps.googleapis.com/maps/api/place/details/json?` +
+    `place_id=${encodeURIComponent(placeId)}&` +
+    `fields=formatted_phone_number,website,opening_hours&` +
+    `key=${GOOGLE_API_KEY}`;
+  const result = await requestPlaces('placeDetails', detailsUrl);
+  if (result.status !== 'OK' || !result.result) return null;
+  return {
+    phone: result.result.formatted_phone_number,
+    website: result.result.website,
+    hours: result.result.opening_hours
+  };
+}
+
+// Fixed review counts and opening states keep demo rankings repeatable
 function getDemoRepairShops(latitude, longitude) {
   const demoShops = [
-    { name: "AutoCraft Collision Center", address: "1234 Main Street", phone: "(555) 123-4567", website: "autocraft-collision.com", rating: 4.8, lat: latitude + 0.01, lng: longitude + 0.01 },
-    { name: "Precision Auto Body", address: "5678 Oak Avenue", phone: "(555) 234-5678", website: "precisionautobody.com", rating: 4.9, lat: latitude - 0.01, lng: longitude + 0.01 },
-    { name: "Metro Collision Repair", address: "9012 Pine Street", phone: "(555) 345-6789", website: "metrocollision.com", rating: 4.6, lat: latitude + 0.01, lng: longitude - 0.01 },
-    { name: "Elite Auto Restoration", address: "3456 Elm Drive", phone: "(555) 456-7890", website: "eliteautorestoration.com", rating: 4.7, lat: latitude - 0.01, lng: longitude - 0.01 },
-    { name: "Superior Car Care", address: "7890 Cedar Lane", phone: "(555) 567-8901", website: "superiorcarcare.com", rating: 4.5, lat: latitude + 0.02, lng: longitude }
+    { name: "AutoCraft Collision Center", address: "1234 Main Street", phone: "(555) 123-4567", website: "autocraft-collision.com", rating: 4.8, totalRatings: 212, isOpen: true, lat: latitude + 0.01, lng: longitude + 0.01 },
+    { name: "Precision Auto Body", address: "5678 Oak Avenue", phone: "(555) 234-5678", website: "precisionautobody.com", rating: 4.9, totalRatings: 87, isOpen: true, lat: latitude - 0.01, lng: longitude + 0.01 },
+    { name: "Metro Collision & Towing", address: "9012 Pine Street", phone: "(555) 345-6789", website: "metrocollision.com", rating: 4.6, totalRatings: 143, isOpen: true, lat: latitude + 0.01, lng: longitude - 0.01 },
+    { name: "Elite Auto Restoration", address: "3456 Elm Drive", phone: "(555) 456-7890", website: "eliteautorestoration.com", rating: 4.7, totalRatings: 64, isOpen: false, lat: latitude - 0.01, lng: longitude - 0.01 },
+    { name: "ClearView Auto Glass", address: "2468 Birch Road", phone: "(555) 678-9012", website: "clearviewautoglass.com", rating: 4.4, totalRatings: 176, isOpen: true, lat: latitude + 0.015, lng: longitude + 0.005 },
+    { name: "Superior Car Care", address: "7890 Cedar Lane", phone: "(555) 567-8901", website: "superiorcarcare.com", rating: 4.5, totalRatings: 98, isOpen: null, lat: latitude + 0.02, lng: longitude }
   ];
-  
+
   return demoShops.map(shop => ({
     ...shop,
-    distance: calculateDistance(latitude, longitude, shop.lat, shop.lng),
-    totalRatings: Math.floor(Math.random() * 200) + 50,
-    isOpen: Math.random() > 0.3 // 70% chance of being open
+    distance: calculateDistance(latitude, longitude, shop.lat, shop.lng)
   })).sort((a, b) => a.distance - b.distance);
 }
 
@@ -425,165 +1106,103 @@ function calculateDistance(lat1, lng1, lat2, lng2) {
   return R * c;
 }
 
-function getLocationDatabase() {
-  return {
-    // Major US Cities
-    'new york': { lat: 40.7128, lng: -74.0060, name: 'New York, NY' },
-    'los angeles': { lat: 34.0522, lng: -118.2437, name: 'Los Angeles, CA' },
-    'chicago': { lat: 41.8781, lng: -87.6298, name: 'Chicago, IL' },
-    'houston': { lat: 29.7604, lng: -95.3698, name: 'Houston, TX' },
-    'phoenix': { lat: 33.4484, lng: -112.0740, name: 'Phoenix, AZ' },
-    'philadelphia': { lat: 39.9526, lng: -75.1652, name: 'Philadelphia, PA' },
-    'san antonio': { lat: 29.4241, lng: -98.4936, name: 'San Antonio, TX' },
-    'san diego': { lat: 32.7157, lng: -117.1611, name: 'San Diego, CA' },
-    'dallas': { lat: 32.7767, lng: -96.7970, name: 'Dallas, TX' },
-    'san jose': { lat: 37.3382, lng: -121.8863, name: 'San Jose, CA' },
-    'austin': { lat: 30.2672, lng: -97.7431, name: 'Austin, TX' },
-    'jacksonville': { lat: 30.3322, lng: -81.6557, name: 'Jacksonville, FL' },
-    'san francisco': { lat: 37.7749, lng: -122.4194, name: 'San Francisco, CA' },
-    'columbus': { lat: 39.9612, lng: -82.9988, name: 'Columbus, OH' },
-    'charlotte': { lat: 35.2271, lng: -80.8431, name: 'Charlotte, NC' },
-    'fort worth': { lat: 32.7555, lng: -97.3308, name: 'Fort Worth, TX' },
-    'indianapolis': { lat: 39.7684, lng: -86.1581, name: 'Indianapolis, IN' },
-    'seattle': { lat: 47.6062, lng: -122.3321, name: 'Seattle, WA' },
-    'denver': { lat: 39.7392, lng: -104.9903, name: 'Denver, CO' },
-    'boston': { lat: 42.3601, lng: -71.0589, name: 'Boston, MA' },
-    'el paso': { lat: 31.7619, lng: -106.4850, name: 'El Paso, TX' },
-    'detroit': { lat: 42.3314, lng: -83.0458, name: 'Detroit, MI' },
-    'nashville': { lat: 36.1627, lng: -86.7816, name: 'Nashville, TN' },
-    'portland': { lat: 45.5152, lng: -122.6784, name: 'Portland, OR' },
-    'memphis': { lat: 35.1495, lng: -90.0490, name: 'Memphis, TN' },
-    'oklahoma city': { lat: 35.4676, lng: -97.5164, name: 'Oklahoma City, OK' },
-    'las vegas': { lat: 36.1699, lng: -115.1398, name: 'Las Vegas, NV' },
-    'louisville': { lat: 38.2527, lng: -85.7585, name: 'Louisville, KY' },
-    'baltimore': { lat: 39.2904, lng: -76.6122, name: 'Baltimore, MD' },
-    'milwaukee': { lat: 43.0389, lng: -87.9065, name: 'Milwaukee, WI' },
-    'albuquerque': { lat: 35.0844, lng: -106.6504, name: 'Albuquerque, NM' },
-    'tucson': { lat: 32.2226, lng: -110.9747, name: 'Tucson, AZ' },
-    'fresno': { lat: 36.7378, lng: -119.7871, name: 'Fresno, CA' },
-    'sacramento': { lat: 38.5816, lng: -121.4944, name: 'Sacramento, CA' },
-    'kansas city': { lat: 39.0997, lng: -94.5786, name: 'Kansas City, MO' },
-    'mesa': { lat: 33.4152, lng: -111.8315, name: 'Mesa, AZ' },
-    'atlanta': { lat: 33.7490, lng: -84.3880, name: 'Atlanta, GA' },
-    'colorado springs': { lat: 38.8339, lng: -104.8214, name: 'Colorado Springs, CO' },
-    'raleigh': { lat: 35.7796, lng: -78.6382, name: 'Raleigh, NC' },
-    'omaha': { lat: 41.2565, lng: -95.9345, name: 'Omaha, NE' },
-    'miami': { lat: 25.7617, lng: -80.1918, name: 'Miami, FL' },
-    'oakland': { lat: 37.8044, lng: -122.2712, name: 'Oakland, CA' },
-    'minneapolis': { lat: 44.9778, lng: -93.2650, name: 'Minneapolis, MN' },
-    'tulsa': { lat: 36.1540, lng: -95.9928, name: 'Tulsa, OK' },
-    'cleveland': { lat: 41.4993, lng: -81.6944, name: 'Cleveland, OH' },
-    'wichita': { lat: 37.6872, lng: -97.3301, name: 'Wichita, KS' },
-    'arlington': { lat: 32.7357, lng: -97.1081, name: 'Arlington, TX' },
-    
-    // Popular Zip Codes
-    '10001': { lat: 40.7505, lng: -73.9934, name: 'New York, NY 10001' },
-    '90210': { lat: 34.0901, lng: -118.4065, name: 'Beverly Hills, CA 90210' },
-    '60601': { lat: 41.8826, lng: -87.6288, name: 'Chicago, IL 60601' },
-    '77001': { lat: 29.7347, lng: -95.3864, name: 'Houston, TX 77001' },
-    '33101': { lat: 25.7889, lng: -80.2264, name: 'Miami, FL 33101' },
-    '85001': { lat: 33.4734, lng: -112.0740, name: 'Phoenix, AZ 85001' },
-    '19101': { lat: 39.9526, lng: -75.1652, name: 'Philadelphia, PA 19101' },
-    '78201': { lat: 29.4241, lng: -98.4936, name: 'San Antonio, TX 78201' },
-    '92101': { lat: 32.7157, lng: -117.1611, name: 'San Diego, CA 92101' },
-    '75201': { lat: 32.7767, lng: -96.7970, name: 'Dallas, TX 75201' },
-    '95101': { lat: 37.3382, lng: -121.8863, name: 'San Jose, CA 95101' },
-    '78701': { lat: 30.2672, lng: -97.7431, name: 'Austin, TX 78701' },
-    '32099': { lat: 30.3322, lng: -81.6557, name: 'Jacksonville, FL 32099' },
-    '94101': { lat: 37.7749, lng: -122.4194, name: 'San Francisco, CA 94101' },
-    '43215': { lat: 39.9612, lng: -82.9988, name: 'Columbus, OH 43215' },
-    '28202': { lat: 35.2271, lng: -80.8431, name: 'Charlotte, NC 28202' },
-    '98101': { lat: 47.6062, lng: -122.3321, name: 'Seattle, WA 98101' },
-    '80202': { lat: 39.7392, lng: -104.9903, name: 'Denver, CO 80202' },
-    '02101': { lat: 42.3601, lng: -71.0589, name: 'Boston, MA 02101' }
-  };
+// The offline gazetteer answers ZIP codes and city names. Only what it cannot
+// place at all goes to Google Text Search; an ambiguous name comes back with its
+// candidates instead of a guess. Resolves with { status, location, candidates }.
+async function geocodeAddress(address, cacheMode) {
+  const offline = gazetteer.geocode(address);
+  if (offline.status === 'found') {
+    logger.debug('Found in gazetteer', { match: offline.match });
+    return offline;
+  }
+  if (offline.status === 'ambiguous') {
+    logger.info('Ambiguous location', { candidates: offline.candidates.length });
+    return offline;
+  }
+
+  // Only real answers are cached; past the Places budget only cached ones are used
+  const overBudget = !!budgets.exhausted('places');
+  const found = await caches.source('geocode').remember(caches.addressKey(address), () => {
+    if (overBudget) throw budgets.exhaustedError('places');
+    return searchAddress(address);
+  }, {
+    mode: overBudget ? 'use' : cacheMode,
+    shouldStore: result => result !== null
+  });
+  return found ? { status: 'found', match: 'google', location: found, candidates: [] } : offline;
 }
 
-async function geocodeAddress(address) {
-  try {
-    // First try local database for fast lookup
-    const locationDb = getLocationDatabase();
-    const searchKey = address.toLowerCase().trim();
-    
-    // Direct match
-    if (locationDb[searchKey]) {
-      console.log('✅ Found in local database:', locationDb[searchKey]);
-      return {
-        lat: locationDb[searchKey].lat,
-        lng: locationDb[searchKey].lng,
-        formatted_address: locationDb[searchKey].name
-      };
-    }
-    
-    // Partial match for cities
-    for (const [key, location] of Object.entries(locationDb)) {
-      if (searchKey.includes(key) || key.includes(searchKey)) {
-        console.log('✅ Partial match in local database:', location);
-        return {
-          lat: location.lat,
-          lng: location.lng,
-          formatted_address: location.name
-        };
-      }
-    }
-    
-    // Try Google Places API Text Search as backup (since our key works with Places)
-    console.log('🌍 Trying Google Places API Text Search...');
-    const encodedAddress = encodeURIComponent(address);
-    const placesUrl = `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${encodedAddress}&key=${GOOGLE_API_KEY}`;
-    
-    const https = require('https');
-    
-    return new Promise((resolve, reject) => {
-      https.get(placesUrl, (response) => {
-        let data = '';
-        
-        response.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        response.on('end', () => {
-          try {
-            const result = JSON.parse(data);
-            
-            if (result.status === 'OK' && result.results && result.results[0]) {
-              const location = result.results[0].geometry.location;
-              console.log('✅ Google Places Text Search successful:', location, result.results[0].formatted_address);
-              resolve({
-                lat: location.lat,
-                lng: location.lng,
-                formatted_address: result.results[0].formatted_address
-              });
-            } else {
-              console.log('❌ Google Places Text Search failed:', result.status, result.error_message);
-              // Final fallback to San Francisco
-              resolve({ lat: 37.7749, lng: -122.4194, formatted_address: 'San Francisco, CA (default)' });
-            }
-          } catch (error) {
-            console.error('Error parsing Places API response:', error);
-            resolve({ lat: 37.7749, lng: -122.4194, formatted_address: 'San Francisco, CA (default)' });
-          }
-        });
-      }).on('error', (error) => {
-        console.error('Places API request failed:', error);
-        resolve({ lat: 37.7749, lng: -122.4194, formatted_address: 'San Francisco, CA (default)' });
-      });
-    });
-    
+// Google Places API Text Search (our key works with Places); resolves with null
+// when nothing is found and rejects when Places cannot answer
+async function searchAddress(address) {
+  const encodedAddress = encodeURIComponent(address);
+  const placesUrl = `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${encodedAddress}&key=${GOOGLE_API_KEY}`;
+  const result = await requestPlaces('textSearch', placesUrl);
+
+  if (result.status === 'OK' && result.results && result.results[0]) {
+    const location = result.results[0].geometry.location;
+    return {
+      lat: location.lat,
+      lng: location.lng,
+      formatted_address: result.results[0].formatted_address
+    };
+  }
+  logger.info('Google Places Text Search found nothing', { status: result.status });
+  return null;
+}
+
+function sendEstimateExport(res, claim, format) {
+  const body = estimateExporter.exportEstimate(claim, format);
+  const { contentType, extension, suffix } = EXPORT_FORMATS[format];
+  logger.info('Estimate exported', { claimId: claim.id, format: format, bytes: body.length });
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${claim.id || 'analysis'}-${suffix}.${extension}"`,
+    'Content-Length': body.length
+  });
+  res.end(body);
+}
+
+// Report shops are the first page of a search from explicit coordinates, a location query, or where the claim was priced
+async function findReportShops(claim, query, cacheMode) {
+  const latitude = parseFloat(query.lat);
+  const longitude = parseFloat(query.lng);
+  if (!isNaN(latitude) && !isNaN(longitude)) {
+    const { shops } = await shopSearch.startSearch({ lat: latitude, lng: longitude }, { analysis: claim.analysis, cacheMode: cacheMode });
+    return { shops: shops, shopsLocation: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}` };
+  }
+
+  const region = claim.region || {};
+  const location = query.location || region.location || region.zip;
+  if (!location) return { shops: [], shopsLocation: null };
+
+  let geocoded;
+  try {
+    geocoded = await geocodeAddress(location, cacheMode);
   } catch (error) {
-    console.error('Error in geocodeAddress:', error);
-    return { lat: 37.7749, lng: -122.4194, formatted_address: 'San Francisco, CA (default)' };
+    logger.warn('Could not place the report location', { error: error.message });
+    return { shops: [], shopsLocation: null };
   }
+  if (geocoded.status !== 'found') return { shops: [], shopsLocation: null };
+  const { lat, lng, formatted_address: shopsLocation } = geocoded.location;
+  const { shops } = await shopSearch.startSearch({ lat: lat, lng: lng }, { analysis: claim.analysis, cacheMode: cacheMode });
+  return { shops: shops, shopsLocation: shopsLocation };
 }
 
-const server = http.createServer(async (req, res) => {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+async function handleRequest(req, res) {
+  // CORS headers, only for the origins listed in CORS_ORIGINS; the page served
+  // from here is same-origin and needs none
+  if (req.headers.origin && auth.isAllowedOrigin(req.headers.origin)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Cache-Control, Authorization, X-API-Key');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-Request-Id');
+  }
+  res.setHeader('Vary', 'Origin');
   
   if (req.method === 'OPTIONS') {
-    res.writeHead(200);
+    res.writeHead(204);
     res.end();
     return;
   }
@@ -604,161 +1223,1105 @@ const server = http.createServer(async (req, res) => {
     return;
   }
   
+  if (req.method === 'GET' && parsedUrl.pathname === '/metrics') {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (process.env.METRICS_TOKEN && token !== process.env.METRICS_TOKEN) {
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+      res.end(JSON.stringify({ error: 'Authentication required', message: 'Send the metrics token as a bearer token' }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(metrics.render());
+    return;
+  }
+
+  // Readiness: unavailable (503) when analyses cannot be made at all; degraded
+  // when some source is limited to cached or demo answers
   if (req.method === 'GET' && parsedUrl.pathname === '/api/health') {
+    const upstreams = await checkUpstreams();
+    const visionReady = upstreams.vision.configured && upstreams.vision.reachable;
+    const degraded = budgets.exhaustedSources();
+    if (!upstreams.places.configured || upstreams.places.reachable === false) degraded.push('places');
+    Object.keys(upstreams).forEach(name => {
+      if (upstreams[name].circuit && upstreams[name].circuit.state !== 'closed') degraded.push(name);
+    });
+    const status = !visionReady ? 'unavailable' : degraded.length > 0 ? 'degraded' : 'ok';
+    res.writeHead(visionReady ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      status: status,
+      message: visionReady
+        ? `Working backend with ${visionProvider.name} vision analysis`
+        : `The ${visionProvider.name} vision provider is ${upstreams.vision.configured ? 'not reachable' : 'not configured'}`,
+      visionProvider: { name: visionProvider.name, model: visionProvider.model, promptVersion: PROMPT_VERSION },
+      degraded: [...new Set(degraded)],
+      upstreams: upstreams,
+      jobs: jobQueue.stats(),
+      budgets: budgets.state(),
+      cache: caches.stats()
+    }));
+    return;
+  }
+
+  let user;
+  try {
+    user = await auth.authenticate(req);
+  } catch (error) {
+    res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Authentication failed', message: error.message }));
+    return;
+  }
+  // Lines logged from here on say whose request it is
+  if (user) requestContext.getStore().userId = user.id;
+
+  // Endpoints that cost money upstream are rate limited per API key, or per IP address without one
+  const limitName = rateLimitName(req.method, parsedUrl.pathname);
+  if (limitName) {
+    const client = user && user.apiKeyId ? { type: 'apiKey', id: user.apiKeyId } : { type: 'ip', id: clientIp(req) };
+    const limit = rateLimiter.take(limitName, client);
+    if (!limit.allowed) {
+      logger.warn('Rate limited', { client: client.type, limit: limitName, retryAfterSeconds: limit.retryAfterSeconds });
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(limit.retryAfterSeconds) });
+      res.end(JSON.stringify({
+        error: 'Too many requests',
+        message: `At most ${limit.limit} ${limitName} requests per ${rateLimiter.windowSeconds} seconds; try again in ${limit.retryAfterSeconds}s`
+      }));
+      return;
+    }
+  }
+
+  if (req.method === 'POST' && parsedUrl.pathname === '/api/auth/login') {
+    try {
+      const data = await readJsonBody(req);
+      const session = await auth.login(data.username, data.password);
+      logger.info('Signed in', { username: session.user.username, role: session.user.role });
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': auth.sessionCookie(session.token) });
+      res.end(JSON.stringify({ success: true, ...session }));
+    } catch (error) {
+      logger.warn('Sign-in failed', { error: error.message });
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Sign-in failed', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && parsedUrl.pathname === '/api/auth/logout') {
+    try {
+      if (user && user.authMethod === 'session') await auth.logout(user);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': auth.clearedSessionCookie() });
+      res.end(JSON.stringify({ success: true }));
+    } catch (error) {
+      logger.error('Sign-out failed', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Sign-out failed', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/api/auth/me') {
+    if (!user) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Authentication required', message: 'Not signed in' }));
+      return;
+    }
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', message: 'Working backend with real OpenAI!' }));
+    res.end(JSON.stringify({ success: true, user: user, permissions: auth.roles[user.role].permissions }));
+    return;
+  }
+
+  // Empties one cache (?source=vision, places, placeDetails or geocode) or all of them
+  if (req.method === 'DELETE' && parsedUrl.pathname === '/api/cache') {
+    if (!authorize(res, user, 'cache:purge')) return;
+    try {
+      const purged = await caches.purge(parsedUrl.query.source);
+      logger.info('Purged cache', { sources: purged });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, purged: purged, cache: caches.stats() }));
+    } catch (error) {
+      logger.error('Cache purge failed', error);
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to purge cache', message: error.message }));
+    }
     return;
   }
   
   if (req.method === 'POST' && parsedUrl.pathname === '/api/analyze-simple') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    
-    req.on('end', async () => {
+    if (!authorize(res, user, 'analyze')) return;
+    if (/text\/event-stream/i.test(req.headers.accept || '')) {
+      await streamSimpleAnalysis(req, res, parsedUrl.query, user);
+      return;
+    }
+    try {
+      const cacheMode = requestCacheMode(req.headers, parsedUrl.query, { allowBypass: auth.can(user, 'cache:bypass') });
+      const outcome = await analyzeSimpleRequest(req, cacheMode, user);
+      if (outcome.retake) {
+        sendRetakeRequest(res, outcome.qualityReport, user);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, data: outcome.data }));
+    } catch (error) {
+      logger.error('Analysis failed', error);
+      notifyAssessmentFailed('photo', 'error', { statusCode: error.statusCode, code: error.code, message: analysisErrorMessage(error) });
+      res.writeHead(error.statusCode || 500, errorHeaders(error));
+      res.end(JSON.stringify({ error: 'Analysis failed', message: analysisErrorMessage(error) }));
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && parsedUrl.pathname === '/api/analyze-claim') {
+    if (!authorize(res, user, 'analyze')) return;
+    try {
+      const cacheMode = requestCacheMode(req.headers, parsedUrl.query, { allowBypass: auth.can(user, 'cache:bypass') });
+      const { data, images, warnings } = await readImageRequest(req);
+
+      const validationError = validateClaimImages(images);
+      if (validationError) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Analysis failed', message: validationError }));
+        return;
+      }
+
+      const pricing = resolvePricing(data);
+      let qualityReport = await inspectPhotos(data, images, cacheMode, user.id);
+      if (qualityReport.retakeRequired) {
+        notifyAssessmentFailed('photos', 'photo_check', { statusCode: 422, message: qualityReport.message });
+        sendRetakeRequest(res, qualityReport, user);
+        return;
+      }
+
+      const { mergedResult, photoResults, photos } = await analyzeClaimImages(images, cacheMode);
+      mergedResult.warnings = warnings.concat(mergedResult.warnings);
+      qualityReport = photoQuality.addAuthenticitySignals(qualityReport, photoResults);
+      if (qualityReport.retakeRequired) {
+        notifyAssessmentFailed('photos', 'photo_check', { statusCode: 422, message: qualityReport.message });
+        sendRetakeRequest(res, qualityReport, user);
+        return;
+      }
+
+      const costBreakdown = estimateRepairCost(mergedResult, pricing);
+      recordEstimate(costBreakdown, 'analysis');
+      const totalLoss = assessTotalLoss(mergedResult, costBreakdown, data.actualCashValue, resolveRegion(data));
+      notifyAssessmentCompleted('photos', mergedResult, costBreakdown, totalLoss);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: true,
+        data: {
+          ...buildAssessmentResponse(mergedResult, costBreakdown, totalLoss),
+          photos: photos,
+          images: images.map(image => image.info),
+          qualityReport: qualityReportFor(user, qualityReport)
+        }
+      }));
+
+    } catch (error) {
+      logger.error('Claim analysis failed', error);
+      notifyAssessmentFailed('photos', 'error', { statusCode: error.statusCode, code: error.code, message: analysisErrorMessage(error) });
+      res.writeHead(error.statusCode || 500, errorHeaders(error));
+      res.end(JSON.stringify({ error: 'Analysis failed', message: analysisErrorMessage(error) }));
+    }
+    return;
+  }
+
+  // Batch analysis: answers at once with the job id; the photos are analyzed
+  // in the background and the job is polled with GET /api/jobs/:id
+  if (req.method === 'POST' && parsedUrl.pathname === '/api/jobs') {
+    if (!authorize(res, user, 'jobs:submit')) return;
+    let receiving = false;
+    try {
+      const cacheMode = requestCacheMode(req.headers, parsedUrl.query, { allowBypass: auth.can(user, 'cache:bypass') });
+      // Photos are held in memory until the job is written to disk, so only a
+      // few job requests are taken in at a time
+      if (jobUploadsReceiving >= jobQueue.maxConcurrentUploads) {
+        const busyError = new Error('Too many job requests are being received; try again shortly');
+        busyError.statusCode = 503;
+        busyError.retryAfterSeconds = 5;
+        throw busyError;
+      }
+      jobUploadsReceiving++;
+      receiving = true;
+      const { options, sources } = await readJobRequest(req);
+      const job = await jobQueue.submit({ ownerId: user.id, options: options, cacheMode: cacheMode, sources: sources });
+      res.writeHead(202, { 'Content-Type': 'application/json', Location: `/api/jobs/${job.id}` });
+      res.end(JSON.stringify({ success: true, job: describeJob(job) }));
+    } catch (error) {
+      logger.warn('Job submission failed', { error: error.message });
+      res.writeHead(error.statusCode || 500, errorHeaders(error));
+      res.end(JSON.stringify({ error: 'Failed to create job', message: error.message }));
+    } finally {
+      if (receiving) jobUploadsReceiving--;
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/api/jobs') {
+    if (!authorize(res, user, 'jobs:submit')) return;
+    const jobs = jobQueue.list(job => canSeeJob(user, job)).map(job => describeJob(job));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, jobs: jobs, queue: jobQueue.stats() }));
+    return;
+  }
+
+  const jobMatch = parsedUrl.pathname.match(/^\/api\/jobs\/([^/]+)(?:\/(retry|cancel|export))?$/);
+  if (jobMatch) {
+    if (!authorize(res, user, 'jobs:submit')) return;
+    const job = jobQueue.get(jobMatch[1]);
+    if (!job || !canSeeJob(user, job)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Job not found' }));
+      return;
+    }
+    const action = jobMatch[2];
+
+    if (req.method === 'GET' && !action) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, job: describeJob(job, { items: true }) }));
+      return;
+    }
+
+    if (req.method === 'GET' && action === 'export') {
+      const format = parsedUrl.query.format || 'csv';
+      if (format !== 'csv' && format !== 'json') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown export format', message: 'format must be csv or json' }));
+        return;
+      }
+      const body = format === 'csv' ? jobResultsCsv(job) : JSON.stringify(describeJob(job, { items: true }), null, 2);
+      res.writeHead(200, {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+        'Content-Disposition': `attachment; filename="${job.id}.${format}"`
+      });
+      res.end(body);
+      return;
+    }
+
+    // Failed and cancelled photos, or only the ones in { items: [indexes] }, are analyzed again
+    if (req.method === 'POST' && action === 'retry') {
       try {
-        console.log('🎯 Received analysis request from:', req.headers.origin || 'unknown origin');
-        
-        // Parse JSON body (from our working frontend)
-        const data = JSON.parse(body);
-        const imageData = data.imageData;
-        
-        console.log('📷 Image data received, length:', imageData.length);
-        
-        // Call OpenAI Vision API
-        console.log('🚀 Calling OpenAI with image data type:', typeof imageData, 'starts with:', imageData.substring(0, 50));
-        const analysisResult = await analyzeWithOpenAI(imageData);
-        console.log('✅ OpenAI analysis successful:', analysisResult);
-        
-        // Calculate sophisticated repair costs
-        const costBreakdown = calculateRepairCost(analysisResult);
-        console.log('💰 Cost breakdown:', costBreakdown);
-        
-        // Handle different scenarios based on detection results
-        let damageSummary, metadata, estimatedCost;
-        
-        if (!analysisResult.vehicle_detected) {
-          damageSummary = 'No motor vehicle detected in this image';
-          metadata = { make: 'N/A', model: 'N/A', color: 'N/A' };
-          estimatedCost = '$0';
-        } else if (!analysisResult.damage_detected) {
-          damageSummary = 'No Damage Detected';
-          metadata = {
-            make: analysisResult.make || 'Unknown',
-            model: analysisResult.model || 'Unknown',
-            color: analysisResult.color || 'Unknown'
-          };
-          estimatedCost = '$0';
-        } else {
-          // Normal damage case
-          damageSummary = analysisResult.parts && analysisResult.parts.length > 0 
-            ? analysisResult.parts.map(p => `${p.part.replace('_', ' ')} (${p.severity})`).join(', ')
-            : 'Damage assessment completed';
-          metadata = {
-            make: analysisResult.make,
-            model: analysisResult.model,
-            color: analysisResult.color
-          };
-          estimatedCost = `$${costBreakdown.estimateRange.low.toLocaleString()} - $${costBreakdown.estimateRange.high.toLocaleString()}`;
+        const data = await readJsonBody(req);
+        const indexes = Array.isArray(data.items) ? data.items.map(Number) : null;
+        const { retried } = await jobQueue.retry(job.id, indexes);
+        logger.info('Job items retried', { jobId: job.id, retried: retried });
+        res.writeHead(202, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, retried: retried, job: describeJob(job) }));
+      } catch (error) {
+        res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Failed to retry job', message: error.message }));
+      }
+      return;
+    }
+
+    if (req.method === 'POST' && action === 'cancel') {
+      await jobQueue.cancel(job.id);
+      logger.info('Job cancelled', { jobId: job.id });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, job: describeJob(job) }));
+      return;
+    }
+
+    // Deleting a job drops its stored photos and results
+    if (req.method === 'DELETE' && !action) {
+      await jobQueue.remove(job.id);
+      logger.info('Job deleted', { jobId: job.id });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+      return;
+    }
+  }
+
+  if (req.method === 'POST' && parsedUrl.pathname === '/api/claims') {
+    if (!authorize(res, user, 'claims:create')) return;
+    try {
+      const cacheMode = requestCacheMode(req.headers, parsedUrl.query, { allowBypass: auth.can(user, 'cache:bypass') });
+      const { data, images, warnings } = await readImageRequest(req);
+
+      const pricing = resolvePricing(data);
+      let qualityReport = await inspectPhotos(data, images, cacheMode, user.id);
+      if (qualityReport.retakeRequired) {
+        notifyAssessmentFailed('claim', 'photo_check', { statusCode: 422, message: qualityReport.message });
+        sendRetakeRequest(res, qualityReport, user);
+        return;
+      }
+
+      // Only roles that may override estimates can save an analysis of their own;
+      // everyone else's photos are analyzed here, which the vision cache makes free
+      // for photos that were just analyzed
+      if (data.analysis && !auth.can(user, 'estimates:override')) {
+        logger.info('Ignoring the analysis sent by a policyholder; analyzing the photos instead');
+        data.analysis = null;
+      }
+      let analysis = data.analysis ? validateClientAnalysis(data.analysis) : null;
+      const analyzedHere = !analysis;
+      let photoResults = [];
+
+      if (!analysis) {
+        // No prior analysis supplied, so run the vision pipeline on the claim photos
+        const validationError = validateClaimImages(images);
+        if (validationError) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Failed to create claim', message: validationError }));
+          return;
         }
-        
-        const response = {
-          success: true,
-          data: {
-            metadata: metadata,
-            damageSummary: damageSummary,
-            costBreakdown: costBreakdown,
-            estimatedCost: estimatedCost,
-            confidence: analysisResult.confidence,
-            airbags_deployed: analysisResult.airbags_deployed,
-            drivable: analysisResult.drivable,
-            analysisMode: 'openai'
-          }
+        const claimAnalysis = await analyzeClaimImages(images, cacheMode);
+        analysis = claimAnalysis.mergedResult;
+        analysis.warnings = warnings.concat(analysis.warnings);
+        photoResults = claimAnalysis.photoResults;
+      }
+
+      // A supplied single-photo analysis still carries the model's answer for that photo
+      qualityReport = photoQuality.addAuthenticitySignals(qualityReport, photoResults.length > 0 ? photoResults : [analysis]);
+      if (qualityReport.retakeRequired) {
+        notifyAssessmentFailed('claim', 'photo_check', { statusCode: 422, message: qualityReport.message });
+        sendRetakeRequest(res, qualityReport, user);
+        return;
+      }
+
+      const region = resolveRegion(data);
+      const costBreakdown = estimateRepairCost(analysis, pricing);
+      const claim = await claimStore.createClaim({
+        ownerId: user.id,
+        policyNumber: data.policyNumber,
+        images: images.map(image => image.dataUrl),
+        imageInfo: images.map((image, index) => ({ ...image.info, phash: qualityReport.photos[index].phash })),
+        qualityReport: qualityReport,
+        lossDate: parseLossDate(data.lossDate),
+        analysis: analysis,
+        photoResults: photoResults,
+        costBreakdown: costBreakdown,
+        region: region,
+        actualCashValue: data.actualCashValue,
+        totalLoss: assessTotalLoss(analysis, costBreakdown, data.actualCashValue, region),
+        repairShop: data.repairShop,
+        notes: data.notes
+      }, user.username);
+      recordEstimate(costBreakdown, 'claim');
+      logger.info('Claim created', { claimId: claim.id });
+      if (analyzedHere) notifyAssessmentCompleted('claim', analysis, costBreakdown, claim.totalLoss, claim);
+      if (claim.repairShop) notifyShopSelected(claim, null, user.username);
+
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, claim: claimFor(user, claim) }));
+
+    } catch (error) {
+      logger.error('Claim creation failed', error);
+      notifyAssessmentFailed('claim', 'error', { statusCode: error.statusCode, code: error.code, message: analysisErrorMessage(error) });
+      res.writeHead(error.statusCode || 500, errorHeaders(error));
+      res.end(JSON.stringify({ error: 'Failed to create claim', message: analysisErrorMessage(error) }));
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/api/claims') {
+    if (!authorize(res, user, 'claims:read')) return;
+    try {
+      const claims = await claimStore.listClaims({
+        status: parsedUrl.query.status,
+        policyNumber: parsedUrl.query.policyNumber,
+        visible: claim => auth.canSeeClaim(user, claim)
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, claims: claims }));
+    } catch (error) {
+      logger.error('Listing claims failed', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to list claims', message: error.message }));
+    }
+    return;
+  }
+
+  const claimMatch = parsedUrl.pathname.match(/^\/api\/claims\/([^/]+)$/);
+
+  if (req.method === 'GET' && claimMatch) {
+    if (!authorize(res, user, 'claims:read')) return;
+    try {
+      const claim = await claimStore.getClaim(claimMatch[1]);
+      // Claims the user may not see are reported as missing, not forbidden
+      if (!claim || !auth.canSeeClaim(user, claim)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Claim not found' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, claim: claimFor(user, claim) }));
+    } catch (error) {
+      logger.error('Loading claim failed', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to load claim', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'PATCH' && claimMatch) {
+    if (!authorize(res, user, 'claims:update')) return;
+    try {
+      const data = await readJsonBody(req);
+      const existing = await claimStore.getClaim(claimMatch[1]);
+      if (!existing || !auth.canUpdateClaim(user, existing)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Claim not found' }));
+        return;
+      }
+      // Policyholders may fix their own details; moving a claim along and changing
+      // what it pays out are for adjusters
+      if (data.status !== undefined && !authorize(res, user, 'claims:status')) return;
+      if ((data.analysis || data.actualCashValue !== undefined || data.pricingProfile) && !authorize(res, user, 'estimates:override')) return;
+
+      // Worked out from the claim as it is when the change is applied
+      let before;
+      const claim = await claimStore.editClaim(existing.id, (current) => {
+        before = current;
+        checkStatusChange(current, data.status);
+        const changes = {
+          status: data.status,
+          policyNumber: data.policyNumber,
+          repairShop: data.repairShop,
+          notes: data.notes
         };
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(response));
-        
-      } catch (error) {
-        console.error('❌ Analysis failed:', error);
-        console.error('❌ Error details:', error.stack);
-        
-        let errorMessage = error.message;
-        if (error.message === 'Invalid OpenAI response') {
-          errorMessage = 'Unable to analyze image. Please check that the image URL is accessible and shows a car with visible damage.';
+
+        // A corrected analysis or another pricing profile always comes with a freshly
+        // calculated estimate. The model's answer is kept as the review's original
+        // before it is replaced.
+        if (data.analysis || data.actualCashValue !== undefined || data.pricingProfile) {
+          checkEstimateEditable(current);
+          if (!data.analysis && data.pricingProfile && !current.analysis) {
+            const repriceError = new Error(`Claim ${current.id} has no analysis to price`);
+            repriceError.statusCode = 409;
+            throw repriceError;
+          }
+          let costBreakdown = current.costBreakdown;
+          const analysis = data.analysis ? validateClientAnalysis(data.analysis) : current.analysis;
+          if (data.analysis || data.pricingProfile) {
+            const review = current.review || startReview(current, user.username);
+            costBreakdown = estimateRepairCost(analysis, claimPricing(current, data.pricingProfile), review.lineOverrides);
+            changes.analysis = analysis;
+            changes.costBreakdown = costBreakdown;
+            changes.review = review;
+          }
+
+          const actualCashValue = data.actualCashValue !== undefined ? data.actualCashValue : current.actualCashValue;
+          changes.actualCashValue = actualCashValue;
+          changes.totalLoss = assessTotalLoss(analysis, costBreakdown, actualCashValue, current.region || {});
         }
-        
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Analysis failed', message: errorMessage }));
+        return { changes: changes, reason: data.reason };
+      }, user.username);
+
+      if (!claim) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Claim not found' }));
+        return;
       }
-    });
+      if (data.analysis || data.pricingProfile) notifyEstimateOverridden(before, claim, user.username, data.reason);
+      if (claim.repairShop && JSON.stringify(claim.repairShop) !== JSON.stringify(before.repairShop)) {
+        notifyShopSelected(claim, before.repairShop, user.username);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, claim: claimFor(user, claim) }));
+    } catch (error) {
+      logger.error('Claim update failed', error);
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to update claim', message: error.message }));
+    }
+    return;
+  }
+
+  const reviewMatch = parsedUrl.pathname.match(/^\/api\/claims\/([^/]+)\/(review|decision)$/);
+
+  // Adjuster edits: parts added, removed or re-graded, airbag and drivable flags,
+  // and single line amounts, each with a reason
+  if (req.method === 'POST' && reviewMatch && reviewMatch[2] === 'review') {
+    if (!authorize(res, user, 'estimates:override')) return;
+    try {
+      const data = await readJsonBody(req);
+      const existing = await claimStore.getClaim(reviewMatch[1]);
+      if (!existing || !auth.canSeeClaim(user, existing)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Claim not found' }));
+        return;
+      }
+
+      // Edits apply to the claim as the last review left it
+      let before;
+      let reviewed;
+      const claim = await claimStore.editClaim(existing.id, (current) => {
+        before = current;
+        const pricing = claimPricing(current);
+        reviewed = applyReviewEdits(current, data.edits, { by: user.username, reason: data.reason }, (analysis, lineOverrides) =>
+          estimateRepairCost(analysis, pricing, lineOverrides)
+        );
+        return {
+          changes: {
+            status: current.status === 'open' ? 'in_review' : undefined,
+            analysis: reviewed.analysis,
+            costBreakdown: reviewed.costBreakdown,
+            totalLoss: assessTotalLoss(reviewed.analysis, reviewed.costBreakdown, current.actualCashValue, current.region || {}),
+            review: reviewed.review
+          },
+          reason: data.reason || reviewed.adjustments.map(adjustment => adjustment.reason).join('; ')
+        };
+      }, user.username);
+      recordEstimate(reviewed.costBreakdown, 'review');
+      notifyEstimateOverridden(before, claim, user.username, data.reason, reviewed.adjustments);
+      logger.info('Claim reviewed', { claimId: claim.id, edits: reviewed.adjustments.map(adjustment => `${adjustment.op} ${adjustment.part || adjustment.code || ''}`.trim()) });
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, claim: claimFor(user, claim), adjustments: reviewed.adjustments }));
+    } catch (error) {
+      logger.warn('Claim review failed', { error: error.message });
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to review claim', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && reviewMatch && reviewMatch[2] === 'decision') {
+    if (!authorize(res, user, 'claims:status')) return;
+    try {
+      const data = await readJsonBody(req);
+      const existing = await claimStore.getClaim(reviewMatch[1]);
+      if (!existing || !auth.canSeeClaim(user, existing)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Claim not found' }));
+        return;
+      }
+
+      const claim = await claimStore.editClaim(existing.id, (current) => ({
+        changes: decideReview(current, { decision: data.decision, reason: data.reason }, user.username),
+        reason: String(data.reason).trim()
+      }), user.username);
+      logger.info('Claim decided', { claimId: claim.id, status: claim.status });
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, claim: claimFor(user, claim) }));
+    } catch (error) {
+      logger.warn('Claim decision failed', { error: error.message });
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to decide claim', message: error.message }));
+    }
+    return;
+  }
+
+  const reportMatch = parsedUrl.pathname.match(/^\/api\/report\/([^/]+)$/);
+
+  if (req.method === 'GET' && reportMatch) {
+    if (!authorize(res, user, 'claims:read')) return;
+    try {
+      const format = parsedUrl.query.format || 'pdf';
+      if (!REPORT_FORMATS[format]) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Failed to generate report', message: `Unknown format "${format}", use pdf, json or html` }));
+        return;
+      }
+
+      const claim = await claimStore.getClaim(reportMatch[1]);
+      if (!claim || !auth.canSeeClaim(user, claim)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Claim not found' }));
+        return;
+      }
+
+      const { shops, shopsLocation } = await findReportShops(claim, parsedUrl.query, requestCacheMode(req.headers, parsedUrl.query, { allowBypass: auth.can(user, 'cache:bypass') }));
+      const report = buildReport(claim, { shops, shopsLocation });
+      const body = renderReport(report, format);
+      logger.info('Report generated', { claimId: claim.id, format: format, bytes: body.length });
+
+      res.writeHead(200, {
+        'Content-Type': REPORT_FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="${claim.id}-report.${REPORT_FORMATS[format].extension}"`,
+        'Content-Length': body.length
+      });
+      res.end(body);
+
+    } catch (error) {
+      logger.error('Report generation failed', error);
+      res.writeHead(error.statusCode || 500, errorHeaders(error));
+      res.end(JSON.stringify({ error: 'Failed to generate report', message: error.message }));
+    }
+    return;
+  }
+
+  const exportMatch = parsedUrl.pathname.match(/^\/api\/claims\/([^/]+)\/export$/);
+
+  // The claim's current estimate, overrides included, for estimating and claims platforms
+  if (req.method === 'GET' && exportMatch) {
+    if (!authorize(res, user, 'claims:read')) return;
+    try {
+      const claim = await claimStore.getClaim(exportMatch[1]);
+      if (!claim || !auth.canSeeClaim(user, claim)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Claim not found' }));
+        return;
+      }
+      sendEstimateExport(res, claim, parsedUrl.query.format || 'bms');
+    } catch (error) {
+      logger.error('Estimate export failed', error);
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to export estimate', message: error.message }));
+    }
+    return;
+  }
+
+  // The same exports for an analysis that was not saved as a claim; it is priced again here
+  if (req.method === 'POST' && parsedUrl.pathname === '/api/export') {
+    if (!authorize(res, user, 'analyze')) return;
+    try {
+      const data = await readJsonBody(req);
+      if (!data.analysis) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Failed to export estimate', message: 'Provide the analysis to export' }));
+        return;
+      }
+
+      const analysis = validateClientAnalysis(data.analysis);
+      const region = resolveRegion(data);
+      const costBreakdown = estimateRepairCost(analysis, resolvePricing(data));
+      sendEstimateExport(res, {
+        id: null,
+        status: null,
+        policyNumber: data.policyNumber || null,
+        lossDate: parseLossDate(data.lossDate),
+        region: region,
+        analysis: analysis,
+        costBreakdown: costBreakdown,
+        totalLoss: assessTotalLoss(analysis, costBreakdown, data.actualCashValue, region)
+      }, parsedUrl.query.format || data.format || 'bms');
+    } catch (error) {
+      logger.error('Estimate export failed', error);
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to export estimate', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && parsedUrl.pathname === '/api/total-loss') {
+    if (!authorize(res, user, 'analyze')) return;
+    try {
+      const data = await readJsonBody(req);
+      if (!data.analysis) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Total loss evaluation failed', message: 'Provide the analysis to evaluate' }));
+        return;
+      }
+
+      const analysis = validateClientAnalysis(data.analysis);
+      const costBreakdown = estimateRepairCost(analysis, resolvePricing(data));
+      const totalLoss = assessTotalLoss(analysis, costBreakdown, data.actualCashValue, resolveRegion(data));
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, totalLoss: totalLoss, costBreakdown: costBreakdown }));
+    } catch (error) {
+      logger.error('Total loss evaluation failed', error);
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Total loss evaluation failed', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/api/admin/pricing-profiles') {
+    if (!authorize(res, user, 'pricing:read')) return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, profiles: pricingRegistry.listProfiles() }));
+    return;
+  }
+
+  // How often reviewers change the model's answer, by part and severity (?since= an ISO date)
+  if (req.method === 'GET' && parsedUrl.pathname === '/api/admin/override-report') {
+    if (!authorize(res, user, 'reviews:report')) return;
+    try {
+      const since = parsedUrl.query.since ? Date.parse(parsedUrl.query.since) : null;
+      if (since !== null && isNaN(since)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Failed to build override report', message: 'since must be a date such as 2026-01-31' }));
+        return;
+      }
+      const reviews = (await claimStore.listReviews()).filter(entry => !since || Date.parse(entry.review.startedAt) >= since);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, since: parsedUrl.query.since || null, report: buildOverrideReport(reviews) }));
+    } catch (error) {
+      logger.error('Override report failed', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to build override report', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/api/admin/users') {
+    if (!authorize(res, user, 'users:manage')) return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, users: auth.users.list() }));
+    return;
+  }
+
+  if (req.method === 'POST' && parsedUrl.pathname === '/api/admin/users') {
+    if (!authorize(res, user, 'users:manage')) return;
+    try {
+      const data = await readJsonBody(req);
+      const created = await auth.users.create({ username: data.username, password: data.password, role: data.role, shop: data.shop });
+      logger.info('User created', { username: created.username, role: created.role });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, user: created }));
+    } catch (error) {
+      logger.warn('User creation failed', { error: error.message });
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to create user', message: error.message }));
+    }
+    return;
+  }
+
+  const userMatch = parsedUrl.pathname.match(/^\/api\/admin\/users\/([^/]+)$/);
+
+  if (req.method === 'PATCH' && userMatch) {
+    if (!authorize(res, user, 'users:manage')) return;
+    try {
+      const data = await readJsonBody(req);
+      const updated = await auth.users.update(userMatch[1], { role: data.role, password: data.password, disabled: data.disabled, shop: data.shop });
+      if (!updated) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'User not found' }));
+        return;
+      }
+      logger.info('User updated', { username: updated.username });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, user: updated }));
+    } catch (error) {
+      logger.warn('User update failed', { error: error.message });
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to update user', message: error.message }));
+    }
+    return;
+  }
+
+  const apiKeysMatch = parsedUrl.pathname.match(/^\/api\/admin\/users\/([^/]+)\/api-keys(?:\/([^/]+))?$/);
+
+  // The key itself is only ever in this response
+  if (req.method === 'POST' && apiKeysMatch && !apiKeysMatch[2]) {
+    if (!authorize(res, user, 'users:manage')) return;
+    try {
+      const data = await readJsonBody(req);
+      const created = await auth.users.addApiKey(apiKeysMatch[1], data.label);
+      if (!created) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'User not found' }));
+        return;
+      }
+      logger.info('API key issued', { keyId: created.apiKey.id, userId: apiKeysMatch[1] });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, key: created.key, id: created.apiKey.id, label: created.apiKey.label }));
+    } catch (error) {
+      logger.warn('API key creation failed', { error: error.message });
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to create API key', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'DELETE' && apiKeysMatch && apiKeysMatch[2]) {
+    if (!authorize(res, user, 'users:manage')) return;
+    try {
+      const revoked = await auth.users.revokeApiKey(apiKeysMatch[1], apiKeysMatch[2]);
+      if (!revoked) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'API key not found' }));
+        return;
+      }
+      logger.info('API key revoked', { keyId: apiKeysMatch[2] });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    } catch (error) {
+      logger.warn('API key revocation failed', { error: error.message });
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to revoke API key', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/api/admin/webhooks') {
+    if (!authorize(res, user, 'webhooks:manage')) return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, endpoints: webhooks.listEndpoints(), stats: webhooks.stats() }));
+    return;
+  }
+
+  // The signing secret is only ever in this response (and in a rotateSecret update's)
+  if (req.method === 'POST' && parsedUrl.pathname === '/api/admin/webhooks') {
+    if (!authorize(res, user, 'webhooks:manage')) return;
+    try {
+      const data = await readJsonBody(req);
+      const endpoint = await webhooks.createEndpoint(data);
+      logger.info('Webhook endpoint registered', { endpointId: endpoint.id, events: endpoint.events });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, endpoint: endpoint }));
+    } catch (error) {
+      logger.warn('Webhook registration failed', { error: error.message });
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to register webhook', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/api/admin/webhooks/deliveries') {
+    if (!authorize(res, user, 'webhooks:manage')) return;
+    try {
+      const deliveries = webhooks.listDeliveries({
+        endpointId: parsedUrl.query.endpointId,
+        event: parsedUrl.query.event,
+        status: parsedUrl.query.status,
+        limit: parsedUrl.query.limit
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, deliveries: deliveries }));
+    } catch (error) {
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to list webhook deliveries', message: error.message }));
+    }
+    return;
+  }
+
+  const redeliveryMatch = parsedUrl.pathname.match(/^\/api\/admin\/webhooks\/deliveries\/([^/]+)\/retry$/);
+  if (req.method === 'POST' && redeliveryMatch) {
+    if (!authorize(res, user, 'webhooks:manage')) return;
+    try {
+      const delivery = await webhooks.redeliver(redeliveryMatch[1]);
+      logger.info('Webhook redelivery queued', { deliveryId: delivery.id, eventId: delivery.eventId });
+      res.writeHead(202, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, delivery: delivery }));
+    } catch (error) {
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to redeliver webhook', message: error.message }));
+    }
+    return;
+  }
+
+  const webhookMatch = parsedUrl.pathname.match(/^\/api\/admin\/webhooks\/(WHK-[0-9A-F]+)(\/ping)?$/);
+
+  if (req.method === 'PATCH' && webhookMatch && !webhookMatch[2]) {
+    if (!authorize(res, user, 'webhooks:manage')) return;
+    try {
+      const data = await readJsonBody(req);
+      const endpoint = await webhooks.updateEndpoint(webhookMatch[1], data);
+      logger.info('Webhook endpoint updated', { endpointId: endpoint.id, rotatedSecret: !!data.rotateSecret });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, endpoint: endpoint }));
+    } catch (error) {
+      logger.warn('Webhook update failed', { error: error.message });
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to update webhook', message: error.message }));
+    }
+    return;
+  }
+
+  if (req.method === 'DELETE' && webhookMatch && !webhookMatch[2]) {
+    if (!authorize(res, user, 'webhooks:manage')) return;
+    try {
+      await webhooks.deleteEndpoint(webhookMatch[1]);
+      logger.info('Webhook endpoint deleted', { endpointId: webhookMatch[1] });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    } catch (error) {
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to delete webhook', message: error.message }));
+    }
+    return;
+  }
+
+  // Sends a webhook.ping event to try the endpoint out
+  if (req.method === 'POST' && webhookMatch && webhookMatch[2]) {
+    if (!authorize(res, user, 'webhooks:manage')) return;
+    try {
+      const delivery = await webhooks.ping(webhookMatch[1]);
+      res.writeHead(202, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, delivery: delivery }));
+    } catch (error) {
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to ping webhook', message: error.message }));
+    }
     return;
   }
 
   if (req.method === 'POST' && parsedUrl.pathname === '/api/repair-shops') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    
-    req.on('end', async () => {
-      try {
-        const data = JSON.parse(body);
-        const { latitude, longitude } = data;
-        
-        console.log('🔍 Finding repair shops near:', latitude, longitude);
-        
-        const shops = await findRealRepairShops(latitude, longitude);
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, shops: shops }));
-        
-      } catch (error) {
-        console.error('❌ Repair shop search failed:', error);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to find repair shops', message: error.message }));
+    if (!authorize(res, user, 'shops:search')) return;
+    try {
+      const data = await readJsonBody(req);
+      const { latitude, longitude, analysis, preferences, cursor } = data;
+      const cacheMode = requestCacheMode(req.headers, parsedUrl.query, { allowBypass: auth.can(user, 'cache:bypass') });
+
+      // A cursor from an earlier response continues that search with its next page
+      let page;
+      if (cursor) {
+        logger.info('Loading more repair shops');
+        page = await shopSearch.continueSearch(cursor);
+      } else {
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Failed to find repair shops', message: 'latitude and longitude must be numbers' }));
+          return;
+        }
+
+        logger.info('Finding repair shops', { latitude: latitude, longitude: longitude });
+
+        // The analysis is optional; without it shops are ranked without specialty needs
+        page = await shopSearch.startSearch({ lat: latitude, lng: longitude }, {
+          analysis: analysis ? validateClientAnalysis(analysis) : null,
+          preferences: preferences,
+          cacheMode: cacheMode
+        });
       }
-    });
+      const { shops, search, nextCursor } = page;
+      logger.info('Ranked repair shops', {
+        shops: shops.length,
+        source: search.source,
+        radiusMiles: search.radiusMiles,
+        needs: search.needs.map(need => need.specialty),
+        more: !!nextCursor
+      });
+
+      // source is live, cache or demo; demo shops come with the upstream error that caused them
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: true,
+        source: search.source,
+        upstreamError: search.upstreamError,
+        shops: shops,
+        search: search,
+        nextCursor: nextCursor,
+        degraded: !!budgets.exhausted('places')
+      }));
+      
+    } catch (error) {
+      logger.error('Repair shop search failed', error);
+      res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Failed to find repair shops', message: error.message }));
+    }
     return;
   }
 
   if (req.method === 'POST' && parsedUrl.pathname === '/api/geocode') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    
-    req.on('end', async () => {
-      try {
-        const data = JSON.parse(body);
-        const { address } = data;
-        
-        console.log('🗺️ Geocoding address:', address);
-        console.log('🔑 Using Google API key:', GOOGLE_API_KEY.substring(0, 20) + '...');
-        
-        const location = await geocodeAddress(address);
-        console.log('📍 Geocoding result:', location);
-        
+    if (!authorize(res, user, 'shops:search')) return;
+    try {
+      const data = await readJsonBody(req);
+      const { address, latitude, longitude } = data;
+      const cacheMode = requestCacheMode(req.headers, parsedUrl.query, { allowBypass: auth.can(user, 'cache:bypass') });
+
+      // Coordinates, e.g. from the browser's location, are turned into the nearest ZIP code
+      if (address === undefined && typeof latitude === 'number' && typeof longitude === 'number') {
+        const nearest = gazetteer.reverseGeocode(latitude, longitude);
+        logger.info('Reverse geocoded', { found: !!nearest });
+        if (!nearest) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Location not found', message: `No US ZIP code near ${latitude.toFixed(4)}, ${longitude.toFixed(4)}` }));
+          return;
+        }
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, location: location }));
-        
-      } catch (error) {
-        console.error('❌ Geocoding failed:', error);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to geocode address', message: error.message }));
+        res.end(JSON.stringify({ success: true, location: { ...nearest, lat: latitude, lng: longitude } }));
+        return;
       }
-    });
+
+      if (typeof address !== 'string' || !address.trim()) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Failed to geocode address', message: 'Provide an address, or latitude and longitude' }));
+        return;
+      }
+
+      const result = await geocodeAddress(address, cacheMode);
+
+      if (result.status === 'not_found') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Location not found', message: result.message, candidates: result.candidates }));
+        return;
+      }
+      if (result.status === 'ambiguous') {
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Ambiguous location', message: result.message, candidates: result.candidates }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, location: result.location, match: result.match, alternatives: result.candidates }));
+      
+    } catch (error) {
+      logger.error('Geocoding failed', error);
+      res.writeHead(error.statusCode || 500, errorHeaders(error));
+      res.end(JSON.stringify({ error: 'Failed to geocode address', message: error.message }));
+    }
     return;
   }
   
   // 404
   res.writeHead(404, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ error: 'Not found' }));
+}
+
+// Every request gets an id, taken from X-Request-Id when the caller (or a proxy)
+// sent a usable one; it is echoed back and carried by every line logged for it
+const server = http.createServer((req, res) => {
+  const requestId = /^[\w.-]{1,64}$/.test(req.headers['x-request-id'] || '') ? req.headers['x-request-id'] : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  res.setHeader('X-Request-Id', requestId);
+
+  requestContext.run({ requestId: requestId }, () => {
+    res.on('finish', () => {
+      const route = routeLabel(url.parse(req.url).pathname);
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      httpRequests.inc({ method: req.method, route: route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route: route }, seconds);
+      const fields = { method: req.method, route: route, status: res.statusCode, durationMs: Math.round(seconds * 1000) };
+      if (route === '/metrics' || route === '/api/health') logger.debug('Request finished', fields);
+      else logger.info('Request finished', fields);
+    });
+    handleRequest(req, res).catch(error => {
+      logger.error('Request failed', error);
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Internal server error' }));
+    });
+  });
 });
 
 server.listen(PORT, () => {
-  console.log(`🚗 Car Insurance App Server running on port ${PORT}`);
-  console.log(`✅ OpenAI Vision API integration active`);
-  console.log(`🌍 Google Places API integration active`);
-  console.log(`📝 Endpoints:`);
-  console.log(`  GET  /api/health           - Health check`);
-  console.log(`  POST /api/analyze-simple   - Analyze car damage with OpenAI`);
-  console.log(`  POST /api/repair-shops     - Find nearby repair shops`);
-  console.log(`  POST /api/geocode          - Geocode addresses and zip codes`);
-  console.log(`\n🌐 Open http://localhost:8080 to access the frontend`);
+  logger.info('Server listening', {
+    port: Number(PORT),
+    visionProvider: visionProvider.name,
+    visionModel: visionProvider.model,
+    imageProcessing: imageIngestor.processor || null,
+    placesConfigured: !!GOOGLE_API_KEY && GOOGLE_API_KEY !== 'your-google-places-api-key-here'
+  });
+  if (!imageIngestor.processor) {
+    logger.warn('sharp is not installed; photos are not resized and blur, exposure and near-duplicate checks are skipped');
+  }
+  // The endpoint list is for people reading a terminal, not for log collectors
+  if (logger.settings.format !== 'pretty') return;
+  console.log(`Endpoints:`);
+  console.log(`  GET  /metrics              - Prometheus metrics (Bearer METRICS_TOKEN when set)`);
+  console.log(`  GET  /api/health           - Readiness of the vision provider and Google Places`);
+  console.log(`  POST /api/auth/login       - Sign in (session cookie and bearer token)`);
+  console.log(`  POST /api/auth/logout      - Sign out`);
+  console.log(`  GET  /api/auth/me          - The signed-in user and their permissions`);
+  console.log(`  POST /api/analyze-simple   - Analyze car damage with the vision provider (streams progress for Accept: text/event-stream)`);
+  console.log(`  POST /api/analyze-claim    - Analyze several photos of one vehicle`);
+  console.log(`  POST /api/jobs             - Queue a batch of photos for analysis`);
+  console.log(`  GET  /api/jobs[/:id]       - Batch jobs, or one job's progress and per-photo results`);
+  console.log(`  POST /api/jobs/:id/retry|cancel - Retry failed photos or cancel the rest`);
+  console.log(`  GET  /api/jobs/:id/export  - Job results as CSV (?format=csv|json)`);
+  console.log(`  POST /api/claims           - Create a claim record`);
+  console.log(`  GET  /api/claims           - List claims (?status=&policyNumber=)`);
+  console.log(`  GET  /api/claims/:id       - Get a claim with its edit history`);
+  console.log(`  PATCH /api/claims/:id      - Update status, shop, notes or analysis`);
+  console.log(`  POST /api/claims/:id/review - Adjust parts, flags or line amounts, with reasons`);
+  console.log(`  POST /api/claims/:id/decision - Approve, reject or reopen a claim with a reason`);
+  console.log(`  GET  /api/report/:id       - Claim report (?format=pdf|json|html)`);
+  console.log(`  GET  /api/claims/:id/export - Claim estimate as CIECA BMS or ACORD XML, or CSV (?format=bms|acord|csv)`);
+  console.log(`  POST /api/export           - The same exports for an unsaved analysis`);
+  console.log(`  POST /api/total-loss       - Evaluate repair vs. total loss`);
+  console.log(`  GET  /api/admin/pricing-profiles - List pricing profiles and versions`);
+  console.log(`  GET  /api/admin/override-report - How often reviewers override the model`);
+  console.log(`  GET/POST /api/admin/users  - List or create users`);
+  console.log(`  PATCH /api/admin/users/:id - Change a user's role, password, shop or disabled flag`);
+  console.log(`  POST/DELETE /api/admin/users/:id/api-keys[/:keyId] - Issue or revoke API keys`);
+  console.log(`  GET/POST /api/admin/webhooks - List or register webhook endpoints`);
+  console.log(`  PATCH/DELETE /api/admin/webhooks/:id - Change, rotate the secret of, or delete an endpoint`);
+  console.log(`  POST /api/admin/webhooks/:id/ping - Send a test event`);
+  console.log(`  GET  /api/admin/webhooks/deliveries - Webhook delivery log (?endpointId=&event=&status=)`);
+  console.log(`  POST /api/admin/webhooks/deliveries/:id/retry - Send a delivery again`);
+  console.log(`  POST /api/repair-shops     - Find and rank repair shops for the damage`);
+  console.log(`  POST /api/geocode          - Geocode addresses and zip codes, or reverse geocode coordinates`);
+  console.log(`  DELETE /api/cache         - Purge cached upstream answers (?source=)`);
+  console.log(`\nOpen http://localhost:8080 to access the frontend`);
 });
\ No newline at end of file
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderAcordClaim } = require('../../lib/export/acord');
+const { codes, generatedAt, requestId, reviewedClaim, totalLossClaim, unsavedClaim, validateAgainst, parseXml, all, text } = require('./helpers');
+
+const SCHEMA = 'acord-claim.xsd';
+const NOTIFICATION = 'ClaimsSvcRq/ClaimsNotificationAddRq';
+const render = (claim) => renderAcordClaim(claim, codes, { generatedAt, requestId });
+
+test('ACORD claims validate against the schema', async () => {
+  for (const claim of [reviewedClaim(), totalLossClaim(), unsavedClaim()]) {
+    const result = await validateAgainst(SCHEMA, render(claim));
+    assert.ok(result.valid, `${claim.id}: ${result.errors}`);
+  }
+});
+
+test('the schema rejects indicators that are not 0 or 1', async () => {
+  const broken = render(reviewedClaim()).replace('<DrivableInd>1</DrivableInd>', '<DrivableInd>Y</DrivableInd>');
+  assert.strictEqual((await validateAgainst(SCHEMA, broken)).valid, false);
+});
+
+test('a claim reads back with its policy, vehicle and damaged parts', () => {
+  const claim = reviewedClaim();
+  const notification = all(parseXml(render(claim)), NOTIFICATION)[0];
+
+  assert.strictEqual(text(notification, 'RqUID'), requestId);
+  assert.strictEqual(text(notification, 'Policy/PolicyNumber'), claim.policyNumber);
+  assert.strictEqual(text(notification, 'ClaimsOccurrence/ItemIdInfo/OtherIdentifier/OtherId'), claim.id);
+  assert.strictEqual(text(notification, 'ClaimsOccurrence/LossDt'), claim.lossDate);
+  assert.strictEqual(text(notification, 'ClaimsOccurrence/Addr/StateProvCd'), 'FL');
+  assert.strictEqual(text(notification, 'ClaimsOccurrence/Addr/PostalCode'), '33101');
+  assert.strictEqual(text(notification, 'AutoLossInfo/VehInfo/Manufacturer'), claim.analysis.make);
+  assert.strictEqual(text(notification, 'AutoLossInfo/VehInfo/Model'), claim.analysis.model);
+  assert.strictEqual(Number(text(notification, 'AutoLossInfo/VehInfo/ModelYear')), claim.analysis.year);
+
+  const damage = all(notification, 'AutoLossInfo/VehDamage').map(node => ({
+    part: text(node, 'DamagedPartCd'),
+    severity: text(node, 'DamageSeverityCd')
+  }));
+  assert.deepStrictEqual(damage, claim.analysis.parts.map(partDamage => ({
+    part: codes.partCode(partDamage.part).code,
+    severity: partDamage.severity
+  })));
+
+  assert.strictEqual(Number(text(notification, 'AutoLossInfo/EstimatedDamageAmt/Amt')), claim.costBreakdown.midpoint);
+  assert.strictEqual(text(notification, 'AutoLossInfo/TotalLossInd'), '0');
+  assert.strictEqual(Number(text(notification, 'AutoLossInfo/ActualCashValueAmt/Amt')), claim.totalLoss.actualCashValue);
+  assert.match(text(notification, 'RemarkText'), new RegExp(`pricing ${claim.costBreakdown.pricingVersion}$`));
+});
+
+test('total losses are flagged and borderline claims carry no indicator', () => {
+  const totalLoss = all(parseXml(render(totalLossClaim())), NOTIFICATION)[0];
+  assert.strictEqual(text(totalLoss, 'AutoLossInfo/TotalLossInd'), '1');
+  assert.strictEqual(text(totalLoss, 'AutoLossInfo/DrivableInd'), '0');
+
+  const claim = { ...totalLossClaim(), totalLoss: { verdict: 'borderline', actualCashValue: 9000, reasons: [] } };
+  const borderline = all(parseXml(render(claim)), NOTIFICATION)[0];
+  assert.strictEqual(text(borderline, 'AutoLossInfo/TotalLossInd'), undefined);
+  assert.strictEqual(Number(text(borderline, 'AutoLossInfo/ActualCashValueAmt/Amt')), 9000);
+});
+
+test('an unsaved analysis has no claim id or policy', () => {
+  const notification = all(parseXml(render(unsavedClaim())), NOTIFICATION)[0];
+  assert.strictEqual(all(notification, 'ClaimsOccurrence/ItemIdInfo').length, 0);
+  assert.strictEqual(all(notification, 'Policy').length, 0);
+  assert.strictEqual(all(notification, 'AutoLossInfo/VehDamage').length, 0);
+  assert.strictEqual(text(notification, 'ClaimsOccurrence/IncidentDesc'), 'No damage detected');
+});
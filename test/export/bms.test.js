@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderBmsEstimate } = require('../../lib/export/bms');
+const { codes, generatedAt, requestId, reviewedClaim, totalLossClaim, unsavedClaim, validateAgainst, parseXml, all, text } = require('./helpers');
+
+const SCHEMA = 'bms-estimate.xsd';
+const render = (claim) => renderBmsEstimate(claim, codes, { generatedAt, requestId });
+
+function lineAmount(lineNode) {
+  return Number(text(lineNode, 'PartInfo/PartPrice') || text(lineNode, 'LaborInfo/LaborAmt') || text(lineNode, 'OtherChargesInfo/Price'));
+}
+
+test('BMS estimates validate against the schema', async () => {
+  for (const claim of [reviewedClaim(), totalLossClaim(), unsavedClaim()]) {
+    const result = await validateAgainst(SCHEMA, render(claim));
+    assert.ok(result.valid, `${claim.id}: ${result.errors}`);
+  }
+});
+
+test('the schema rejects unknown operation codes', async () => {
+  const broken = render(reviewedClaim()).replace('<LineOpCode>OP11</LineOpCode>', '<LineOpCode>R&amp;R</LineOpCode>');
+  assert.strictEqual((await validateAgainst(SCHEMA, broken)).valid, false);
+});
+
+test('a reviewed estimate reads back line by line', () => {
+  const claim = reviewedClaim();
+  const document = parseXml(render(claim));
+
+  assert.strictEqual(document.attributes.xmlns, 'http://www.cieca.com/BMS');
+  assert.strictEqual(text(document, 'RqUID'), requestId);
+  assert.strictEqual(text(document, 'DocumentInfo/DocumentID'), `${claim.id}-E`);
+  assert.strictEqual(text(document, 'DocumentInfo/CreateDateTime'), generatedAt.toISOString());
+  assert.strictEqual(text(document, 'ClaimInfo/ClaimNum'), claim.id);
+  assert.strictEqual(text(document, 'ClaimInfo/PolicyInfo/PolicyNum'), claim.policyNumber);
+  assert.strictEqual(text(document, 'ClaimInfo/LossInfo/Facts/LossDateTime'), claim.lossDate);
+  assert.strictEqual(text(document, 'VehicleInfo/VehicleDesc/MakeDesc'), claim.analysis.make);
+  assert.strictEqual(Number(text(document, 'VehicleInfo/VehicleDesc/ModelYear')), claim.analysis.year);
+  assert.strictEqual(text(document, 'VehicleInfo/Paint/Exterior/Color/ColorName'), claim.analysis.color);
+
+  const lines = all(document, 'DamageLineInfo');
+  const lineItems = claim.costBreakdown.lineItems;
+  assert.strictEqual(lines.length, lineItems.length);
+  lines.forEach((lineNode, index) => {
+    const line = lineItems[index];
+    const coded = codes.codeLine(line);
+    assert.strictEqual(Number(text(lineNode, 'LineNum')), line.line);
+    assert.strictEqual(text(lineNode, 'UniqueSequenceNum'), line.code);
+    assert.strictEqual(text(lineNode, 'LineDesc'), line.description);
+    assert.strictEqual(text(lineNode, 'LineOpCode'), coded.operationCode);
+    assert.strictEqual(text(lineNode, 'PartInfo/PartCode'), coded.partCode || undefined);
+    assert.strictEqual(text(lineNode, 'LaborInfo/LaborType'), coded.laborType || undefined);
+    if (line.hours !== undefined && line.type === 'labor') assert.strictEqual(Number(text(lineNode, 'LaborInfo/LaborHours')), line.hours);
+    assert.strictEqual(lineAmount(lineNode), line.amount);
+    assert.strictEqual(text(lineNode, 'ManualLineInd'), line.override ? 'Y' : 'N');
+  });
+
+  const overridden = lines.find(lineNode => text(lineNode, 'UniqueSequenceNum') === 'hood.refinish');
+  assert.strictEqual(lineAmount(overridden), 333);
+  assert.match(text(overridden, 'LineMemo'), /^Adjuster override by adjuster<1>: Tri-coat "pearl", 3 stages \(calculated \d+\.00\)$/);
+
+  const totals = Object.fromEntries(all(document, 'RepairTotalsInfo/SummaryTotalsInfo').map(node => [text(node, 'TotalType'), Number(text(node, 'TotalAmt'))]));
+  const { breakdown, midpoint } = claim.costBreakdown;
+  assert.deepStrictEqual(totals, { PL: breakdown.parts_and_labor, PNT: breakdown.paint, ADD: breakdown.surcharges, TOT: midpoint });
+  assert.strictEqual(lines.reduce((sum, lineNode) => sum + lineAmount(lineNode), 0), totals.PL + totals.PNT + totals.ADD);
+
+  const hours = Object.fromEntries(all(document, 'RepairTotalsInfo/LaborTotalsInfo').map(node => [text(node, 'TotalTypeDesc'), Number(text(node, 'TotalHours'))]));
+  assert.deepStrictEqual(hours, claim.costBreakdown.laborHours);
+});
+
+test('flat-rate lines carry no hours and surcharges are other charges', () => {
+  const claim = totalLossClaim();
+  const lines = all(parseXml(render(claim)), 'DamageLineInfo');
+
+  lines.filter(lineNode => text(lineNode, 'LaborInfo/LaborType')).forEach(lineNode => {
+    assert.strictEqual(text(lineNode, 'LaborInfo/LaborHours'), undefined);
+  });
+  const charges = lines.filter(lineNode => text(lineNode, 'OtherChargesInfo/Price'));
+  assert.deepStrictEqual(charges.map(lineNode => text(lineNode, 'OtherChargesInfo/OtherChargesType')), ['SRS', 'TOW']);
+  assert.ok(charges.every(lineNode => text(lineNode, 'LineOpCode') === 'OP13'));
+  assert.strictEqual(text(parseXml(render(claim)), 'VehicleInfo/Condition/AirbagDeployedInd'), 'Y');
+});
+
+test('an unsaved analysis without damage has no claim or lines', () => {
+  const document = parseXml(render(unsavedClaim()));
+  assert.strictEqual(text(document, 'DocumentInfo/DocumentID'), requestId);
+  assert.strictEqual(all(document, 'ClaimInfo').length, 0);
+  assert.strictEqual(all(document, 'DamageLineInfo').length, 0);
+  assert.strictEqual(Number(text(document, 'RepairTotalsInfo/SummaryTotalsInfo/TotalAmt')), 0);
+});
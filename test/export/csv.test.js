@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderEstimateCsv, ESTIMATE_CSV_COLUMNS } = require('../../lib/export/csv');
+const { codes, reviewedClaim, totalLossClaim, unsavedClaim, parseCsv } = require('./helpers');
+
+const OPTIONAL_NUMBER = /^(-?\d+(\.\d+)?)?$/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+// What each column may hold; anything not listed is free text
+const CSV_SCHEMA = {
+  claim_id: /^(CLM-\d{8}-[0-9A-F]{6})?$/,
+  loss_date: /^(\d{4}-\d{2}-\d{2})?$/,
+  year: /^(\d{4})?$/,
+  pricing_version: /^[\w-]+@[\d.]+$/,
+  line: /^(\d+)?$/,
+  operation: /^(repair|replace|refinish|blend|materials|surcharge)?$/,
+  operation_code: /^(OP\d{1,2})?$/,
+  labor_type: /^(LA[A-Z])?$/,
+  quantity: /^(\d+)?$/,
+  hours: OPTIONAL_NUMBER,
+  rate: OPTIONAL_NUMBER,
+  amount: OPTIONAL_NUMBER,
+  estimate_low: NUMBER,
+  estimate_high: NUMBER,
+  estimate_midpoint: NUMBER,
+  total_loss: /^(repair|borderline|total_loss)?$/
+};
+
+// Parses the file back and checks it against CSV_SCHEMA, returning the rows as objects
+function readValidCsv(csv) {
+  assert.ok(csv.endsWith('\r\n'), 'rows end with CRLF');
+  const [header, ...rows] = parseCsv(csv);
+  assert.deepStrictEqual(header, ESTIMATE_CSV_COLUMNS);
+  return rows.map((row, index) => {
+    assert.strictEqual(row.length, header.length, `row ${index + 1} has every column`);
+    const record = Object.fromEntries(header.map((column, position) => [column, row[position]]));
+    Object.entries(CSV_SCHEMA).forEach(([column, pattern]) => {
+      assert.match(record[column], pattern, `row ${index + 1} ${column}`);
+    });
+    return record;
+  });
+}
+
+test('estimate CSVs match the column schema', () => {
+  [reviewedClaim(), totalLossClaim(), unsavedClaim()].forEach(claim => readValidCsv(renderEstimateCsv(claim, codes)));
+});
+
+test('a reviewed estimate reads back line by line', () => {
+  const claim = reviewedClaim();
+  const rows = readValidCsv(renderEstimateCsv(claim, codes));
+  const lineItems = claim.costBreakdown.lineItems;
+
+  assert.strictEqual(rows.length, lineItems.length);
+  rows.forEach((row, index) => {
+    const line = lineItems[index];
+    const coded = codes.codeLine(line);
+    assert.strictEqual(row.claim_id, claim.id);
+    assert.strictEqual(row.policy_number, claim.policyNumber);
+    assert.strictEqual(Number(row.line), line.line);
+    assert.strictEqual(row.line_code, line.code);
+    assert.strictEqual(row.part, line.part || '');
+    assert.strictEqual(row.part_code, coded.partCode || coded.chargeCode || '');
+    assert.strictEqual(row.operation_code, coded.operationCode);
+    assert.strictEqual(row.labor_type, coded.laborType || '');
+    assert.strictEqual(row.description, line.description);
+    assert.strictEqual(Number(row.amount), line.amount);
+    assert.strictEqual(Number(row.estimate_midpoint), claim.costBreakdown.midpoint);
+  });
+
+  const { breakdown } = claim.costBreakdown;
+  assert.strictEqual(rows.reduce((sum, row) => sum + Number(row.amount), 0), breakdown.parts_and_labor + breakdown.paint + breakdown.surcharges);
+  assert.strictEqual(rows.find(row => row.line_code === 'hood.refinish').override_reason, 'Tri-coat "pearl", 3 stages');
+});
+
+test('cells a spreadsheet would run as formulas are defused', () => {
+  const rows = readValidCsv(renderEstimateCsv(totalLossClaim(), codes));
+  rows.forEach(row => assert.strictEqual(row.policy_number, '\'=HYPERLINK("x")'));
+  assert.deepStrictEqual(rows.filter(row => row.operation === 'surcharge').map(row => row.part_code), ['SRS', 'TOW']);
+});
+
+test('an estimate without lines still has a row', () => {
+  const rows = readValidCsv(renderEstimateCsv(unsavedClaim(), codes));
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].line, '');
+  assert.strictEqual(rows[0].estimate_midpoint, '0');
+});
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+const { loadPricingProfiles } = require('../../lib/pricing');
+const { loadVehicleClasses } = require('../../lib/vehicle-class');
+const { calculateRepairCost } = require('../../lib/repair-cost');
+const { loadPartCodes } = require('../../lib/export/codes');
+
+const root = path.join(__dirname, '..', '..');
+const pricingRegistry = loadPricingProfiles(path.join(root, 'config', 'pricing'));
+const vehicleClasses = loadVehicleClasses(path.join(root, 'config', 'vehicle-classes.json'));
+const codes = loadPartCodes(path.join(root, 'config', 'part-codes.json'));
+const generatedAt = new Date('2026-03-02T15:04:05.000Z');
+const requestId = '0f8b2c44-5d1e-4f3a-9b6c-7a2e1d0c9b8a';
+
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(root, 'fixtures', 'vision', `${name}.json`), 'utf8'));
+}
+
+function priced(analysis, pricingVersion, lineOverrides = {}) {
+  const vehicleClass = vehicleClasses.resolveVehicleClass(analysis);
+  const flags = vehicleClasses.vehicleFlags(vehicleClass, analysis.parts);
+  return calculateRepairCost(analysis, pricingRegistry.resolveProfile({ profile: pricingVersion }), vehicleClass, flags, lineOverrides);
+}
+
+// A reviewed claim on a line-item profile, with text that needs escaping
+function reviewedClaim() {
+  const analysis = fixture('front-collision');
+  const override = { amount: 333, reason: 'Tri-coat "pearl", 3 stages', by: 'adjuster<1>', at: '2026-03-01T10:00:00.000Z' };
+  return {
+    id: 'CLM-20260301-ABC123',
+    status: 'in_review',
+    policyNumber: 'POL-<&>-1',
+    lossDate: '2026-02-27',
+    region: { state: 'FL', zip: '33101' },
+    analysis: analysis,
+    costBreakdown: priced(analysis, 'national@2025.4', { 'hood.refinish': override }),
+    totalLoss: { verdict: 'repair', actualCashValue: 21500, reasons: ['Estimated repair cost is 10% of the value.'] }
+  };
+}
+
+// A total loss priced flat rate, with airbag and towing charges
+function totalLossClaim() {
+  const analysis = fixture('total-loss');
+  return {
+    id: 'CLM-20260301-DEF456',
+    status: 'open',
+    policyNumber: '=HYPERLINK("x")',
+    lossDate: null,
+    region: { state: 'TX', zip: null },
+    analysis: analysis,
+    costBreakdown: priced(analysis, 'national@2025.3'),
+    totalLoss: { verdict: 'total_loss', actualCashValue: 6000, reasons: ['Repairs exceed the value.'] }
+  };
+}
+
+// An analysis exported before it was saved, with nothing to repair
+function unsavedClaim() {
+  const analysis = fixture('no-damage');
+  return {
+    id: null,
+    status: null,
+    policyNumber: null,
+    lossDate: null,
+    region: {},
+    analysis: analysis,
+    costBreakdown: priced(analysis, 'national@2025.4'),
+    totalLoss: null
+  };
+}
+
+async function validateAgainst(schemaFile, xml) {
+  const schema = fs.readFileSync(path.join(root, 'lib', 'export', 'schemas', schemaFile), 'utf8');
+  const result = await validateXML({ xml: [{ fileName: 'export.xml', contents: xml }], schema: [schema] });
+  return { valid: result.valid, errors: result.errors.map(error => error.rawMessage).join('\n') };
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Reads back what lib/export/xml.js writes: elements, attributes and text
+function parseXml(xml) {
+  const top = { children: [] };
+  const stack = [top];
+  xml.replace(/^<\?xml[^>]*\?>\s*/, '').match(/<[^>]+>|[^<]+/g).forEach(token => {
+    const parent = stack[stack.length - 1];
+    if (token.startsWith('</')) {
+      stack.pop();
+    } else if (token.startsWith('<')) {
+      const [, name, attributeText] = token.match(/^<([\w:]+)([^>]*)>$/);
+      const attributes = {};
+      attributeText.replace(/([\w:]+)="([^"]*)"/g, (match, key, value) => {
+        attributes[key] = unescapeXml(value);
+      });
+      const node = { name: name, attributes: attributes, children: [], text: '' };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (token.trim()) {
+      parent.text += unescapeXml(token);
+    }
+  });
+  return top.children[0];
+}
+
+// all(node, 'A/B') is every B under every A; text(node, 'A/B') the first one's text
+function all(node, elementPath) {
+  return elementPath.split('/').reduce((nodes, name) =>
+    nodes.flatMap(each => each.children.filter(child => child.name === name)), [node]);
+}
+
+function text(node, elementPath) {
+  const found = all(node, elementPath)[0];
+  return found ? found.text : undefined;
+}
+
+// RFC 4180 fields, quoted or not, as lib/jobs/csv.js writes them
+function parseCsv(csv) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < csv.length; index++) {
+    const char = csv[index];
+    if (quoted) {
+      if (char === '"' && csv[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' && csv[index + 1] === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      index++;
+    } else {
+      field += char;
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  codes,
+  generatedAt,
+  requestId,
+  reviewedClaim,
+  totalLossClaim,
+  unsavedClaim,
+  validateAgainst,
+  parseXml,
+  all,
+  text,
+  parseCsv
+};